@@ -0,0 +1,304 @@
+const vscode = require('vscode');
+const { getDocumentParse, walkTokens } = require('./parser');
+
+const DIAGNOSTIC_SOURCE = 'hot fmt';
+const DIAGNOSTIC_CODE = 'CHAR-AUDIT';
+const FIX_ALL_KIND = vscode.CodeActionKind.SourceFixAll.append('hot');
+
+/**
+ * Characters `hot fmt` audits, with their ASCII replacements
+ * @type {Map<number, { name: string, replacement: string }>}
+ */
+const SUSPICIOUS_CHARS = new Map([
+    [0x00A0, { name: 'NO-BREAK SPACE', replacement: ' ' }],
+    [0x2000, { name: 'EN QUAD', replacement: ' ' }],
+    [0x2001, { name: 'EM QUAD', replacement: ' ' }],
+    [0x2002, { name: 'EN SPACE', replacement: ' ' }],
+    [0x2003, { name: 'EM SPACE', replacement: ' ' }],
+    [0x2004, { name: 'THREE-PER-EM SPACE', replacement: ' ' }],
+    [0x2005, { name: 'FOUR-PER-EM SPACE', replacement: ' ' }],
+    [0x2006, { name: 'SIX-PER-EM SPACE', replacement: ' ' }],
+    [0x2007, { name: 'FIGURE SPACE', replacement: ' ' }],
+    [0x2008, { name: 'PUNCTUATION SPACE', replacement: ' ' }],
+    [0x2009, { name: 'THIN SPACE', replacement: ' ' }],
+    [0x200A, { name: 'HAIR SPACE', replacement: ' ' }],
+    [0x200B, { name: 'ZERO WIDTH SPACE', replacement: '' }],
+    [0x200C, { name: 'ZERO WIDTH NON-JOINER', replacement: '' }],
+    [0x200D, { name: 'ZERO WIDTH JOINER', replacement: '' }],
+    [0x2010, { name: 'HYPHEN', replacement: '-' }],
+    [0x2011, { name: 'NON-BREAKING HYPHEN', replacement: '-' }],
+    [0x2012, { name: 'FIGURE DASH', replacement: '-' }],
+    [0x2013, { name: 'EN DASH', replacement: '-' }],
+    [0x2014, { name: 'EM DASH', replacement: '-' }],
+    [0x2018, { name: 'LEFT SINGLE QUOTATION MARK', replacement: '\'' }],
+    [0x2019, { name: 'RIGHT SINGLE QUOTATION MARK', replacement: '\'' }],
+    [0x201C, { name: 'LEFT DOUBLE QUOTATION MARK', replacement: '"' }],
+    [0x201D, { name: 'RIGHT DOUBLE QUOTATION MARK', replacement: '"' }],
+    [0x2026, { name: 'HORIZONTAL ELLIPSIS', replacement: '...' }],
+    [0x202F, { name: 'NARROW NO-BREAK SPACE', replacement: ' ' }],
+    [0x205F, { name: 'MEDIUM MATHEMATICAL SPACE', replacement: ' ' }],
+    [0x2060, { name: 'WORD JOINER', replacement: '' }],
+    [0x2212, { name: 'MINUS SIGN', replacement: '-' }],
+    [0x3000, { name: 'IDEOGRAPHIC SPACE', replacement: ' ' }],
+    [0xFEFF, { name: 'ZERO WIDTH NO-BREAK SPACE', replacement: '' }]
+]);
+
+/** @type {vscode.DiagnosticCollection | null} */
+let diagnostics = null;
+
+/**
+ * A character reported by `hot fmt`
+ * @typedef {{ offset: number, codePoint: number }} FlaggedChar
+ */
+
+/**
+ * Characters flagged by the last `hot fmt` run, per document URI
+ * Kept so diagnostics can follow the characters as the document is edited.
+ * @type {Map<string, FlaggedChar[]>}
+ */
+const flaggedChars = new Map();
+
+/**
+ * Format a code point as `U+201C`
+ * @param {number} codePoint
+ */
+function formatCodePoint(codePoint) {
+    return `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Parse CHAR-AUDIT warnings from `hot fmt` stderr
+ * Warnings may carry a `line:col` location and/or a `U+XXXX` code point.
+ * @param {string} stderr
+ * @returns {Array<{ line: number | null, col: number | null, codePoint: number | null }>}
+ */
+function parseCharAuditWarnings(stderr) {
+    const warnings = [];
+    for (const line of (stderr || '').split(/\r?\n/)) {
+        if (!line.includes(DIAGNOSTIC_CODE)) continue;
+        const location = line.match(/:(\d+):(\d+)/) || line.match(/line\s+(\d+)[,\s]+col(?:umn)?\s+(\d+)/i);
+        const codePoint = line.match(/U\+([0-9A-Fa-f]{4,6})/);
+        warnings.push({
+            line: location ? parseInt(location[1], 10) - 1 : null,
+            col: location ? parseInt(location[2], 10) - 1 : null,
+            codePoint: codePoint ? parseInt(codePoint[1], 16) : null
+        });
+    }
+    return warnings;
+}
+
+/**
+ * Build a diagnostic for one suspicious character
+ * @param {vscode.TextDocument} document
+ * @param {number} offset
+ * @param {number} codePoint
+ */
+function createDiagnostic(document, offset, codePoint) {
+    const info = SUSPICIOUS_CHARS.get(codePoint);
+    const name = info ? info.name : 'suspicious character';
+    const length = String.fromCodePoint(codePoint).length;
+    const range = new vscode.Range(document.positionAt(offset), document.positionAt(offset + length));
+    const diagnostic = new vscode.Diagnostic(
+        range,
+        `${name} (${formatCodePoint(codePoint)}) found; it looks like ASCII but isn't`,
+        vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = DIAGNOSTIC_CODE;
+    return diagnostic;
+}
+
+/**
+ * The character a warning reports
+ * With a location, the character there (or the reported code point elsewhere on that line);
+ * with only a code point, its first occurrence not already claimed by an earlier warning.
+ * @param {vscode.TextDocument} document
+ * @param {{ line: number | null, col: number | null, codePoint: number | null }} warning
+ * @param {Set<number>} claimed - Offsets already flagged
+ * @returns {FlaggedChar | null}
+ */
+function locateWarning(document, warning, claimed) {
+    if (warning.line !== null && warning.line < document.lineCount) {
+        const lineStart = document.offsetAt(new vscode.Position(warning.line, 0));
+        const lineText = document.lineAt(warning.line).text;
+        const col = Math.min(warning.col, lineText.length - 1);
+        const found = lineText.codePointAt(col);
+        if (warning.codePoint === null || found === warning.codePoint) {
+            return found !== undefined && found > 0x7F ? { offset: lineStart + col, codePoint: found } : null;
+        }
+        const index = lineText.indexOf(String.fromCodePoint(warning.codePoint));
+        return index === -1 ? null : { offset: lineStart + index, codePoint: warning.codePoint };
+    }
+    if (warning.codePoint === null) return null;
+    const text = document.getText();
+    const char = String.fromCodePoint(warning.codePoint);
+    for (let offset = text.indexOf(char); offset !== -1; offset = text.indexOf(char, offset + 1)) {
+        if (!claimed.has(offset)) return { offset, codePoint: warning.codePoint };
+    }
+    return null;
+}
+
+/**
+ * Move flagged characters along with an edit, dropping the ones it replaced
+ * @param {vscode.TextDocument} document - The document after the edit
+ * @param {FlaggedChar[]} flagged
+ * @param {ReadonlyArray<vscode.TextDocumentContentChangeEvent>} changes
+ * @returns {FlaggedChar[]}
+ */
+function followEdits(document, flagged, changes) {
+    let result = flagged;
+    // Last change first, so the offsets of earlier ones stay valid
+    for (const change of [...changes].sort((a, b) => b.rangeOffset - a.rangeOffset)) {
+        const changeEnd = change.rangeOffset + change.rangeLength;
+        const delta = change.text.length - change.rangeLength;
+        result = result
+            .filter(char => char.offset < change.rangeOffset || char.offset >= changeEnd)
+            .map(char => (char.offset >= changeEnd ? { offset: char.offset + delta, codePoint: char.codePoint } : char));
+    }
+    const text = document.getText();
+    return result.filter(char => text.codePointAt(char.offset) === char.codePoint);
+}
+
+/**
+ * Update CHAR-AUDIT diagnostics from a `hot fmt` run on a document
+ * Only the characters the warnings point at are flagged.
+ * @param {vscode.TextDocument} document
+ * @param {string} stderr
+ */
+function reportCharAudit(document, stderr) {
+    if (!diagnostics) return;
+    const key = document.uri.toString();
+
+    /** @type {Set<number>} */
+    const claimed = new Set();
+    /** @type {FlaggedChar[]} */
+    const flagged = [];
+    for (const warning of parseCharAuditWarnings(stderr)) {
+        const char = locateWarning(document, warning, claimed);
+        if (char && !claimed.has(char.offset)) {
+            claimed.add(char.offset);
+            flagged.push(char);
+        }
+    }
+    if (flagged.length === 0) {
+        flaggedChars.delete(key);
+        diagnostics.delete(document.uri);
+        return;
+    }
+
+    flaggedChars.set(key, flagged);
+    diagnostics.set(document.uri, flagged.map(char => createDiagnostic(document, char.offset, char.codePoint)));
+}
+
+/**
+ * Replacement for the character a diagnostic points at
+ * A smart double quote inside a `"..."` string becomes `\"` so it doesn't end the string;
+ * inside a triple-quoted string next to another quote there is no safe replacement.
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Diagnostic} diagnostic
+ * @returns {string | null} null when the character can't be fixed automatically
+ */
+function replacementFor(document, diagnostic) {
+    const codePoint = document.getText(diagnostic.range).codePointAt(0);
+    const info = SUSPICIOUS_CHARS.get(codePoint);
+    if (!info) return '';
+    if (info.replacement !== '"') return info.replacement;
+
+    const text = document.getText();
+    const offset = document.offsetAt(diagnostic.range.start);
+    /** @type {import('./parser').Token | null} */
+    let string = null;
+    // Strings inside template interpolations are visited after their template, so the innermost wins
+    for (const form of getDocumentParse(document).forms) {
+        walkTokens(form.nodes, (token) => {
+            if (token.type === 'string' && token.start < offset && offset < token.end) string = token;
+        });
+    }
+    if (!string) return '"';
+    if (!text.startsWith('"""', string.start)) return '\\"';
+    return text[offset - 1] === '"' || text[offset + 1] === '"' ? null : '"';
+}
+
+/**
+ * Describe a replacement for a code action title
+ * @param {string} replacement
+ */
+function describeReplacement(replacement) {
+    if (replacement === '') return 'Remove';
+    if (replacement === ' ') return 'Replace with a regular space';
+    return `Replace with '${replacement}'`;
+}
+
+/**
+ * Quick fixes for CHAR-AUDIT diagnostics
+ * @type {vscode.CodeActionProvider}
+ */
+const codeActionProvider = {
+    provideCodeActions(document, range, context) {
+        const fileDiagnostics = diagnostics ? diagnostics.get(document.uri) || [] : [];
+        if (fileDiagnostics.length === 0) return [];
+        const actions = [];
+
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.code !== DIAGNOSTIC_CODE || diagnostic.source !== DIAGNOSTIC_SOURCE) continue;
+            const replacement = replacementFor(document, diagnostic);
+            if (replacement === null) continue;
+            const action = new vscode.CodeAction(describeReplacement(replacement), vscode.CodeActionKind.QuickFix);
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.replace(document.uri, diagnostic.range, replacement);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            actions.push(action);
+        }
+
+        const wantsFixAll = !context.only || context.only.contains(FIX_ALL_KIND) || FIX_ALL_KIND.contains(context.only);
+        const fixable = fileDiagnostics.filter(diagnostic => replacementFor(document, diagnostic) !== null);
+        if (fixable.length > 0 && (actions.length > 0 || (context.only && wantsFixAll))) {
+            const fixAll = new vscode.CodeAction(
+                `Fix all suspicious characters in file (${fixable.length})`,
+                actions.length > 0 ? vscode.CodeActionKind.QuickFix : FIX_ALL_KIND
+            );
+            fixAll.edit = new vscode.WorkspaceEdit();
+            for (const diagnostic of fixable) {
+                fixAll.edit.replace(document.uri, diagnostic.range, replacementFor(document, diagnostic));
+            }
+            fixAll.diagnostics = fixable;
+            actions.push(fixAll);
+        }
+
+        return actions;
+    }
+};
+
+/**
+ * Register the CHAR-AUDIT diagnostic collection and its quick fixes
+ * @param {vscode.ExtensionContext} context
+ */
+function registerCharAudit(context) {
+    diagnostics = vscode.languages.createDiagnosticCollection('hot-char-audit');
+    context.subscriptions.push(diagnostics);
+
+    context.subscriptions.push(vscode.languages.registerCodeActionsProvider('hot', codeActionProvider, {
+        providedCodeActionKinds: [vscode.CodeActionKind.QuickFix, FIX_ALL_KIND]
+    }));
+
+    // Diagnostics follow edits: fixed characters disappear, the rest move with the text
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(e => {
+        const key = e.document.uri.toString();
+        const flagged = flaggedChars.get(key);
+        if (!flagged || !diagnostics || e.contentChanges.length === 0) return;
+        const remaining = followEdits(e.document, flagged, e.contentChanges);
+        flaggedChars.set(key, remaining);
+        diagnostics.set(e.document.uri, remaining.map(char => createDiagnostic(e.document, char.offset, char.codePoint)));
+    }));
+
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => {
+        flaggedChars.delete(document.uri.toString());
+        if (diagnostics) diagnostics.delete(document.uri);
+    }));
+}
+
+module.exports = {
+    registerCharAudit,
+    reportCharAudit
+};
@@ -0,0 +1,355 @@
+const vscode = require('vscode');
+const { spawn } = require('child_process');
+
+/** How long an interrupted session may take to answer before it is killed */
+const INTERRUPT_GRACE_MS = 2000;
+
+/** stderr of a CLI that doesn't know a flag it was given */
+const UNKNOWN_FLAG = /unexpected argument|unknown (?:flag|option|argument)|unrecognized|wasn't expected/i;
+
+/**
+ * @typedef {Object} CliEvalDeps
+ * @property {(message: string) => void} log
+ */
+
+/**
+ * Where code is evaluated
+ * @typedef {Object} CliEvalContext
+ * @property {string} [namespace]
+ * @property {string} [fileUri]
+ * @property {string} root - Workspace folder path
+ * @property {string | null} [sessionId] - Named eval session; one process runs per root and session
+ */
+
+/**
+ * A long-running `hot eval --stdin --json` process
+ * It reads one JSON request per line, `{ id, code, namespace, file, root, session }`, and
+ * answers each with one JSON line, `{ id, success, result, error?, namespace?, stdout? }`,
+ * keeping definitions loaded between requests like the analyzer's `hot/eval`.
+ * CLIs that reject the flags get one `hot eval` process per evaluation instead.
+ * @typedef {Object} CliSession
+ * @property {import('child_process').ChildProcess} child
+ * @property {Map<number, (response: any) => void>} pending - Response handlers by request id
+ * @property {number} nextId
+ * @property {string} buffer - Incomplete stdout line
+ * @property {string} stderr - Recent stderr, for error messages
+ * @property {boolean} answered - Set once the session has answered a request
+ * @property {string} root
+ * @property {string | null} sessionId
+ */
+
+/** @type {CliEvalDeps} */
+let deps = { log: () => {} };
+
+/** @type {Map<string, CliSession>} keyed by workspace root and session id */
+const sessions = new Map();
+
+/** Set once the CLI rejects `eval --stdin --json`, so older CLIs get one process per evaluation */
+let sessionUnsupported = false;
+
+/** Set once the CLI rejects `eval --stdin`, so older CLIs get code as an argument */
+let stdinUnsupported = false;
+
+/**
+ * Key of the process for a root and session
+ * @param {string} root
+ * @param {string | null | undefined} sessionId
+ */
+function sessionKey(root, sessionId) {
+    return `${root}\n${sessionId || ''}`;
+}
+
+/**
+ * Describe a session process for logs
+ * @param {CliSession} session
+ */
+function describeSession(session) {
+    return session.sessionId ? `session ${session.sessionId} in ${session.root}` : `session in ${session.root}`;
+}
+
+/**
+ * Settle every pending request of a session that is gone
+ * @param {string} key
+ * @param {CliSession} session
+ * @param {any} response
+ */
+function failPending(key, session, response) {
+    if (sessions.get(key) === session) sessions.delete(key);
+    for (const handler of session.pending.values()) {
+        handler(response);
+    }
+    session.pending.clear();
+}
+
+/**
+ * Handle complete JSON lines written by a session
+ * @param {CliSession} session
+ * @param {string} chunk
+ */
+function onSessionOutput(session, chunk) {
+    session.buffer += chunk;
+    const lines = session.buffer.split('\n');
+    session.buffer = lines.pop();
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        let response;
+        try {
+            response = JSON.parse(line);
+        } catch (e) {
+            deps.log(`[hot eval] ${line}`);
+            continue;
+        }
+        const handler = session.pending.get(response.id);
+        if (handler) {
+            session.answered = true;
+            session.pending.delete(response.id);
+            handler(response);
+        }
+    }
+}
+
+/**
+ * Get the session process for a workspace root and session, starting it if needed
+ * @param {string} root
+ * @param {string | null} sessionId
+ * @returns {CliSession}
+ */
+function getSession(root, sessionId) {
+    const key = sessionKey(root, sessionId);
+    const existing = sessions.get(key);
+    if (existing) return existing;
+
+    const commandPath = vscode.workspace.getConfiguration('hot').get('lsp.commandPath', 'hot');
+    const child = spawn(commandPath, ['eval', '--stdin', '--json'], { cwd: root });
+    /** @type {CliSession} */
+    const session = { child, pending: new Map(), nextId: 1, buffer: '', stderr: '', answered: false, root, sessionId };
+    sessions.set(key, session);
+    deps.log(`[hot] Started CLI eval ${describeSession(session)}`);
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => onSessionOutput(session, chunk));
+    child.stderr.on('data', (chunk) => {
+        session.stderr = (session.stderr + chunk).slice(-4000);
+    });
+    child.stdin.on('error', () => {});
+
+    child.on('error', (e) => {
+        failPending(key, session, { success: false, result: '', error: e.message });
+    });
+    child.on('close', (code) => {
+        const stderr = session.stderr.trim();
+        const rejected = !session.answered && UNKNOWN_FLAG.test(stderr);
+        if (rejected) {
+            sessionUnsupported = true;
+            deps.log('[hot] hot eval does not support --stdin --json; evaluating each request with hot eval --stdin');
+            failPending(key, session, { unsupported: true });
+            return;
+        }
+        if (sessions.get(key) === session) {
+            deps.log(`[hot] CLI eval ${describeSession(session)} exited (code ${code})`);
+        }
+        failPending(key, session, {
+            success: false,
+            result: '',
+            error: stderr || `Hot eval session exited with code ${code}`
+        });
+    });
+
+    return session;
+}
+
+/**
+ * Stop a session process; the next evaluation starts a fresh one
+ * @param {string} key
+ */
+function stopSession(key) {
+    const session = sessions.get(key);
+    if (!session) return;
+    sessions.delete(key);
+    session.child.stdin.end();
+    session.child.kill();
+}
+
+/**
+ * Send one request to the session process for `context.root` and `context.sessionId`
+ * On cancellation the session is interrupted, and killed if it doesn't answer in time.
+ * @param {string} code
+ * @param {CliEvalContext} context
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<any>} The session's response, or null once cancelled
+ */
+function sendToSession(code, context, token) {
+    const session = getSession(context.root, context.sessionId || null);
+    const key = sessionKey(context.root, context.sessionId);
+    const id = session.nextId++;
+    const fileUri = context.fileUri ? vscode.Uri.parse(context.fileUri) : null;
+
+    return new Promise((resolve) => {
+        const cancellation = token.onCancellationRequested(() => {
+            session.pending.delete(id);
+            resolve(null);
+            session.child.kill('SIGINT');
+            const timer = setTimeout(() => {
+                deps.log(`[hot] CLI eval ${describeSession(session)} did not stop after an interrupt; restarting it`);
+                if (sessions.get(key) === session) stopSession(key);
+            }, INTERRUPT_GRACE_MS);
+            session.child.once('close', () => clearTimeout(timer));
+            // Anything the session writes next means it survived the interrupt
+            session.child.stdout.once('data', () => clearTimeout(timer));
+        });
+
+        session.pending.set(id, (response) => {
+            cancellation.dispose();
+            resolve(response);
+        });
+        session.child.stdin.write(JSON.stringify({
+            id,
+            code,
+            namespace: context.namespace || null,
+            file: fileUri && fileUri.scheme === 'file' ? fileUri.fsPath : null,
+            root: context.root,
+            session: context.sessionId || null
+        }) + '\n', 'utf8');
+    });
+}
+
+/**
+ * Run `hot` with arguments in a workspace root, feeding `input` on stdin
+ * @param {string[]} args
+ * @param {string | null} input
+ * @param {string} root
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string, error?: string } | null>} null once cancelled
+ */
+function runEval(args, input, root, token) {
+    const commandPath = vscode.workspace.getConfiguration('hot').get('lsp.commandPath', 'hot');
+    return new Promise((resolve) => {
+        let stdout = '';
+        let stderr = '';
+        let settled = false;
+        const child = spawn(commandPath, args, { cwd: root });
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            kill.dispose();
+            resolve(token.isCancellationRequested ? null : result);
+        };
+        const kill = token.onCancellationRequested(() => child.kill());
+
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', (e) => finish({ code: null, stdout, stderr, error: e.message }));
+        child.on('close', (code) => finish({ code, stdout, stderr }));
+
+        // Ignore EPIPE when the CLI exits before reading all of stdin
+        child.stdin.on('error', () => {});
+        child.stdin.end(input === null ? undefined : input, 'utf8');
+    });
+}
+
+/**
+ * Evaluate with one `hot eval` process, for CLIs without sessions
+ * The code goes through stdin with `--namespace` and `--file`. CLIs that reject those get
+ * `hot eval <code>`, without the file's context, as before sessions existed.
+ * @param {string} code
+ * @param {CliEvalContext} context
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<{ success: boolean, result: string, error?: string } | null>} null once cancelled
+ */
+async function evaluateOneShot(code, context, token) {
+    let run = null;
+    if (!stdinUnsupported) {
+        const fileUri = context.fileUri ? vscode.Uri.parse(context.fileUri) : null;
+        const args = ['eval', '--stdin'];
+        if (context.namespace) args.push('--namespace', context.namespace);
+        if (fileUri && fileUri.scheme === 'file') args.push('--file', fileUri.fsPath);
+        run = await runEval(args, code, context.root, token);
+        if (run === null) return null;
+        if (run.code !== 0 && !run.error && UNKNOWN_FLAG.test(run.stderr)) {
+            stdinUnsupported = true;
+            deps.log('[hot] hot eval does not support --stdin, --namespace or --file; passing code as an argument');
+            run = null;
+        }
+    }
+    if (!run) {
+        run = await runEval(['eval', code], null, context.root, token);
+        if (run === null) return null;
+    }
+
+    if (run.code === 0) return { success: true, result: run.stdout.trim() };
+    return { success: false, result: '', error: run.error || run.stderr.trim() || `hot eval exited with code ${run.code}` };
+}
+
+/**
+ * Evaluate Hot code with the CLI in the session process for the workspace root and session
+ * @param {string} code
+ * @param {CliEvalContext} context
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<{ success: boolean, result: string, error?: string, namespace?: string, stdout?: string } | null>} null once cancelled
+ */
+async function evaluateWithCli(code, context, token) {
+    if (!sessionUnsupported) {
+        const response = await sendToSession(code, context, token);
+        if (response === null) return null;
+        if (!response.unsupported) {
+            return {
+                success: !!response.success,
+                result: response.result || '',
+                error: response.error || undefined,
+                namespace: response.namespace || undefined,
+                stdout: response.stdout || undefined
+            };
+        }
+    }
+    return evaluateOneShot(code, context, token);
+}
+
+/**
+ * Forget the definitions of a CLI session
+ * @param {string | null} root - Workspace folder path, or null for every folder
+ * @param {string | null} sessionId
+ * @returns {boolean} false if no session was running
+ */
+function resetCliSession(root, sessionId) {
+    const keys = [...sessions.entries()]
+        .filter(([, session]) => (root === null || session.root === root) && session.sessionId === (sessionId || null))
+        .map(([key]) => key);
+    keys.forEach(stopSession);
+    return keys.length > 0;
+}
+
+/**
+ * Register CLI eval sessions, stopping them on deactivation
+ * @param {vscode.ExtensionContext} context
+ * @param {CliEvalDeps} cliDeps
+ */
+function registerCliEval(context, cliDeps) {
+    deps = cliDeps;
+    context.subscriptions.push({
+        dispose() {
+            for (const key of [...sessions.keys()]) {
+                stopSession(key);
+            }
+        }
+    });
+
+    // A different CLI may support sessions
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('hot.lsp.commandPath')) {
+            sessionUnsupported = false;
+            stdinUnsupported = false;
+            for (const key of [...sessions.keys()]) {
+                stopSession(key);
+            }
+        }
+    }));
+}
+
+module.exports = {
+    registerCliEval,
+    evaluateWithCli,
+    resetCliSession
+};
@@ -0,0 +1,202 @@
+const vscode = require('vscode');
+const { getDocumentParse, findFormAt, parseHot } = require('./parser');
+
+/**
+ * Setting that turns the lenses of each kind of form on or off
+ * @type {Record<string, string>}
+ */
+const KIND_SETTINGS = {
+    fn: 'codeLens.functions',
+    value: 'codeLens.values',
+    type: 'codeLens.types',
+    enum: 'codeLens.types',
+    coercion: 'codeLens.coercions'
+};
+
+/**
+ * @typedef {Object} CodeLensDeps
+ * @property {(editor: vscode.TextEditor, targets: Array<{ text: string, range: vscode.Range }>, token: vscode.CancellationToken) => Promise<any>} evaluateInEditor
+ * @property {(editor: vscode.TextEditor, target: { text: string, range: vscode.Range }) => Promise<void>} evaluateToPanel
+ * @property {(editor: vscode.TextEditor, range: vscode.Range) => Promise<void>} sendToRepl
+ */
+
+/** @type {CodeLensDeps} */
+let deps = { evaluateInEditor: async () => [], evaluateToPanel: async () => {}, sendToRepl: async () => {} };
+
+const codeLensEmitter = new vscode.EventEmitter();
+
+/**
+ * Whether lenses are enabled for a kind of form
+ * @param {string} kind
+ * @param {vscode.Uri} uri
+ */
+function isEnabled(kind, uri) {
+    const setting = KIND_SETTINGS[kind];
+    return !!setting && vscode.workspace.getConfiguration('hot', uri).get(setting, true);
+}
+
+/**
+ * Lenses over every top-level definition, built from the parser so they work without the analyzer
+ * @type {vscode.CodeLensProvider}
+ */
+const codeLensProvider = {
+    onDidChangeCodeLenses: codeLensEmitter.event,
+
+    provideCodeLenses(document) {
+        const lenses = [];
+        for (const form of getDocumentParse(document).forms) {
+            if (!isEnabled(form.kind, document.uri)) continue;
+            const position = document.positionAt(form.start);
+            const range = new vscode.Range(position, position);
+            const args = [document.uri, form.start];
+            lenses.push(
+                new vscode.CodeLens(range, { title: 'Eval', tooltip: `Evaluate ${form.name}`, command: 'hot.evalForm', arguments: args }),
+                new vscode.CodeLens(range, { title: 'Eval & show in panel', tooltip: 'Evaluate and open the result in the Eval Results panel', command: 'hot.evalFormToPanel', arguments: args }),
+                new vscode.CodeLens(range, { title: 'Send to REPL', tooltip: `Send ${form.name} to the Hot REPL`, command: 'hot.sendFormToRepl', arguments: args })
+            );
+            if (form.kind === 'type' || form.kind === 'enum') {
+                lenses.push(new vscode.CodeLens(range, {
+                    title: 'Find coercions',
+                    tooltip: `Find coercions to and from ${form.name}`,
+                    command: 'hot.findCoercions',
+                    arguments: [document.uri, form.name]
+                }));
+            }
+        }
+        return lenses;
+    }
+};
+
+/**
+ * Resolve the form a lens was created for, showing its document
+ * @param {vscode.Uri} uri
+ * @param {number} offset - Start of the form when the lens was created
+ * @returns {Promise<{ editor: vscode.TextEditor, text: string, range: vscode.Range } | null>}
+ */
+async function resolveForm(uri, offset) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const editor = vscode.window.visibleTextEditors.find(e => e.document === document)
+        || await vscode.window.showTextDocument(document, { preserveFocus: true, preview: false });
+    const form = findFormAt(getDocumentParse(document), offset);
+    if (!form || form.kind === 'ns') {
+        vscode.window.showWarningMessage('This definition has changed; try again once the CodeLens updates.');
+        return null;
+    }
+    const range = new vscode.Range(document.positionAt(form.start), document.positionAt(form.end));
+    return { editor, text: document.getText(range), range };
+}
+
+/**
+ * Convert an offset in text to a position
+ * @param {string} text
+ * @param {number} offset
+ */
+function positionAt(text, offset) {
+    const before = text.slice(0, offset);
+    const line = (before.match(/\n/g) || []).length;
+    return new vscode.Position(line, offset - (before.lastIndexOf('\n') + 1));
+}
+
+/**
+ * Find coercions to or from a type in every Hot file of the workspace
+ * Unopened files are read and parsed directly, without opening them as documents.
+ * @param {string} typeName
+ * @returns {Promise<vscode.Location[]>}
+ */
+async function findCoercions(typeName) {
+    const locations = [];
+    const files = await vscode.workspace.findFiles('**/*.hot', '**/node_modules/**');
+    for (const uri of files) {
+        const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+        let text;
+        let forms;
+        if (open) {
+            text = open.getText();
+            forms = getDocumentParse(open).forms;
+        } else {
+            try {
+                text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+            } catch (e) {
+                continue;
+            }
+            forms = parseHot(text).forms;
+        }
+        for (const form of forms) {
+            if (form.kind === 'coercion' && (form.from === typeName || form.to === typeName)) {
+                locations.push(new vscode.Location(uri, new vscode.Range(positionAt(text, form.start), positionAt(text, form.nameEnd))));
+            }
+        }
+    }
+    return locations;
+}
+
+/**
+ * Register the definition CodeLenses and their commands
+ * @param {vscode.ExtensionContext} context
+ * @param {CodeLensDeps} codeLensDeps
+ */
+function registerCodeLens(context, codeLensDeps) {
+    deps = codeLensDeps;
+
+    context.subscriptions.push(codeLensEmitter);
+    context.subscriptions.push(vscode.languages.registerCodeLensProvider({ language: 'hot' }, codeLensProvider));
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('hot.codeLens')) codeLensEmitter.fire();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.evalForm', async (uri, offset) => {
+        const target = await resolveForm(uri, offset);
+        if (!target) return;
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Evaluating...',
+            cancellable: true
+        }, (progress, token) => deps.evaluateInEditor(target.editor, [target], token));
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.evalFormToPanel', async (uri, offset) => {
+        const target = await resolveForm(uri, offset);
+        if (target) await deps.evaluateToPanel(target.editor, target);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.sendFormToRepl', async (uri, offset) => {
+        const target = await resolveForm(uri, offset);
+        if (target) await deps.sendToRepl(target.editor, target.range);
+    }));
+
+    // Called with the type's document and name from the CodeLens, or from the palette for the type at the cursor
+    context.subscriptions.push(vscode.commands.registerCommand('hot.findCoercions', async (uri, typeName) => {
+        let position;
+        if (uri && typeName) {
+            const document = await vscode.workspace.openTextDocument(uri);
+            const form = getDocumentParse(document).forms.find(f => (f.kind === 'type' || f.kind === 'enum') && f.name === typeName);
+            position = document.positionAt(form ? form.start : 0);
+        } else {
+            const editor = vscode.window.activeTextEditor;
+            const range = editor && editor.document.languageId === 'hot'
+                ? editor.document.getWordRangeAtPosition(editor.selection.active, /[A-Z][\w]*/)
+                : undefined;
+            if (!range) {
+                vscode.window.showWarningMessage('Place the cursor on a type name.');
+                return;
+            }
+            uri = editor.document.uri;
+            typeName = editor.document.getText(range);
+            position = range.start;
+        }
+
+        const locations = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: `Hot: Finding coercions for ${typeName}...`
+        }, () => findCoercions(typeName));
+        if (locations.length === 0) {
+            vscode.window.showInformationMessage(`No coercions to or from ${typeName} found.`);
+            return;
+        }
+        await vscode.commands.executeCommand('editor.action.showReferences', uri, position, locations);
+    }));
+}
+
+module.exports = {
+    registerCodeLens
+};
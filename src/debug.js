@@ -0,0 +1,322 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { getDocumentParse } = require('./parser');
+
+const DEBUG_TYPE = 'hot';
+
+/** Source locations printed by the CLI, linked in the debug console */
+const SOURCE_LOCATION = /((?:[A-Za-z]:)?[^\s():"'`]*\.hot):(\d+)(?::(\d+))?/;
+
+/**
+ * A `hot` launch configuration
+ * @typedef {Object} HotLaunchConfiguration
+ * @property {'hot'} type
+ * @property {'launch'} request
+ * @property {string} name
+ * @property {string} [program] - Hot file to run
+ * @property {string} [entry] - Function to call instead of the program's default entry point
+ * @property {string[]} [args] - Arguments for the entry function, as Hot literals
+ * @property {string} [cwd]
+ * @property {Record<string, string>} [env]
+ * @property {string | string[]} [envFile] - `.env` files loaded before `env`
+ * @property {'run' | 'test'} [mode] - `test` runs `hot test` with `args`, as the Test Explorer does
+ * @property {boolean} [noDebug]
+ */
+
+/** @type {Map<string, Promise<boolean>>} whether each CLI supports `hot dap`, by command path */
+const dapSupport = new Map();
+
+/**
+ * Whether the CLI can act as a debug adapter (`hot dap`)
+ * @param {string} commandPath
+ * @returns {Promise<boolean>}
+ */
+function supportsDap(commandPath) {
+    if (!dapSupport.has(commandPath)) {
+        dapSupport.set(commandPath, new Promise((resolve) => {
+            execFile(commandPath, ['dap', '--help'], { timeout: 5000 }, (error) => resolve(!error));
+        }));
+    }
+    return dapSupport.get(commandPath);
+}
+
+/**
+ * Read `KEY=value` lines from env files; later files win
+ * @param {string | string[] | undefined} envFile
+ * @param {string} cwd - Relative paths are resolved against it
+ * @returns {Record<string, string>}
+ */
+function loadEnvFiles(envFile, cwd) {
+    const env = {};
+    for (const file of [].concat(envFile || [])) {
+        const text = fs.readFileSync(path.resolve(cwd, file), 'utf8');
+        for (const line of text.split(/\r?\n/)) {
+            const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+            if (!match) continue;
+            let value = match[2];
+            if (/^(["']).*\1$/.test(value)) {
+                value = value.slice(1, -1);
+                if (match[2].startsWith('"')) value = value.replace(/\\n/g, '\n');
+            } else {
+                value = value.replace(/\s+#.*$/, '');
+            }
+            env[match[1]] = value;
+        }
+    }
+    return env;
+}
+
+/**
+ * CLI arguments for a launch configuration
+ * @param {HotLaunchConfiguration} config
+ * @returns {string[]}
+ */
+function cliArgs(config) {
+    if (config.mode === 'test') return ['test', ...(config.args || [])];
+    return [
+        'run',
+        ...(config.program ? [config.program] : []),
+        ...(config.entry ? ['--entry', config.entry] : []),
+        ...(config.args || []).flatMap(arg => ['--arg', arg])
+    ];
+}
+
+// ============================================================================
+// Run adapter
+// ============================================================================
+
+/**
+ * A minimal debug adapter that runs the program with the CLI and forwards its output
+ * Used when the CLI has no `hot dap` mode; supports launching and stopping, not breakpoints.
+ * @returns {vscode.DebugAdapter}
+ */
+function createRunAdapter() {
+    const messageEmitter = new vscode.EventEmitter();
+    /** @type {import('child_process').ChildProcess | null} */
+    let child = null;
+    let seq = 1;
+    let cwd = '';
+
+    const send = (message) => messageEmitter.fire({ seq: seq++, ...message });
+    const respond = (request, body = {}, error) => send({
+        type: 'response',
+        request_seq: request.seq,
+        command: request.command,
+        success: !error,
+        message: error,
+        body
+    });
+
+    // Lines mentioning a Hot file link to it from the debug console
+    const output = (category, text) => {
+        for (const line of text.split(/(?<=\n)/)) {
+            const match = line.match(SOURCE_LOCATION);
+            send({
+                type: 'event',
+                event: 'output',
+                body: match
+                    ? { category, output: line, source: { path: path.resolve(cwd, match[1]) }, line: parseInt(match[2], 10), column: match[3] ? parseInt(match[3], 10) : 1 }
+                    : { category, output: line }
+            });
+        }
+    };
+
+    /**
+     * @param {any} request
+     */
+    const launch = (request) => {
+        const config = /** @type {HotLaunchConfiguration} */ (request.arguments);
+        const commandPath = vscode.workspace.getConfiguration('hot').get('lsp.commandPath', 'hot');
+        cwd = config.cwd || process.cwd();
+        // envFile is already merged into env when the configuration was resolved
+        const env = { ...process.env, ...(config.env || {}) };
+
+        const args = cliArgs(config);
+        output('console', `> ${commandPath} ${args.join(' ')}\n`);
+        child = spawn(commandPath, args, { cwd, env });
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => output('stdout', chunk));
+        child.stderr.on('data', (chunk) => output('stderr', chunk));
+        child.on('error', (e) => output('stderr', `Failed to start ${commandPath}: ${e.message}\n`));
+        child.on('close', (code) => {
+            child = null;
+            send({ type: 'event', event: 'exited', body: { exitCode: code === null ? 1 : code } });
+            send({ type: 'event', event: 'terminated', body: {} });
+        });
+        respond(request);
+    };
+
+    return {
+        onDidSendMessage: messageEmitter.event,
+
+        handleMessage(message) {
+            if (message.type !== 'request') return;
+            switch (message.command) {
+                case 'initialize':
+                    respond(message, { supportsConfigurationDoneRequest: true, supportsTerminateRequest: true });
+                    send({ type: 'event', event: 'initialized', body: {} });
+                    break;
+                case 'launch':
+                    launch(message);
+                    break;
+                case 'configurationDone':
+                case 'setBreakpoints':
+                case 'setExceptionBreakpoints':
+                    respond(message, message.command === 'setBreakpoints' ? { breakpoints: [] } : {});
+                    break;
+                case 'threads':
+                    respond(message, { threads: [] });
+                    break;
+                case 'terminate':
+                case 'disconnect':
+                    if (child) child.kill();
+                    respond(message);
+                    break;
+                default:
+                    respond(message, {}, `${message.command} is not supported without hot dap`);
+            }
+        },
+
+        dispose() {
+            if (child) child.kill();
+            messageEmitter.dispose();
+        }
+    };
+}
+
+// ============================================================================
+// Configurations
+// ============================================================================
+
+/**
+ * Scaffolds launch.json entries and fills in defaults
+ * @type {vscode.DebugConfigurationProvider}
+ */
+const configurationProvider = {
+    provideDebugConfigurations() {
+        return [
+            {
+                type: DEBUG_TYPE,
+                request: 'launch',
+                name: 'Run Current File',
+                program: '${file}',
+                cwd: '${workspaceFolder}'
+            },
+            {
+                type: DEBUG_TYPE,
+                request: 'launch',
+                name: 'Run Function',
+                program: '${file}',
+                entry: '${command:hot.pickEntryFunction}',
+                args: [],
+                cwd: '${workspaceFolder}'
+            }
+        ];
+    },
+
+    resolveDebugConfiguration(folder, config) {
+        // F5 without a launch.json runs the active Hot file
+        if (!config.type && !config.request && !config.name) {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.document.languageId !== 'hot') {
+                vscode.window.showWarningMessage('Open a Hot file to run, or add a hot launch configuration.');
+                return undefined;
+            }
+            config.type = DEBUG_TYPE;
+            config.request = 'launch';
+            config.name = 'Run Current File';
+            config.program = editor.document.uri.fsPath;
+        }
+        return config;
+    },
+
+    resolveDebugConfigurationWithSubstitutedVariables(folder, config) {
+        if (!config.cwd) {
+            const programFolder = config.program ? vscode.workspace.getWorkspaceFolder(vscode.Uri.file(config.program)) : undefined;
+            config.cwd = (folder || programFolder)?.uri.fsPath;
+        }
+        // Env files become `env` here so `hot dap` and the run adapter both get them
+        if (config.envFile) {
+            try {
+                config.env = { ...loadEnvFiles(config.envFile, config.cwd || process.cwd()), ...(config.env || {}) };
+            } catch (e) {
+                vscode.window.showErrorMessage(`Failed to read envFile: ${e.message}`);
+                return undefined;
+            }
+            delete config.envFile;
+        }
+        return config;
+    }
+};
+
+/**
+ * Runs sessions through `hot dap` when the CLI has it, otherwise through the run adapter
+ * @type {vscode.DebugAdapterDescriptorFactory}
+ */
+const adapterFactory = {
+    async createDebugAdapterDescriptor(session) {
+        const commandPath = vscode.workspace.getConfiguration('hot', session.workspaceFolder?.uri).get('lsp.commandPath', 'hot');
+        if (await supportsDap(commandPath)) {
+            return new vscode.DebugAdapterExecutable(commandPath, ['dap'], { cwd: session.configuration.cwd });
+        }
+        return new vscode.DebugAdapterInlineImplementation(createRunAdapter());
+    }
+};
+
+/**
+ * Register the `hot` debug type, Run Current File and the entry function picker
+ * @param {vscode.ExtensionContext} context
+ */
+function registerDebug(context) {
+    context.subscriptions.push(vscode.debug.registerDebugConfigurationProvider(DEBUG_TYPE, configurationProvider));
+    context.subscriptions.push(vscode.debug.registerDebugConfigurationProvider(DEBUG_TYPE, configurationProvider,
+        vscode.DebugConfigurationProviderTriggerKind.Dynamic));
+    context.subscriptions.push(vscode.debug.registerDebugAdapterDescriptorFactory(DEBUG_TYPE, adapterFactory));
+
+    // A different CLI may have a debug adapter
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('hot.lsp.commandPath')) dapSupport.clear();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.runCurrentFile', async (uri) => {
+        const document = uri ? await vscode.workspace.openTextDocument(uri) : vscode.window.activeTextEditor?.document;
+        if (!document || document.languageId !== 'hot') {
+            vscode.window.showWarningMessage('No Hot file is currently active.');
+            return;
+        }
+        if (document.isDirty) await document.save();
+        const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+        await vscode.debug.startDebugging(folder, {
+            type: DEBUG_TYPE,
+            request: 'launch',
+            name: `Run ${path.basename(document.uri.fsPath)}`,
+            program: document.uri.fsPath
+        }, { noDebug: true });
+    }));
+
+    // Used as `${command:hot.pickEntryFunction}` in launch configurations
+    context.subscriptions.push(vscode.commands.registerCommand('hot.pickEntryFunction', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.languageId !== 'hot') {
+            return vscode.window.showInputBox({ prompt: 'Entry function to run, e.g. ::myapp/main' });
+        }
+        const functions = getDocumentParse(editor.document).forms.filter(f => f.kind === 'fn' && f.name);
+        const picked = await vscode.window.showQuickPick(functions.map(form => ({
+            label: form.name,
+            description: form.flow || '',
+            detail: editor.document.getText(new vscode.Range(
+                editor.document.positionAt(form.start),
+                editor.document.positionAt(form.params ? form.params.end : form.nameEnd)
+            ))
+        })), { placeHolder: 'Entry function to run' });
+        return picked ? picked.label : undefined;
+    }));
+}
+
+module.exports = {
+    registerDebug,
+    supportsDap
+};
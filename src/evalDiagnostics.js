@@ -0,0 +1,255 @@
+const vscode = require('vscode');
+const path = require('path');
+
+const DIAGNOSTIC_SOURCE = 'hot eval';
+
+/**
+ * A frame of a Hot error's stack trace
+ * @typedef {Object} ErrorFrame
+ * @property {string | null} name - Function the frame is in, if given
+ * @property {string} file
+ * @property {number} line - 0-based
+ * @property {number} col - 0-based
+ */
+
+/**
+ * An eval error broken into its message and locations
+ * @typedef {Object} ParsedEvalError
+ * @property {string} message - First line of the error
+ * @property {{ line: number, col: number } | null} location - 0-based position within the evaluated code
+ * @property {ErrorFrame[]} frames - Locations in files
+ */
+
+/**
+ * Diagnostics from evaluating one piece of a document
+ * Offsets are kept up to date as the document is edited.
+ * @typedef {Object} EvalErrorEntry
+ * @property {number} start - Offset of the evaluated code's start
+ * @property {number} end - Offset of the evaluated code's end
+ * @property {number} errorStart
+ * @property {number} errorEnd
+ * @property {string} message
+ * @property {ErrorFrame[]} frames
+ */
+
+/** @type {vscode.DiagnosticCollection | null} */
+let diagnostics = null;
+
+/** @type {Map<string, EvalErrorEntry[]>} keyed by document URI */
+const errorsByDocument = new Map();
+
+/** Names the CLI and analyzer use for code that isn't in a file */
+const SNIPPET_LOCATION = /<(?:eval|repl|stdin|input)>:(\d+)(?::(\d+))?/;
+const LINE_COLUMN = /\bline\s+(\d+)(?:[,\s]+col(?:umn)?\s+(\d+))?/i;
+const FILE_LOCATION = /(?:\bat\s+([^\s()]+)\s+\()?((?:[A-Za-z]:)?[^\s():"'`]*\.hot):(\d+)(?::(\d+))?/g;
+
+/**
+ * Parse an eval error into its message, snippet location and stack frames
+ * @param {string} error
+ * @returns {ParsedEvalError}
+ */
+function parseEvalError(error) {
+    const text = error || '';
+    const message = text.split(/\r?\n/).find(line => line.trim()) || 'Evaluation failed';
+
+    let location = null;
+    const snippet = text.match(SNIPPET_LOCATION) || text.match(LINE_COLUMN);
+    if (snippet) {
+        location = {
+            line: Math.max(0, parseInt(snippet[1], 10) - 1),
+            col: snippet[2] ? Math.max(0, parseInt(snippet[2], 10) - 1) : 0
+        };
+    }
+
+    /** @type {ErrorFrame[]} */
+    const frames = [];
+    for (const match of text.matchAll(FILE_LOCATION)) {
+        frames.push({
+            name: match[1] || null,
+            file: match[2],
+            line: Math.max(0, parseInt(match[3], 10) - 1),
+            col: match[4] ? Math.max(0, parseInt(match[4], 10) - 1) : 0
+        });
+    }
+
+    return { message: message.trim(), location, frames };
+}
+
+/**
+ * Resolve a frame's file against the document's workspace folder
+ * @param {vscode.TextDocument} document
+ * @param {string} file
+ * @returns {vscode.Uri}
+ */
+function resolveFrameUri(document, file) {
+    if (path.isAbsolute(file)) return vscode.Uri.file(file);
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    if (folder) return vscode.Uri.joinPath(folder.uri, file);
+    if (document.uri.scheme === 'file') return vscode.Uri.file(path.join(path.dirname(document.uri.fsPath), file));
+    return vscode.Uri.file(file);
+}
+
+/**
+ * Whether a frame points into the document itself
+ * @param {vscode.TextDocument} document
+ * @param {ErrorFrame} frame
+ */
+function isSameDocument(document, frame) {
+    return resolveFrameUri(document, frame.file).toString() === document.uri.toString();
+}
+
+/**
+ * Work out where an error points in the document
+ * Snippet positions are relative to the evaluated code; file positions to the document.
+ * @param {vscode.TextDocument} document
+ * @param {number} codeStart - Offset where the evaluated code starts
+ * @param {number} start - Offset of the evaluated range
+ * @param {number} end
+ * @param {ParsedEvalError} parsed
+ * @returns {{ start: number, end: number }}
+ */
+function locateError(document, codeStart, start, end, parsed) {
+    let offset = null;
+    if (parsed.location) {
+        const startPosition = document.positionAt(codeStart);
+        const line = startPosition.line + parsed.location.line;
+        const col = parsed.location.line === 0 ? startPosition.character + parsed.location.col : parsed.location.col;
+        if (line < document.lineCount) {
+            offset = document.offsetAt(document.validatePosition(new vscode.Position(line, col)));
+        }
+    } else {
+        const frame = parsed.frames.find(f => isSameDocument(document, f));
+        const candidate = frame && frame.line < document.lineCount
+            ? document.offsetAt(document.validatePosition(new vscode.Position(frame.line, frame.col)))
+            : null;
+        if (candidate !== null && candidate >= start && candidate <= end) offset = candidate;
+    }
+
+    // No usable position: flag the first line of the evaluated code
+    if (offset === null || offset < start || offset > end) {
+        const firstLine = document.lineAt(document.positionAt(codeStart).line);
+        return { start: codeStart, end: Math.min(end, Math.max(codeStart, document.offsetAt(firstLine.range.end))) };
+    }
+
+    // Underline the word at the error, or a single character
+    const position = document.positionAt(offset);
+    const word = document.getWordRangeAtPosition(position, /[\w$:/.-]+/);
+    if (word && document.offsetAt(word.end) <= end) {
+        return { start: document.offsetAt(word.start), end: document.offsetAt(word.end) };
+    }
+    return { start: offset, end: Math.min(end, offset + 1) };
+}
+
+/**
+ * Build the diagnostics of a document from its tracked errors
+ * @param {vscode.TextDocument} document
+ */
+function render(document) {
+    if (!diagnostics) return;
+    const entries = errorsByDocument.get(document.uri.toString()) || [];
+    diagnostics.set(document.uri, entries.map(entry => {
+        const range = new vscode.Range(document.positionAt(entry.errorStart), document.positionAt(entry.errorEnd));
+        const diagnostic = new vscode.Diagnostic(range, entry.message, vscode.DiagnosticSeverity.Error);
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.relatedInformation = entry.frames.map(frame => new vscode.DiagnosticRelatedInformation(
+            new vscode.Location(resolveFrameUri(document, frame.file), new vscode.Position(frame.line, frame.col)),
+            frame.name ? `at ${frame.name}` : `at ${frame.file}:${frame.line + 1}:${frame.col + 1}`
+        ));
+        return diagnostic;
+    }));
+}
+
+/**
+ * Report the outcome of evaluating part of a document
+ * Errors become diagnostics; any earlier error for the same code is replaced, so a
+ * successful evaluation clears it.
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range - Range the code was taken from
+ * @param {string} code - The evaluated code
+ * @param {{ success: boolean, error?: string, cancelled?: boolean }} result
+ */
+function reportEvalResult(document, range, code, result) {
+    const key = document.uri.toString();
+    const start = document.offsetAt(range.start);
+    const end = document.offsetAt(range.end);
+
+    // Interrupts aren't errors in the code
+    if (result.cancelled) return;
+
+    const entries = (errorsByDocument.get(key) || []).filter(e => e.end <= start || e.start >= end);
+    if (!result.success) {
+        const parsed = parseEvalError(result.error);
+        // The code may be trimmed relative to the range, e.g. a whole line
+        const index = document.getText(range).indexOf(code);
+        const codeStart = start + Math.max(0, index);
+        const location = locateError(document, codeStart, start, end, parsed);
+        entries.push({
+            start,
+            end,
+            errorStart: location.start,
+            errorEnd: location.end,
+            message: parsed.message,
+            frames: parsed.frames
+        });
+    }
+
+    if (entries.length) errorsByDocument.set(key, entries);
+    else errorsByDocument.delete(key);
+    render(document);
+}
+
+/**
+ * Move tracked errors with document edits
+ * @param {vscode.TextDocumentChangeEvent} e
+ */
+function onDocumentChanged(e) {
+    const key = e.document.uri.toString();
+    const entries = errorsByDocument.get(key);
+    if (!entries || e.contentChanges.length === 0) return;
+
+    // Apply from the end of the document so offsets stay in original coordinates
+    const changes = [...e.contentChanges].sort((a, b) => b.rangeOffset - a.rangeOffset);
+    const shift = (offset, change, delta) => {
+        const changeEnd = change.rangeOffset + change.rangeLength;
+        if (offset <= change.rangeOffset) return offset;
+        if (offset >= changeEnd) return offset + delta;
+        return change.rangeOffset + change.text.length;
+    };
+    for (const entry of entries) {
+        for (const change of changes) {
+            const delta = change.text.length - change.rangeLength;
+            entry.start = shift(entry.start, change, delta);
+            entry.end = shift(entry.end, change, delta);
+            entry.errorStart = shift(entry.errorStart, change, delta);
+            entry.errorEnd = Math.max(entry.errorStart, shift(entry.errorEnd, change, delta));
+        }
+    }
+    render(e.document);
+}
+
+/**
+ * Register the eval diagnostic collection
+ * @param {vscode.ExtensionContext} context
+ */
+function registerEvalDiagnostics(context) {
+    diagnostics = vscode.languages.createDiagnosticCollection('hot-eval');
+    context.subscriptions.push(diagnostics);
+
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(onDocumentChanged));
+
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => {
+        errorsByDocument.delete(document.uri.toString());
+        if (diagnostics) diagnostics.delete(document.uri);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.clearEvalErrors', () => {
+        errorsByDocument.clear();
+        if (diagnostics) diagnostics.clear();
+    }));
+}
+
+module.exports = {
+    registerEvalDiagnostics,
+    reportEvalResult,
+    parseEvalError
+};
@@ -0,0 +1,370 @@
+const vscode = require('vscode');
+const { prettyPrintValue } = require('./values');
+
+const VIEW_ID = 'hotEvalHistory';
+const STATE_KEY = 'hotEvalHistory';
+const DOCUMENT_SCHEME = 'hot-eval';
+
+/**
+ * A recorded evaluation
+ * @typedef {Object} EvalEntry
+ * @property {string} id
+ * @property {string} code
+ * @property {string | null} namespace
+ * @property {string | null} uri - Source document URI
+ * @property {[number, number, number, number] | null} range - Source range: start line/char, end line/char
+ * @property {number} durationMs
+ * @property {boolean} success
+ * @property {string} result
+ * @property {string} [error]
+ * @property {string} [stdout]
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} EvalHistoryDeps
+ * @property {(entry: EvalEntry) => Promise<void>} rerun
+ */
+
+/** @type {vscode.ExtensionContext | null} */
+let extensionContext = null;
+/** @type {EvalEntry[]} newest first */
+let entries = [];
+/** @type {EvalHistoryDeps} */
+let deps = { rerun: async () => {} };
+
+/**
+ * Structured values from `hot/eval`, by entry id
+ * Only kept for this session: they can be large and may refer to server state.
+ * @type {Map<string, import('./values').ValueNode>}
+ */
+const structuredValues = new Map();
+
+const changeEmitter = new vscode.EventEmitter();
+/** @type {vscode.TreeView<EvalEntry> | null} */
+let treeView = null;
+
+/**
+ * First line of the code, shortened for labels
+ * @param {string} code
+ */
+function summarize(code) {
+    const firstLine = code.trim().split('\n')[0];
+    const more = code.trim().includes('\n') ? ' …' : '';
+    return firstLine.length > 60 ? firstLine.substring(0, 60) + '…' : firstLine + more;
+}
+
+/**
+ * One-line result shown next to an entry
+ * @param {EvalEntry} entry
+ */
+function summarizeResult(entry) {
+    const text = (entry.success ? `=> ${entry.result}` : `✗ ${entry.error || ''}`).replace(/\s*\n\s*/g, ' ');
+    return text.length > 80 ? text.substring(0, 80) + '…' : text;
+}
+
+/**
+ * Human-readable source location of an entry
+ * @param {EvalEntry} entry
+ */
+function describeLocation(entry) {
+    if (!entry.uri) return null;
+    const uri = vscode.Uri.parse(entry.uri);
+    const line = entry.range ? `:${entry.range[0] + 1}` : '';
+    return `${vscode.workspace.asRelativePath(uri)}${line}`;
+}
+
+/**
+ * Full text view of an entry, used for details and diffs
+ * @param {EvalEntry} entry
+ * @param {boolean} [valueOnly=false]
+ */
+function renderEntry(entry, valueOnly = false) {
+    const value = entry.success ? prettyPrintValue(entry.result) : `Error: ${entry.error || ''}`;
+    const stdout = entry.stdout && entry.stdout.trim() ? entry.stdout.trimEnd() : null;
+    if (valueOnly) {
+        return stdout ? `// Output:\n${stdout.split('\n').map(l => `// ${l}`).join('\n')}\n\n${value}\n` : `${value}\n`;
+    }
+
+    const lines = [
+        `// Evaluated ${new Date(entry.timestamp).toLocaleString()} in ${entry.durationMs} ms`,
+        `// Namespace: ${entry.namespace || '(default)'}`
+    ];
+    const location = describeLocation(entry);
+    if (location) lines.push(`// Source: ${location}`);
+    lines.push('', entry.code.trim(), '');
+    if (stdout) {
+        lines.push('// Output:', ...stdout.split('\n').map(l => `// ${l}`), '');
+    }
+    lines.push(`// ${entry.success ? 'Result' : 'Error'}:`, value, '');
+    return lines.join('\n');
+}
+
+/**
+ * Tree of past evaluations, newest first
+ * @type {vscode.TreeDataProvider<EvalEntry>}
+ */
+const treeDataProvider = {
+    onDidChangeTreeData: changeEmitter.event,
+
+    getChildren(element) {
+        return element ? [] : entries;
+    },
+
+    getTreeItem(entry) {
+        const item = new vscode.TreeItem(summarize(entry.code), vscode.TreeItemCollapsibleState.None);
+        item.id = entry.id;
+        item.description = summarizeResult(entry);
+        item.iconPath = new vscode.ThemeIcon(entry.success ? 'pass' : 'error',
+            new vscode.ThemeColor(entry.success ? 'testing.iconPassed' : 'testing.iconFailed'));
+        item.contextValue = `hotEvalEntry${entry.success ? '.value' : ''}${entry.uri ? '.withSource' : ''}`;
+
+        const tooltip = new vscode.MarkdownString();
+        tooltip.appendCodeblock(entry.code.trim(), 'hot');
+        tooltip.appendMarkdown(`Namespace: \`${entry.namespace || '(default)'}\`  \n`);
+        const location = describeLocation(entry);
+        if (location) tooltip.appendMarkdown(`Source: \`${location}\`  \n`);
+        tooltip.appendMarkdown(`${new Date(entry.timestamp).toLocaleString()} · ${entry.durationMs} ms\n\n`);
+        if (entry.stdout && entry.stdout.trim()) tooltip.appendCodeblock(entry.stdout.trimEnd(), 'text');
+        tooltip.appendCodeblock(entry.success ? prettyPrintValue(entry.result) : entry.error || '', entry.success ? 'hot' : 'text');
+        item.tooltip = tooltip;
+
+        item.command = { title: 'Show Details', command: 'hot.showEvalEntry', arguments: [entry] };
+        return item;
+    },
+
+    getParent() {
+        return undefined;
+    }
+};
+
+/**
+ * Serves `hot-eval:` documents: `/<id>.hot` for details, `/<id>.value.hot` for diffs
+ * @type {vscode.TextDocumentContentProvider}
+ */
+const contentProvider = {
+    provideTextDocumentContent(uri) {
+        const match = uri.path.match(/^\/(?:.*-)?(\d+)(\.value)?\.hot$/);
+        const entry = match && entries.find(e => e.id === match[1]);
+        if (!entry) return '// This evaluation is no longer in the history.\n';
+        return renderEntry(entry, !!match[2]);
+    }
+};
+
+/**
+ * Persist the history in workspace state, keeping at most `hot.eval.historySize` entries
+ */
+function save() {
+    const limit = vscode.workspace.getConfiguration('hot').get('eval.historySize', 200);
+    entries = entries.slice(0, Math.max(0, limit));
+    for (const id of structuredValues.keys()) {
+        if (!entries.some(e => e.id === id)) structuredValues.delete(id);
+    }
+    extensionContext?.workspaceState.update(STATE_KEY, entries);
+    changeEmitter.fire();
+}
+
+/**
+ * Record an evaluation in the history
+ * @param {Omit<EvalEntry, 'id' | 'timestamp'>} evaluation
+ * @param {import('./values').ValueNode} [structured] - Structured value, if the server sent one
+ * @returns {EvalEntry}
+ */
+function recordEval(evaluation, structured) {
+    // Ids are timestamps made unique, so detail documents of cleared entries are never reused
+    const timestamp = Date.now();
+    const lastId = entries.reduce((max, e) => Math.max(max, parseInt(e.id, 10) || 0), 0);
+    /** @type {EvalEntry} */
+    const entry = { ...evaluation, id: String(Math.max(timestamp, lastId + 1)), timestamp };
+    entries.unshift(entry);
+    if (structured) structuredValues.set(entry.id, structured);
+    save();
+    return entry;
+}
+
+/**
+ * Show the history view and select an entry
+ * @param {EvalEntry} entry
+ */
+async function revealEvalEntry(entry) {
+    if (!treeView) return;
+    await vscode.commands.executeCommand(`${VIEW_ID}.focus`);
+    await treeView.reveal(entry, { select: true, focus: false });
+}
+
+/**
+ * Open a diff of the values of two entries
+ * @param {EvalEntry} older
+ * @param {EvalEntry} newer
+ */
+async function diffEntries(older, newer) {
+    if (older.timestamp > newer.timestamp) [older, newer] = [newer, older];
+    const left = vscode.Uri.parse(`${DOCUMENT_SCHEME}:/${older.id}.value.hot`);
+    const right = vscode.Uri.parse(`${DOCUMENT_SCHEME}:/${newer.id}.value.hot`);
+    const time = (e) => new Date(e.timestamp).toLocaleTimeString();
+    await vscode.commands.executeCommand('vscode.diff', left, right,
+        `${summarize(newer.code)} (${time(older)} ↔ ${time(newer)})`);
+}
+
+/**
+ * Resolve the entries a tree command applies to
+ * @param {EvalEntry | undefined} entry - The clicked entry
+ * @param {EvalEntry[] | undefined} selected - All selected entries
+ * @returns {EvalEntry | undefined}
+ */
+function targetEntry(entry, selected) {
+    return entry || (selected && selected[0]) || (treeView && treeView.selection[0]);
+}
+
+/**
+ * Register the eval history view and its commands
+ * @param {vscode.ExtensionContext} context
+ * @param {EvalHistoryDeps} historyDeps
+ */
+function registerEvalHistory(context, historyDeps) {
+    extensionContext = context;
+    deps = historyDeps;
+    entries = context.workspaceState.get(STATE_KEY, []);
+
+    treeView = vscode.window.createTreeView(VIEW_ID, { treeDataProvider, canSelectMany: true, showCollapseAll: false });
+    context.subscriptions.push(treeView, changeEmitter);
+    context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(DOCUMENT_SCHEME, contentProvider));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.showEvalEntry', async (entry) => {
+        entry = targetEntry(entry);
+        if (!entry) return;
+        const uri = vscode.Uri.parse(`${DOCUMENT_SCHEME}:/eval-${entry.id}.hot`);
+        const document = await vscode.workspace.openTextDocument(uri);
+        await vscode.window.showTextDocument(document, { preview: true, preserveFocus: true });
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.rerunEval', async (entry, selected) => {
+        entry = targetEntry(entry, selected);
+        if (entry) await deps.rerun(entry);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.goToEvalSource', async (entry, selected) => {
+        entry = targetEntry(entry, selected);
+        if (!entry || !entry.uri) return;
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(entry.uri));
+            const range = entry.range
+                ? document.validateRange(new vscode.Range(entry.range[0], entry.range[1], entry.range[2], entry.range[3]))
+                : undefined;
+            await vscode.window.showTextDocument(document, { selection: range });
+        } catch (e) {
+            vscode.window.showWarningMessage(`Cannot open ${describeLocation(entry)}: ${e.message}`);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.inspectEvalEntry', async (entry, selected) => {
+        entry = targetEntry(entry, selected);
+        if (!entry || !entry.success) return;
+        await vscode.commands.executeCommand('hot.inspectValue', {
+            label: entry.code,
+            text: entry.result,
+            value: structuredValues.get(entry.id),
+            uri: entry.uri || undefined
+        });
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.copyEvalEntry', async (entry, selected) => {
+        entry = targetEntry(entry, selected);
+        if (!entry) return;
+        await vscode.env.clipboard.writeText(entry.success ? prettyPrintValue(entry.result) : entry.error || '');
+        vscode.window.setStatusBarMessage('Hot eval result copied to clipboard.', 3000);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.copyEvalCode', async (entry, selected) => {
+        entry = targetEntry(entry, selected);
+        if (entry) await vscode.env.clipboard.writeText(entry.code);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.compareEvalResults', async (entry, selected) => {
+        const picked = selected && selected.length > 1 ? selected : entry ? [entry] : treeView?.selection || [];
+        if (picked.length >= 2) {
+            if (picked[0].code.trim() !== picked[1].code.trim()) {
+                vscode.window.showWarningMessage('Only results of the same expression can be compared.');
+                return;
+            }
+            await diffEntries(picked[0], picked[1]);
+            return;
+        }
+
+        // A single entry is compared with the previous result of the same expression
+        const current = picked[0];
+        if (!current) return;
+        const previous = entries.find(e => e.timestamp < current.timestamp && e.code.trim() === current.code.trim());
+        if (!previous) {
+            vscode.window.showInformationMessage('No earlier result of this expression to compare with.');
+            return;
+        }
+        await diffEntries(previous, current);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.removeEvalEntry', (entry, selected) => {
+        const remove = new Set((selected && selected.length ? selected : [entry]).filter(Boolean).map(e => e.id));
+        entries = entries.filter(e => !remove.has(e.id));
+        save();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.clearEvalHistory', () => {
+        entries = [];
+        save();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.showEvalOutput', async () => {
+        await vscode.commands.executeCommand(`${VIEW_ID}.focus`);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.recallEval', async () => {
+        if (entries.length === 0) {
+            vscode.window.showInformationMessage('The Hot eval history is empty.');
+            return;
+        }
+
+        // Most recent first, one item per distinct expression
+        const seen = new Set();
+        const items = [];
+        for (const entry of entries) {
+            const key = entry.code.trim();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            items.push({
+                label: summarize(entry.code),
+                description: entry.namespace || '',
+                detail: summarizeResult(entry),
+                entry
+            });
+        }
+
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: 'Recall a previous Hot expression into the editor',
+            matchOnDescription: true,
+            matchOnDetail: true
+        });
+        if (!picked) return;
+
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            await vscode.env.clipboard.writeText(picked.entry.code);
+            vscode.window.showInformationMessage('No active editor; the expression was copied to the clipboard.');
+            return;
+        }
+        await editor.edit(edit => {
+            for (const selection of editor.selections) {
+                edit.replace(selection, picked.entry.code);
+            }
+        });
+    }));
+
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('hot.eval.historySize')) save();
+    }));
+}
+
+module.exports = {
+    registerEvalHistory,
+    recordEval,
+    revealEvalEntry
+};
@@ -1,18 +1,54 @@
 const vscode = require('vscode');
 const { LanguageClient, TransportKind } = require('vscode-languageclient/node');
-const { execFile, spawn } = require('child_process');
+const { execFile } = require('child_process');
 const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const { getDocumentParse, findFormAt, noteDocumentChanges, forgetDocument } = require('./parser');
+const { registerNotebook } = require('./notebook');
+const { registerFormatting, formatHotDocument, formatHotRange } = require('./formatting');
+const { registerCharAudit } = require('./charAudit');
+const { registerInlineResults, showInlineResult } = require('./inlineResults');
+const { registerEvalHistory, recordEval, revealEvalEntry } = require('./evalHistory');
+const { registerInspector } = require('./inspector');
+const { registerCliEval, evaluateWithCli, resetCliSession } = require('./cliEval');
+const { registerEvalDiagnostics, reportEvalResult } = require('./evalDiagnostics');
+const { registerRepl, sendRangeToRepl, disposeRepl } = require('./repl');
+const { registerRunWithArgs } = require('./runWithArgs');
+const { registerCodeLens } = require('./codeLens');
+const { registerTesting } = require('./testing');
+const { registerTasks } = require('./tasks');
+const { registerDebug, supportsDap } = require('./debug');
+const { registerWorkspaceIndex } = require('./workspaceIndex');
+const { registerOfflineFeatures } = require('./offlineFeatures');
+const { registerNamespaces } = require('./namespaces');
+const { registerNamespaceSync } = require('./namespaceSync');
+const { registerFlowGraph } = require('./flowGraph');
+const { registerStructuralEditing } = require('./structuralEditing');
+const { registerRefactorings } = require('./refactorings');
+const { registerSessions, getSessionFor, getActiveSession, wireSessionId } = require('./sessions');
 
-/** @type {LanguageClient | null} */
-let client = null;
+/**
+ * A language client bound to a single workspace folder
+ * @typedef {Object} FolderClient
+ * @property {vscode.WorkspaceFolder} folder
+ * @property {LanguageClient} client
+ * @property {'starting' | 'running' | 'stopping' | 'stopped'} state
+ * @property {string | null} runningVersion
+ */
+
+/** @type {Map<string, FolderClient>} keyed by workspace folder URI */
+const clients = new Map();
+/** @type {Map<string, vscode.OutputChannel>} per-folder LSP logs, kept across restarts */
+const folderChannels = new Map();
+/** @type {Set<string>} folders the user stopped explicitly; not restarted lazily */
+const stoppedFolders = new Set();
+/** @type {Map<string, vscode.FileSystemWatcher>} `.hot` file watchers per folder, shared by its client and test discovery */
+const hotFileWatchers = new Map();
+/** @type {vscode.EventEmitter<{ uri: vscode.Uri, type: 'created' | 'changed' | 'deleted' }>} */
+const hotFileEmitter = new vscode.EventEmitter();
 let channel = null;
 const CHANNEL_NAME = 'Hot Language Server';
 let statusBarItem = null;
-let isRunning = false;
 let extVersion = 'unknown';
-let runningVersion = null;
 let installedVersion = null;
 
 /** @type {vscode.ExtensionContext | null} */
@@ -21,149 +57,16 @@ let extensionContext = null;
 const VERSION_CHECK_URL = 'https://get.hot.dev/releases/latest/version.txt';
 const VERSION_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
 
-// REPL terminal management
-/** @type {vscode.Terminal | null} */
-let replTerminal = null;
-const REPL_TERMINAL_NAME = 'Hot REPL';
-
-// Eval result decorations
-/** @type {vscode.TextEditorDecorationType} */
-let evalResultDecorationType = null;
-
-// Output channel for eval results
-/** @type {vscode.OutputChannel | null} */
-let evalOutputChannel = null;
-const EVAL_CHANNEL_NAME = 'Hot Eval';
-
-/**
- * Format a Hot document using the `hot fmt` command
- * @param {vscode.TextDocument} document
- * @returns {Promise<vscode.TextEdit[]>}
- */
-async function formatHotDocument(document) {
-    const config = vscode.workspace.getConfiguration('hot');
-    const commandPath = config.get('lsp.commandPath', 'hot');
-    const content = document.getText();
-
-    return new Promise((resolve, reject) => {
-        // Write content to a temp file with .hot extension
-        const tmpDir = require('os').tmpdir();
-        const tmpFile = path.join(tmpDir, `hot-fmt-${Date.now()}.hot`);
-
-        fs.writeFileSync(tmpFile, content, 'utf8');
-
-        execFile(commandPath, ['fmt', tmpFile], { timeout: 10000 }, (error, stdout, stderr) => {
-            try {
-                if (error) {
-                    // Check if it's just a CHAR-AUDIT warning (formatter still produces output)
-                    if (stderr && stderr.includes('CHAR-AUDIT')) {
-                        // Read the possibly formatted file
-                        if (fs.existsSync(tmpFile)) {
-                            const formatted = fs.readFileSync(tmpFile, 'utf8');
-                            fs.unlinkSync(tmpFile);
-
-                            if (formatted !== content) {
-                                const fullRange = new vscode.Range(
-                                    document.positionAt(0),
-                                    document.positionAt(content.length)
-                                );
-                                resolve([vscode.TextEdit.replace(fullRange, formatted)]);
-                                return;
-                            }
-                        }
-                    }
-
-                    if (channel) {
-                        channel.appendLine(`[hot] Format error: ${error.message}`);
-                        if (stderr) channel.appendLine(`[hot] stderr: ${stderr}`);
-                    }
-                    // Don't reject - just return empty edits
-                    resolve([]);
-                    return;
-                }
-
-                // Read the formatted file
-                const formatted = fs.readFileSync(tmpFile, 'utf8');
-                fs.unlinkSync(tmpFile);
-
-                if (formatted !== content) {
-                    const fullRange = new vscode.Range(
-                        document.positionAt(0),
-                        document.positionAt(content.length)
-                    );
-                    resolve([vscode.TextEdit.replace(fullRange, formatted)]);
-                } else {
-                    resolve([]);
-                }
-            } catch (e) {
-                // Clean up temp file if it exists
-                try { fs.unlinkSync(tmpFile); } catch (_) {}
-                if (channel) channel.appendLine(`[hot] Format exception: ${e.message}`);
-                resolve([]);
-            }
-        });
-    });
-}
+// Running evaluations, for Interrupt Evaluation and the status bar indicator
+/** @type {Set<vscode.CancellationTokenSource>} */
+const runningEvals = new Set();
+/** @type {vscode.StatusBarItem | null} */
+let evalStatusItem = null;
 
 // ============================================================================
-// REPL Functions
+// Selection Helpers
 // ============================================================================
 
-/**
- * Start the Hot REPL in a VS Code terminal
- */
-function startRepl() {
-    const config = vscode.workspace.getConfiguration('hot');
-    const commandPath = config.get('lsp.commandPath', 'hot');
-
-    // Check if REPL terminal already exists and is still alive
-    if (replTerminal) {
-        // Try to show it - if it was closed, this will fail silently
-        replTerminal.show();
-        return replTerminal;
-    }
-
-    // Create a new terminal for the REPL
-    replTerminal = vscode.window.createTerminal({
-        name: REPL_TERMINAL_NAME,
-        cwd: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath,
-        iconPath: new vscode.ThemeIcon('terminal')
-    });
-
-    // Send the repl command
-    replTerminal.sendText(`${commandPath} repl`);
-    replTerminal.show();
-
-    // Track terminal closure
-    const disposable = vscode.window.onDidCloseTerminal(terminal => {
-        if (terminal === replTerminal) {
-            replTerminal = null;
-            disposable.dispose();
-        }
-    });
-
-    return replTerminal;
-}
-
-/**
- * Send text to the REPL terminal
- * @param {string} text - The text to send
- */
-function sendToRepl(text) {
-    if (!replTerminal) {
-        startRepl();
-        // Wait a bit for the REPL to start before sending
-        setTimeout(() => {
-            if (replTerminal) {
-                replTerminal.sendText(text);
-            }
-        }, 1500);
-    } else {
-        replTerminal.show();
-        replTerminal.sendText(text);
-    }
-}
-
 /**
  * Get the selected text or the current line from the active editor
  * @returns {{ text: string, range: vscode.Range } | null}
@@ -190,290 +93,530 @@ function getSelectedTextOrLine() {
     }
 }
 
+/**
+ * Get the text of every selection in an editor, or the cursor's line for empty selections
+ * Several cursors on the same line yield that line once.
+ * @param {vscode.TextEditor} editor
+ * @returns {Array<{ text: string, range: vscode.Range }>}
+ */
+function getSelectionsTextOrLines(editor) {
+    const targets = [];
+    const seenLines = new Set();
+    for (const selection of editor.selections) {
+        if (!selection.isEmpty) {
+            targets.push({ text: editor.document.getText(selection), range: new vscode.Range(selection.start, selection.end) });
+            continue;
+        }
+        const line = editor.document.lineAt(selection.active.line);
+        if (seenLines.has(line.lineNumber) || !line.text.trim()) continue;
+        seenLines.add(line.lineNumber);
+        targets.push({ text: line.text.trim(), range: line.range });
+    }
+    // Evaluate top to bottom so earlier definitions are visible to later ones
+    return targets.sort((a, b) => a.range.start.compareTo(b.range.start));
+}
+
 // ============================================================================
 // Eval Functions
 // ============================================================================
 
 /**
- * Create or get the eval result decoration type
- * @returns {vscode.TextEditorDecorationType}
+ * Result of evaluating Hot code
+ * @typedef {Object} EvalResult
+ * @property {boolean} success
+ * @property {string} result
+ * @property {string} [error]
+ * @property {string} [namespace]
+ * @property {string} [stdout]
+ * @property {import('./values').ValueNode} [value]
+ * @property {boolean} [cancelled] - Set when the evaluation was interrupted or timed out
  */
-function getEvalDecorationType() {
-    if (!evalResultDecorationType) {
-        evalResultDecorationType = vscode.window.createTextEditorDecorationType({
-            after: {
-                margin: '0 0 0 1em',
-                fontStyle: 'italic'
-            },
-            rangeBehavior: vscode.DecorationRangeBehavior.ClosedClosed
-        });
-    }
-    return evalResultDecorationType;
-}
 
 /**
  * Evaluate Hot code and return the result
- * Uses LSP if available, falls back to CLI
+ * Uses LSP if available, falls back to CLI. Stops at `hot.eval.timeout` or when cancelled.
  * @param {string} code - The Hot code to evaluate
  * @param {string} [namespace] - Optional namespace context
  * @param {string} [fileUri] - Optional file URI for context
- * @returns {Promise<{ success: boolean, result: string, error?: string, namespace?: string, stdout?: string }>}
+ * @param {vscode.CancellationToken} [token] - Cancels the evaluation, e.g. from a progress notification
+ * @returns {Promise<EvalResult>}
  */
-async function evaluateHotCode(code, namespace, fileUri) {
-    // Try LSP first if client is running
-    if (client && isRunning) {
+async function evaluateHotCode(code, namespace, fileUri, token) {
+    const source = new vscode.CancellationTokenSource();
+    const forward = token ? token.onCancellationRequested(() => source.cancel()) : null;
+    if (token && token.isCancellationRequested) source.cancel();
+
+    const timeout = vscode.workspace.getConfiguration('hot').get('eval.timeout', 30000);
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        source.cancel();
+    }, timeout) : null;
+
+    runningEvals.add(source);
+    updateEvalStatus();
+    try {
+        const result = await runEvaluation(code, namespace, fileUri, source.token);
+        if (!source.token.isCancellationRequested) return result;
+        return {
+            success: false,
+            result: '',
+            error: timedOut ? `Evaluation timed out after ${timeout / 1000}s (hot.eval.timeout)` : 'Evaluation interrupted',
+            cancelled: true
+        };
+    } finally {
+        if (timer) clearTimeout(timer);
+        if (forward) forward.dispose();
+        runningEvals.delete(source);
+        source.dispose();
+        updateEvalStatus();
+    }
+}
+
+/**
+ * Evaluate through the folder's analyzer, or the CLI when none is running
+ * @param {string} code
+ * @param {string | undefined} namespace
+ * @param {string | undefined} fileUri
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<EvalResult | null>} null once cancelled
+ */
+async function runEvaluation(code, namespace, fileUri, token) {
+    const sessionId = wireSessionId(getSessionFor(fileUri, namespace));
+
+    // Try LSP first if the analyzer for this file's folder is running
+    const client = getEvalClient(fileUri ? vscode.Uri.parse(fileUri) : undefined);
+    if (client) {
+        // The client sends $/cancelRequest on cancellation; `hot/interrupt` also stops
+        // servers that only check for interrupts between evaluation steps
+        const interrupt = token.onCancellationRequested(() => {
+            client.sendNotification('hot/interrupt', {}).catch(() => {});
+        });
+        const request = client.sendRequest('hot/eval', {
+            code: code,
+            namespace: namespace || null,
+            fileUri: fileUri || null,
+            sessionId,
+            // Ask for a structured copy of the value for the inspector; older servers ignore it
+            structured: true
+        }, token);
+        // Don't wait for a server that doesn't answer cancelled requests
+        const cancelled = new Promise(resolve => token.onCancellationRequested(() => resolve(null)));
         try {
-            const result = await client.sendRequest('hot/eval', {
-                code: code,
-                namespace: namespace || null,
-                fileUri: fileUri || null
-            });
+            const result = await Promise.race([request, cancelled]);
+            if (token.isCancellationRequested) return null;
             return {
                 success: result.success,
                 result: result.result,
                 error: result.error,
                 namespace: result.namespace,
-                stdout: result.stdout
+                stdout: result.stdout,
+                value: result.value || undefined
             };
         } catch (lspError) {
+            if (token.isCancellationRequested) return null;
             // Log LSP error and fall back to CLI
             if (channel) {
                 channel.appendLine(`[hot] LSP eval failed, falling back to CLI: ${lspError.message}`);
             }
+        } finally {
+            interrupt.dispose();
+            request.catch(() => {});
         }
     }
 
-    // Fall back to CLI
-    const config = vscode.workspace.getConfiguration('hot');
-    const commandPath = config.get('lsp.commandPath', 'hot');
-    const cwd = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || process.cwd();
+    // Fall back to the CLI's eval session for this file's folder
+    return evaluateWithCli(code, { namespace, fileUri, root: getEvalRoot(fileUri), sessionId }, token);
+}
 
-    return new Promise((resolve) => {
-        execFile(commandPath, ['eval', code], {
-            timeout: 30000,
-            cwd: cwd
-        }, (error, stdout, stderr) => {
-            if (error) {
-                resolve({
-                    success: false,
-                    result: '',
-                    error: stderr || error.message
-                });
-            } else {
-                resolve({
-                    success: true,
-                    result: stdout.trim()
-                });
-            }
-        });
-    });
+/**
+ * Folder a CLI evaluation runs in: the file's workspace folder, else the active or first one
+ * @param {string} [fileUri]
+ * @returns {string}
+ */
+function getEvalRoot(fileUri) {
+    const folder = fileUri ? vscode.workspace.getWorkspaceFolder(vscode.Uri.parse(fileUri)) : getActiveFolder();
+    return folder?.uri.fsPath || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || process.cwd();
 }
 
 /**
- * Display eval result inline as a decoration
- * @param {vscode.TextEditor} editor
- * @param {vscode.Range} range
- * @param {string} result
- * @param {boolean} isError
- * @param {string} [stdout] - Captured stdout output
- */
-function showInlineResult(editor, range, result, isError, stdout) {
-    const decorationType = getEvalDecorationType();
-
-    // Combine stdout and result for display
-    let displayResult = result;
-    if (stdout && stdout.trim()) {
-        // If there's stdout, show it before the result
-        displayResult = stdout.trim() + (result && result !== 'null' ? ` => ${result}` : '');
-    }
-
-    // Truncate long results
-    const maxLen = 80;
-    displayResult = displayResult.replace(/\n/g, ' ↵ ');
-    if (displayResult.length > maxLen) {
-        displayResult = displayResult.substring(0, maxLen) + '…';
-    }
-
-    const decoration = {
-        range: new vscode.Range(range.end.line, range.end.character, range.end.line, range.end.character),
-        renderOptions: {
-            after: {
-                contentText: stdout ? displayResult : `=> ${displayResult}`,
-                color: isError ? new vscode.ThemeColor('errorForeground') : new vscode.ThemeColor('terminal.ansiGreen'),
-                fontStyle: 'italic'
-            }
-        }
-    };
+ * Show or hide the status bar indicator for running evaluations
+ */
+function updateEvalStatus() {
+    vscode.commands.executeCommand('setContext', 'hot.evalRunning', runningEvals.size > 0);
+    if (runningEvals.size === 0) {
+        if (evalStatusItem) evalStatusItem.hide();
+        return;
+    }
+    if (!evalStatusItem) {
+        evalStatusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 999);
+        evalStatusItem.command = 'hot.interruptEval';
+        evalStatusItem.tooltip = 'Hot evaluation running. Click to interrupt.';
+    }
+    evalStatusItem.text = runningEvals.size > 1 ? `$(loading~spin) Hot: Evaluating (${runningEvals.size})` : '$(loading~spin) Hot: Evaluating';
+    evalStatusItem.show();
+}
 
-    editor.setDecorations(decorationType, [decoration]);
+/**
+ * Cancel every running evaluation
+ * @returns {number} How many were running
+ */
+function interruptEvaluations() {
+    const count = runningEvals.size;
+    for (const source of runningEvals) {
+        source.cancel();
+    }
+    return count;
+}
 
-    // Clear decoration after a delay (or on next edit)
-    const disposable = vscode.workspace.onDidChangeTextDocument(e => {
-        if (e.document === editor.document) {
-            editor.setDecorations(decorationType, []);
-            disposable.dispose();
-        }
-    });
+/**
+ * Reset the eval session a file evaluates in: the analyzer's `hot/eval` session, or the CLI's
+ * @param {vscode.Uri} [uri] - Defaults to the active editor or notebook
+ * @returns {Promise<boolean>} false if no session is running
+ */
+async function resetEvalSession(uri) {
+    const session = uri ? getSessionFor(uri.toString()) : getActiveSession();
+    const client = getEvalClient(uri);
+    if (!client) return resetCliSession(getEvalRoot(uri ? uri.toString() : undefined), wireSessionId(session));
+    await client.sendRequest('hot/resetRepl', { sessionId: wireSessionId(session) });
+    return true;
+}
 
-    // Also clear after 10 seconds
-    setTimeout(() => {
-        editor.setDecorations(decorationType, []);
-        disposable.dispose();
-    }, 10000);
+/**
+ * Reset a named session in every folder: each running analyzer, the CLI sessions and its REPL
+ * @param {import('./sessions').EvalSession} session
+ */
+async function resetSessionEverywhere(session) {
+    const sessionId = wireSessionId(session);
+    const running = [...clients.values()].filter(c => c.state === 'running');
+    await Promise.all(running.map(c => c.client.sendRequest('hot/resetRepl', { sessionId })));
+    resetCliSession(null, sessionId);
+    disposeRepl(session.id);
 }
 
 /**
- * Get or create the eval output channel
- * @returns {vscode.OutputChannel}
+ * Evaluate Hot code and record it in the eval history
+ * @param {string} code
+ * @param {string | null} namespace
+ * @param {string | null} fileUri
+ * @param {vscode.Range | null} range - Source range of the code, if it came from a document
+ * @param {vscode.CancellationToken} [token]
+ * @returns {Promise<{ result: EvalResult, entry: import('./evalHistory').EvalEntry }>}
  */
-function getEvalOutputChannel() {
-    if (!evalOutputChannel) {
-        evalOutputChannel = vscode.window.createOutputChannel(EVAL_CHANNEL_NAME);
+async function evaluateAndRecord(code, namespace, fileUri, range, token) {
+    const startedAt = Date.now();
+    const result = await evaluateHotCode(code, namespace || undefined, fileUri || undefined, token);
+    const entry = recordEval({
+        code,
+        namespace: result.namespace || namespace || null,
+        uri: fileUri || null,
+        range: range ? [range.start.line, range.start.character, range.end.line, range.end.character] : null,
+        durationMs: Date.now() - startedAt,
+        success: result.success,
+        result: result.result || '',
+        error: result.error,
+        stdout: result.stdout
+    }, result.value);
+    return { result, entry };
+}
+
+/**
+ * Evaluate pieces of an editor's document in its namespace, annotating each one inline
+ * @param {vscode.TextEditor} editor
+ * @param {Array<{ text: string, range: vscode.Range }>} targets
+ * @param {vscode.CancellationToken} [token] - Interrupts the running evaluation and skips the rest
+ * @returns {Promise<Array<{ result: EvalResult, entry: import('./evalHistory').EvalEntry }>>}
+ */
+async function evaluateInEditor(editor, targets, token) {
+    // Get file context for LSP eval
+    const fileUri = editor.document.uri.toString();
+    const namespace = extractNamespaceFromDocument(editor.document);
+    const evaluations = [];
+
+    for (const target of targets) {
+        if (token && token.isCancellationRequested) break;
+        const evaluation = await evaluateAndRecord(target.text, namespace, fileUri, target.range, token);
+        const result = evaluation.result;
+        const value = result.success ? result.result : result.error;
+
+        // Show inline result (with captured stdout)
+        showInlineResult(editor, target.range, {
+            code: target.text,
+            value,
+            isError: !result.success,
+            stdout: result.stdout,
+            structured: result.value
+        });
+        // Errors become diagnostics at the position they refer to; success clears them
+        reportEvalResult(editor.document, target.range, target.text, result);
+        evaluations.push(evaluation);
+        if (evaluation.result.cancelled) break;
     }
-    return evalOutputChannel;
+    return evaluations;
 }
 
 /**
- * Show eval result in output channel
- * @param {string} code
- * @param {string} result
- * @param {boolean} isError
- * @param {string} [stdout] - Captured stdout output
- */
-function showResultInOutputChannel(code, result, isError, stdout) {
-    const output = getEvalOutputChannel();
-    const timestamp = new Date().toLocaleTimeString();
-
-    output.appendLine(`[${timestamp}] Evaluating:`);
-    output.appendLine(`  ${code.split('\n').join('\n  ')}`);
-    output.appendLine('');
-    if (stdout && stdout.trim()) {
-        output.appendLine(`Output:`);
-        output.appendLine(`  ${stdout.trim().split('\n').join('\n  ')}`);
-        output.appendLine('');
-    }
-    if (isError) {
-        output.appendLine(`Error: ${result}`);
-    } else {
-        output.appendLine(`=> ${result}`);
+ * Evaluate a piece of an editor's document and open the result in the Eval Results panel
+ * instead of annotating it inline
+ * @param {vscode.TextEditor} editor
+ * @param {{ text: string, range: vscode.Range }} target
+ */
+async function evaluateToPanel(editor, target) {
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Evaluating...',
+        cancellable: true
+    }, async (progress, token) => {
+        const { result, entry } = await evaluateAndRecord(target.text, extractNamespaceFromDocument(editor.document),
+            editor.document.uri.toString(), target.range, token);
+        reportEvalResult(editor.document, target.range, target.text, result);
+        await revealEvalEntry(entry);
+        await vscode.commands.executeCommand('hot.showEvalEntry', entry);
+    });
+}
+
+/**
+ * Re-run a history entry
+ * Annotates the source inline when the code is still where it was evaluated.
+ * @param {import('./evalHistory').EvalEntry} entry
+ */
+async function rerunEval(entry) {
+    let editor = null;
+    let range = null;
+    if (entry.uri && entry.range) {
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(entry.uri));
+            const candidate = document.validateRange(new vscode.Range(entry.range[0], entry.range[1], entry.range[2], entry.range[3]));
+            if (document.getText(candidate).trim() === entry.code.trim()) {
+                editor = await vscode.window.showTextDocument(document, { preserveFocus: true, preview: false });
+                range = candidate;
+            }
+        } catch (e) {
+            // Source is gone; evaluate without it
+        }
     }
-    output.appendLine('─'.repeat(60));
-    output.appendLine('');
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Re-evaluating...',
+        cancellable: true
+    }, async (progress, token) => {
+        const [recorded] = editor && range
+            ? await evaluateInEditor(editor, [{ text: entry.code, range }], token)
+            : [await evaluateAndRecord(entry.code, entry.namespace, entry.uri, null, token)];
+        await revealEvalEntry(recorded.entry);
+    });
 }
 
 /**
  * Extract namespace declaration from a Hot document
+ * Uses the parser, so it also works on files that don't compile
  * @param {vscode.TextDocument} document
  * @returns {string | null}
  */
 function extractNamespaceFromDocument(document) {
-    const text = document.getText();
-    const lines = text.split('\n');
-
-    for (const line of lines) {
-        const trimmed = line.trim();
-        // Match patterns like "::namespace::path ns" or "::namespace::path #{"doc": ...} ns"
-        if (trimmed.startsWith('::') && (trimmed.endsWith(' ns') || trimmed.includes('#'))) {
-            // Extract the namespace part
-            const nsEnd = trimmed.indexOf('#') !== -1 ? trimmed.indexOf('#') : trimmed.lastIndexOf(' ns');
-            if (nsEnd > 0) {
-                const ns = trimmed.substring(0, nsEnd).trim();
-                if (ns.startsWith('::')) {
-                    return ns;
-                }
-            }
-        }
+    const namespace = getDocumentParse(document).namespace;
+    return namespace ? namespace.name : null;
+}
+
+/**
+ * Evaluate the selection, or the top-level form at the cursor, for the value inspector
+ * @returns {Promise<import('./inspector').InspectRequest | null>}
+ */
+async function evaluateForInspection() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showWarningMessage('No active editor.');
+        return null;
     }
 
-    return null;
+    const selection = editor.selection;
+    const target = !selection.isEmpty
+        ? { text: editor.document.getText(selection), range: new vscode.Range(selection.start, selection.end) }
+        : getTopLevelForm(editor);
+    if (!target || !target.text.trim()) {
+        vscode.window.showWarningMessage('Select an expression or place the cursor in a top-level form to inspect.');
+        return null;
+    }
+
+    // Cancelling before the evaluation starts leaves no result at all
+    const [evaluation] = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Evaluating...',
+        cancellable: true
+    }, (progress, token) => evaluateInEditor(editor, [target], token));
+    if (!evaluation || evaluation.result.cancelled) return null;
+    const result = evaluation.result;
+    if (!result.success) {
+        vscode.window.showErrorMessage(`Evaluation failed: ${result.error}`);
+        return null;
+    }
+    return { label: target.text, text: result.result, value: result.value, uri: editor.document.uri.toString() };
 }
 
 /**
- * Try to find the top-level form at cursor position
- * This is a simplified version - a full implementation would need proper parsing
+ * Find the top-level form at the cursor position
+ * A cursor between forms resolves to the preceding form.
  * @param {vscode.TextEditor} editor
+ * @param {vscode.Position} [position] - Defaults to the primary cursor
  * @returns {{ text: string, range: vscode.Range } | null}
  */
-function getTopLevelForm(editor) {
+function getTopLevelForm(editor, position = editor.selection.active) {
     const document = editor.document;
-    const position = editor.selection.active;
-
-    // Simple heuristic: find the form by looking for balanced braces/parens
-    // Start from current line and expand outward
+    const parsed = getDocumentParse(document);
+    const form = findFormAt(parsed, document.offsetAt(position), true);
 
-    let startLine = position.line;
-    let endLine = position.line;
-
-    // Find the start: go up until we hit a line that starts a definition
-    // (a line that starts with an identifier, not indented)
-    for (let i = position.line; i >= 0; i--) {
-        const line = document.lineAt(i);
-        const text = line.text;
+    // Don't return namespace declarations
+    if (!form || form.kind === 'ns') {
+        return null;
+    }
 
-        // Skip empty lines and comments
-        if (text.trim() === '' || text.trim().startsWith('//')) {
-            continue;
-        }
+    const range = new vscode.Range(document.positionAt(form.start), document.positionAt(form.end));
+    return { text: document.getText(range), range };
+}
 
-        // If line starts at column 0 with a word character or ::, this is likely a top-level form start
-        if (/^[a-zA-Z_:]/u.test(text)) {
-            startLine = i;
-            break;
-        }
+/**
+ * Get the workspace folder of the active editor, or the only folder if there is just one
+ * @returns {vscode.WorkspaceFolder | undefined}
+ */
+function getActiveFolder() {
+    const editor = vscode.window.activeTextEditor;
+    if (editor) {
+        const folder = vscode.workspace.getWorkspaceFolder(editor.document.uri);
+        if (folder) return folder;
     }
+    const folders = vscode.workspace.workspaceFolders || [];
+    return folders.length === 1 ? folders[0] : undefined;
+}
 
-    // Find the end: look for balanced braces
-    let braceCount = 0;
-    let parenCount = 0;
-    let foundBody = false;
-
-    for (let i = startLine; i < document.lineCount; i++) {
-        const line = document.lineAt(i);
-        const text = line.text;
+/**
+ * Get the running language client responsible for a file
+ * Without a URI, the active editor's folder is used
+ * @param {vscode.Uri} [uri]
+ * @returns {LanguageClient | null}
+ */
+function getRunningClient(uri) {
+    const folder = uri ? vscode.workspace.getWorkspaceFolder(uri) : getActiveFolder();
+    const entry = folder ? clients.get(folder.uri.toString()) : null;
+    return entry && entry.state === 'running' ? entry.client : null;
+}
 
-        for (const ch of text) {
-            if (ch === '{') { braceCount++; foundBody = true; }
-            if (ch === '}') { braceCount--; }
-            if (ch === '(') { parenCount++; }
-            if (ch === ')') { parenCount--; }
-        }
+/**
+ * Get the running language client to evaluate a file's code with
+ * Untitled files and notebooks belong to no folder; they use the active folder's
+ * analyzer, or the first one running.
+ * @param {vscode.Uri} [uri]
+ * @returns {LanguageClient | null}
+ */
+function getEvalClient(uri) {
+    if (uri && vscode.workspace.getWorkspaceFolder(uri)) return getRunningClient(uri);
+    const active = getRunningClient();
+    if (active) return active;
+    const entry = [...clients.values()].find(c => c.state === 'running');
+    return entry ? entry.client : null;
+}
 
-        endLine = i;
+/**
+ * Resolve a workspace folder from a command argument, prompting when ambiguous
+ * @param {string | vscode.Uri | undefined} arg - Folder URI passed by a command link
+ * @param {string} placeHolder
+ * @param {(folder: vscode.WorkspaceFolder) => boolean} [filter]
+ * @returns {Promise<vscode.WorkspaceFolder | undefined>}
+ */
+async function pickFolder(arg, placeHolder, filter) {
+    if (arg) {
+        const uri = typeof arg === 'string' ? vscode.Uri.parse(arg) : arg;
+        return vscode.workspace.getWorkspaceFolder(uri);
+    }
 
-        // If we've found a body and braces are balanced, we're done
-        if (foundBody && braceCount === 0 && parenCount <= 0) {
-            break;
-        }
+    let folders = vscode.workspace.workspaceFolders || [];
+    if (filter) folders = folders.filter(filter);
+    if (folders.length <= 1) return folders[0];
 
-        // Also stop at the next top-level definition
-        if (i > startLine && /^[a-zA-Z_:]/u.test(text) && text.trim() !== '' && !text.trim().startsWith('//')) {
-            endLine = i - 1;
-            break;
-        }
-    }
+    // Offer the active editor's folder first
+    const active = getActiveFolder();
+    const sorted = [...folders].sort((a, b) => (b === active ? 1 : 0) - (a === active ? 1 : 0));
+    const picked = await vscode.window.showQuickPick(sorted.map(folder => {
+        const entry = clients.get(folder.uri.toString());
+        return {
+            label: folder.name,
+            description: entry ? entry.state : 'stopped',
+            detail: folder.uri.fsPath,
+            folder
+        };
+    }), { placeHolder });
+    return picked?.folder;
+}
 
-    const range = new vscode.Range(
-        new vscode.Position(startLine, 0),
-        new vscode.Position(endLine, document.lineAt(endLine).text.length)
-    );
+/**
+ * Get or create the extension-wide output channel
+ * @returns {vscode.OutputChannel}
+ */
+function getChannel() {
+    channel = channel || vscode.window.createOutputChannel(CHANNEL_NAME);
+    return channel;
+}
 
-    const text = document.getText(range).trim();
+/**
+ * Get or create the LSP output channel for a workspace folder
+ * @param {vscode.WorkspaceFolder} folder
+ * @returns {vscode.OutputChannel}
+ */
+function getFolderChannel(folder) {
+    const key = folder.uri.toString();
+    let folderChannel = folderChannels.get(key);
+    if (!folderChannel) {
+        folderChannel = vscode.window.createOutputChannel(`${CHANNEL_NAME} (${folder.name})`);
+        folderChannels.set(key, folderChannel);
+    }
+    return folderChannel;
+}
 
-    // Don't return namespace declarations
-    if (text.endsWith(' ns') || text.match(/^::[^\s]+ ns$/)) {
-        return null;
+/**
+ * Get or create the `.hot` file watcher for a workspace folder
+ * The client doesn't dispose watchers passed in `synchronize.fileEvents`, so one is kept per folder.
+ * @param {vscode.WorkspaceFolder} folder
+ * @returns {vscode.FileSystemWatcher}
+ */
+function getHotFileWatcher(folder) {
+    const key = folder.uri.toString();
+    let watcher = hotFileWatchers.get(key);
+    if (!watcher) {
+        watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, '**/*.hot'));
+        watcher.onDidCreate(uri => hotFileEmitter.fire({ uri, type: 'created' }));
+        watcher.onDidChange(uri => hotFileEmitter.fire({ uri, type: 'changed' }));
+        watcher.onDidDelete(uri => hotFileEmitter.fire({ uri, type: 'deleted' }));
+        hotFileWatchers.set(key, watcher);
     }
+    return watcher;
+}
 
-    return { text, range };
+/**
+ * Build a `command:` link that passes the folder URI as the command argument
+ * @param {string} command
+ * @param {vscode.WorkspaceFolder} [folder]
+ */
+function commandLink(command, folder) {
+    if (!folder) return `command:${command}`;
+    return `command:${command}?${encodeURIComponent(JSON.stringify([folder.uri.toString()]))}`;
 }
 
-function buildTooltip() {
+/**
+ * @param {vscode.WorkspaceFolder} [folder]
+ * @param {FolderClient} [entry]
+ */
+function buildTooltip(folder, entry) {
     const md = new vscode.MarkdownString();
     md.isTrusted = true;
     md.supportThemeIcons = true;
-    const state = isRunning ? 'Running' : 'Stopped';
+    const isRunning = entry?.state === 'running';
+    const state = isRunning ? 'Running' : entry?.state === 'starting' ? 'Starting' : 'Stopped';
     md.appendMarkdown(`**Hot Analyzer** — ${state}  \n`);
+    if (folder && (vscode.workspace.workspaceFolders || []).length > 1) {
+        md.appendMarkdown(`Folder: \`${folder.name}\`  \n`);
+    }
     md.appendMarkdown(`Extension: \`${extVersion}\`  \n`);
+    const runningVersion = entry?.runningVersion;
     if (runningVersion) {
         md.appendMarkdown(`Hot CLI: \`${runningVersion}\``);
         if (installedVersion && installedVersion !== runningVersion) {
@@ -484,13 +627,13 @@ function buildTooltip() {
         md.appendMarkdown(`Hot CLI: \`${installedVersion}\`  \n`);
     }
     md.appendMarkdown('\n');
-    if (isRunning) {
-        md.appendMarkdown('[$(debug-restart) Restart](command:hot.restartAnalyzer)  \n');
-        md.appendMarkdown('[$(debug-stop) Stop](command:hot.stopAnalyzer)  \n');
+    if (entry && entry.state !== 'stopped') {
+        md.appendMarkdown(`[$(debug-restart) Restart](${commandLink('hot.restartAnalyzer', folder)})  \n`);
+        md.appendMarkdown(`[$(debug-stop) Stop](${commandLink('hot.stopAnalyzer', folder)})  \n`);
     } else {
-        md.appendMarkdown('[$(play) Start](command:hot.startAnalyzer)  \n');
+        md.appendMarkdown(`[$(play) Start](${commandLink('hot.startAnalyzer', folder)})  \n`);
     }
-    md.appendMarkdown('[$(output) Open Logs](command:hot.showLogs)');
+    md.appendMarkdown(`[$(output) Open Logs](${commandLink('hot.showLogs', folder)})`);
     return md;
 }
 
@@ -506,47 +649,84 @@ function updateStatus(text, tooltip, command) {
     if (command) statusBarItem.command = command;
 }
 
-function startClient() {
-    if (client) {
+/**
+ * Refresh the status bar for the active editor's workspace folder
+ */
+function refreshStatus() {
+    const folder = getActiveFolder();
+    const entry = folder ? clients.get(folder.uri.toString()) : undefined;
+    const tooltip = buildTooltip(folder, entry);
+    const args = folder ? [folder.uri.toString()] : undefined;
+    const command = (id) => ({ title: id, command: id, arguments: args });
+
+    if (!entry || entry.state === 'stopped') {
+        updateStatus('$(circle-slash) hot', tooltip, command('hot.startAnalyzer'));
+    } else if (entry.state === 'running') {
+        updateStatus('$(check) hot', tooltip, command('hot.restartAnalyzer'));
+    } else {
+        updateStatus('$(sync~spin) hot', tooltip, command('hot.restartAnalyzer'));
+    }
+}
+
+/**
+ * Start the analyzer for the folder containing a Hot document, if it isn't running yet
+ * @param {vscode.TextDocument} document
+ */
+function ensureClientForDocument(document) {
+    if (document.languageId !== 'hot' || document.uri.scheme !== 'file') return;
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    if (!folder || stoppedFolders.has(folder.uri.toString())) return;
+    startClient(folder);
+}
+
+/**
+ * Whether a document belongs to a workspace folder rather than to a folder nested inside it
+ * @param {vscode.WorkspaceFolder} folder
+ * @param {vscode.Uri | string} uri - A URI, or its protocol string
+ */
+function belongsToFolder(folder, uri) {
+    const owner = vscode.workspace.getWorkspaceFolder(typeof uri === 'string' ? vscode.Uri.parse(uri) : uri);
+    return !owner || owner.uri.toString() === folder.uri.toString();
+}
+
+/**
+ * Start a language client for a workspace folder
+ * @param {vscode.WorkspaceFolder} folder
+ */
+function startClient(folder) {
+    const key = folder.uri.toString();
+    const existing = clients.get(key);
+    if (existing && existing.state !== 'stopped') {
         return;
     }
+    if (existing) {
+        // The server exited on its own; replace the dead client
+        clients.delete(key);
+        existing.client.dispose().catch(() => {});
+    }
+    stoppedFolders.delete(key);
 
-    const config = vscode.workspace.getConfiguration('hot');
+    const config = vscode.workspace.getConfiguration('hot', folder.uri);
 
     // Check if LSP is explicitly disabled
     const lspEnabled = config.get('lsp.enabled', true);
     if (!lspEnabled) {
-        if (channel) {
-            channel.appendLine('[hot] LSP is disabled via settings (hot.lsp.enabled = false)');
-        }
-        updateStatus('$(circle-slash) hot', buildTooltip(), 'hot.startAnalyzer');
+        getChannel().appendLine('[hot] LSP is disabled via settings (hot.lsp.enabled = false)');
+        refreshStatus();
         return;
     }
 
-    // For multi-root workspaces, only start ONE client for the first workspace folder
-    const workspaceFolders = vscode.workspace.workspaceFolders || [];
-    if (workspaceFolders.length === 0) {
-        if (channel) {
-            channel.appendLine('[hot] No workspace folders found, cannot start LSP');
-        }
-        return;
-    }
-
-    // Use the FIRST workspace folder as the primary one
-    const primaryWorkspace = workspaceFolders[0].uri.fsPath;
-
-    channel = channel || vscode.window.createOutputChannel(CHANNEL_NAME);
-    channel.appendLine(`[hot] Starting LSP for primary workspace: ${primaryWorkspace}`);
+    const folderChannel = getFolderChannel(folder);
+    folderChannel.appendLine(`[hot] Starting LSP for workspace folder: ${folder.uri.fsPath}`);
 
     const commandPath = config.get('lsp.commandPath', 'hot');
-    channel.appendLine(`[hot] Total workspace folders: ${workspaceFolders.length}`);
 
     /** @type {string[]} */
     const extraArgs = config.get('lsp.extraArgs', []);
 
     if (commandPath.includes(' ')) {
         const msg = 'hot.lsp.commandPath should be a single executable (e.g., "hot" or "cargo"), not include arguments. Use hot.lsp.extraArgs for additional args.';
-        channel.appendLine(`[hot] Warning: ${msg} Current: ${commandPath}`);
+        folderChannel.appendLine(`[hot] Warning: ${msg} Current: ${commandPath}`);
         vscode.window.showWarningMessage(msg);
     }
 
@@ -556,53 +736,101 @@ function startClient() {
         command: commandPath,
         args: baseArgs,
         transport: TransportKind.stdio,
-        options: { cwd: vscode.workspace.rootPath || process.cwd() }
+        options: { cwd: folder.uri.fsPath }
     };
 
-    channel.appendLine(`[hot] Launching LSP: ${serverOptions.command} ${serverOptions.args.join(' ')}`);
+    folderChannel.appendLine(`[hot] Launching LSP: ${serverOptions.command} ${serverOptions.args.join(' ')}`);
 
     const clientOptions = {
-        documentSelector: [{ scheme: 'file', language: 'hot' }],
+        // Only handle documents inside this folder; sibling folders get their own client
+        documentSelector: [{ scheme: 'file', language: 'hot', pattern: new vscode.RelativePattern(folder, '**/*') }],
         synchronize: {
-            fileEvents: vscode.workspace.createFileSystemWatcher('**/*.hot')
+            fileEvents: getHotFileWatcher(folder)
         },
-        outputChannel: channel,
-        // CRITICAL: Set workspaceFolder to prevent multiple clients in multi-root workspaces
-        workspaceFolder: workspaceFolders[0]
+        outputChannel: folderChannel,
+        workspaceFolder: folder,
+        // Server-side formatting goes through the extension's formatter queue,
+        // which calls the server itself and falls back to the CLI
+        middleware: {
+            provideDocumentFormattingEdits: (document, options, token) => formatHotDocument(document, options, token),
+            provideDocumentRangeFormattingEdits: (document, range, options, token) => formatHotRange(document, range, options, token),
+            // A selector can't leave out nested folders, which have their own client:
+            // don't sync their documents, ask about them or show this server's diagnostics for them
+            sendRequest: (type, param, token, next) => {
+                const uri = param?.textDocument?.uri;
+                return !uri || belongsToFolder(folder, uri) ? next(type, param, token) : Promise.resolve(null);
+            },
+            sendNotification: (type, next, params) => {
+                const uri = params?.textDocument?.uri;
+                return !uri || belongsToFolder(folder, uri) ? next(type, params) : Promise.resolve();
+            },
+            handleDiagnostics: (uri, diagnostics, next) => {
+                if (belongsToFolder(folder, uri)) next(uri, diagnostics);
+            }
+        }
     };
 
-    client = new LanguageClient(
+    const client = new LanguageClient(
         'hotLanguageServer',
-        'Hot Language Server',
+        `Hot Language Server (${folder.name})`,
         serverOptions,
         clientOptions
     );
 
-    isRunning = false;
-    updateStatus('$(sync~spin) hot', buildTooltip(), 'hot.restartAnalyzer');
+    /** @type {FolderClient} */
+    const entry = { folder, client, state: 'starting', runningVersion: null };
+    clients.set(key, entry);
+    refreshStatus();
 
     client.onDidChangeState((e) => {
-        // 1 = Starting, 2 = Running, 3 = Stopped
+        if (clients.get(key) !== entry) return;
+        // 1 = Stopped, 2 = Running, 3 = Starting
         if (e.newState === 2) {
-            isRunning = true;
+            entry.state = 'running';
             try {
                 const serverInfo = client.initializeResult?.serverInfo;
                 if (serverInfo?.version) {
-                    runningVersion = serverInfo.version;
+                    entry.runningVersion = serverInfo.version;
                 }
             } catch (_) {}
-            updateStatus('$(check) hot', buildTooltip(), 'hot.restartAnalyzer');
-        } else if (e.newState === 1) {
-            isRunning = false;
-            updateStatus('$(sync~spin) hot', buildTooltip(), 'hot.restartAnalyzer');
+        } else if (e.newState === 3) {
+            entry.state = 'starting';
         } else {
-            isRunning = false;
-            runningVersion = null;
-            updateStatus('$(circle-slash) hot', buildTooltip(), 'hot.startAnalyzer');
+            entry.state = 'stopped';
+            entry.runningVersion = null;
         }
+        refreshStatus();
     });
 
-    client.start();
+    client.start().catch((e) => {
+        folderChannel.appendLine(`[hot] Failed to start LSP: ${e.message}`);
+    });
+}
+
+/**
+ * Stop the language client for a workspace folder
+ * @param {vscode.WorkspaceFolder} folder
+ */
+async function stopClient(folder) {
+    const key = folder.uri.toString();
+    const entry = clients.get(key);
+    if (!entry) return;
+    clients.delete(key);
+    entry.state = 'stopping';
+    refreshStatus();
+    await entry.client.stop().catch(() => {});
+    refreshStatus();
+}
+
+/**
+ * Restart every running language client, e.g. after the Hot CLI was updated
+ */
+async function restartAllClients() {
+    const folders = [...clients.values()].map(entry => entry.folder);
+    for (const folder of folders) {
+        await stopClient(folder);
+        startClient(folder);
+    }
 }
 
 /**
@@ -618,38 +846,46 @@ function activate(context) {
     fetchInstalledVersion();
     checkForUpdates();
 
-    context.subscriptions.push(vscode.commands.registerCommand('hot.startAnalyzer', () => {
-        startClient();
-        if (channel) channel.show(true);
+    context.subscriptions.push(vscode.commands.registerCommand('hot.startAnalyzer', async (folderUri) => {
+        const folder = await pickFolder(folderUri, 'Select a workspace folder to start the Hot analyzer for',
+            f => clients.get(f.uri.toString())?.state !== 'running');
+        if (!folder) {
+            if (!vscode.workspace.workspaceFolders?.length) {
+                vscode.window.showWarningMessage('No workspace folder open. Please open a folder first.');
+            }
+            return;
+        }
+        startClient(folder);
+        getFolderChannel(folder).show(true);
     }));
 
-    context.subscriptions.push(vscode.commands.registerCommand('hot.stopAnalyzer', async () => {
-        if (client) {
-            const c = client; client = null;
-            isRunning = false;
-            updateStatus('$(sync~spin) hot', buildTooltip(), 'hot.startAnalyzer');
-            await c.stop().catch(() => {});
-            updateStatus('$(circle-slash) hot', buildTooltip(), 'hot.startAnalyzer');
-        }
+    context.subscriptions.push(vscode.commands.registerCommand('hot.stopAnalyzer', async (folderUri) => {
+        const folder = await pickFolder(folderUri, 'Select a workspace folder to stop the Hot analyzer for',
+            f => clients.has(f.uri.toString()));
+        if (!folder) return;
+        stoppedFolders.add(folder.uri.toString());
+        await stopClient(folder);
     }));
 
-    context.subscriptions.push(vscode.commands.registerCommand('hot.restartAnalyzer', async () => {
-        if (client) {
-            const c = client; client = null;
-            updateStatus('$(sync~spin) hot', buildTooltip(), 'hot.restartAnalyzer');
-            await c.stop().catch(() => {});
-        }
-        startClient();
-        if (channel) channel.show(true);
+    context.subscriptions.push(vscode.commands.registerCommand('hot.restartAnalyzer', async (folderUri) => {
+        const folder = await pickFolder(folderUri, 'Select a workspace folder to restart the Hot analyzer for');
+        if (!folder) return;
+        await stopClient(folder);
+        startClient(folder);
+        getFolderChannel(folder).show(true);
     }));
 
     context.subscriptions.push(vscode.commands.registerCommand('hot.openSettings', async () => {
         await vscode.commands.executeCommand('workbench.action.openSettings', 'hot');
     }));
 
-    context.subscriptions.push(vscode.commands.registerCommand('hot.showLogs', async () => {
-        channel = channel || vscode.window.createOutputChannel(CHANNEL_NAME);
-        channel.show(true);
+    context.subscriptions.push(vscode.commands.registerCommand('hot.showLogs', async (folderUri) => {
+        const folder = await pickFolder(folderUri, 'Select a workspace folder to show Hot analyzer logs for');
+        if (folder) {
+            getFolderChannel(folder).show(true);
+        } else {
+            getChannel().show(true);
+        }
     }));
 
     context.subscriptions.push(vscode.commands.registerCommand('hot.createAIHints', async () => {
@@ -664,30 +900,16 @@ function activate(context) {
     // REPL Commands
     // ========================================================================
 
-    context.subscriptions.push(vscode.commands.registerCommand('hot.startRepl', () => {
-        startRepl();
-    }));
-
-    context.subscriptions.push(vscode.commands.registerCommand('hot.sendToRepl', () => {
-        const selection = getSelectedTextOrLine();
-        if (selection && selection.text) {
-            sendToRepl(selection.text);
-        } else {
-            vscode.window.showWarningMessage('No text selected or cursor not on a line with content.');
-        }
-    }));
-
-    context.subscriptions.push(vscode.commands.registerCommand('hot.sendFileToRepl', () => {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor || editor.document.languageId !== 'hot') {
-            vscode.window.showWarningMessage('No Hot file is currently active.');
-            return;
-        }
-
-        // Get all the file content
-        const content = editor.document.getText();
-        sendToRepl(content);
-    }));
+    registerRepl(context, {
+        getSelection: getSelectedTextOrLine,
+        showResult: (editor, range, code, result) => {
+            showInlineResult(editor, range, { code, value: result.output, isError: result.isError });
+            reportEvalResult(editor.document, range, code, { success: !result.isError, error: result.output });
+        },
+        getCwd: () => getActiveFolder()?.uri.fsPath || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath,
+        getSession: getActiveSession,
+        log: (message) => getChannel().appendLine(message)
+    });
 
     // ========================================================================
     // Eval Commands
@@ -700,30 +922,19 @@ function activate(context) {
             return;
         }
 
-        const selection = getSelectedTextOrLine();
-        if (!selection || !selection.text) {
+        // Every cursor or selection is evaluated and annotated separately
+        const targets = getSelectionsTextOrLines(editor);
+        if (targets.length === 0) {
             vscode.window.showWarningMessage('No text selected or cursor not on a line with content.');
             return;
         }
 
-        // Get file context for LSP eval
-        const fileUri = editor.document.uri.toString();
-        const namespace = extractNamespaceFromDocument(editor.document);
-
         // Show progress
         await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
-            title: 'Evaluating...',
-            cancellable: false
-        }, async () => {
-            const result = await evaluateHotCode(selection.text, namespace, fileUri);
-
-            // Show inline result (with captured stdout)
-            showInlineResult(editor, selection.range, result.success ? result.result : result.error, !result.success, result.stdout);
-
-            // Also log to output channel
-            showResultInOutputChannel(selection.text, result.success ? result.result : result.error, !result.success, result.stdout);
-        });
+            title: targets.length > 1 ? `Evaluating ${targets.length} selections...` : 'Evaluating...',
+            cancellable: true
+        }, (progress, token) => evaluateInEditor(editor, targets, token));
     }));
 
     context.subscriptions.push(vscode.commands.registerCommand('hot.evalTopLevelForm', async () => {
@@ -733,42 +944,43 @@ function activate(context) {
             return;
         }
 
-        const form = getTopLevelForm(editor);
-        if (!form || !form.text) {
+        // One form per cursor; cursors inside the same form evaluate it once
+        const forms = [];
+        for (const selection of editor.selections) {
+            const form = getTopLevelForm(editor, selection.active);
+            if (form && form.text && !forms.some(f => f.range.isEqual(form.range))) {
+                forms.push(form);
+            }
+        }
+        if (forms.length === 0) {
             vscode.window.showWarningMessage('Could not find a top-level form at cursor position.');
             return;
         }
-
-        // Get file context for LSP eval
-        const fileUri = editor.document.uri.toString();
-        const namespace = extractNamespaceFromDocument(editor.document);
+        forms.sort((a, b) => a.range.start.compareTo(b.range.start));
 
         // Show progress
         await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
-            title: 'Evaluating...',
-            cancellable: false
-        }, async () => {
-            const result = await evaluateHotCode(form.text, namespace, fileUri);
-
-            // Show inline result (with captured stdout)
-            showInlineResult(editor, form.range, result.success ? result.result : result.error, !result.success, result.stdout);
-
-            // Also log to output channel
-            showResultInOutputChannel(form.text, result.success ? result.result : result.error, !result.success, result.stdout);
-        });
+            title: forms.length > 1 ? `Evaluating ${forms.length} forms...` : 'Evaluating...',
+            cancellable: true
+        }, (progress, token) => evaluateInEditor(editor, forms, token));
     }));
 
     context.subscriptions.push(vscode.commands.registerCommand('hot.resetReplSession', async () => {
-        if (client && isRunning) {
-            try {
-                await client.sendRequest('hot/resetRepl', {});
-                vscode.window.showInformationMessage('Hot REPL session reset.');
-            } catch (e) {
-                vscode.window.showErrorMessage(`Failed to reset REPL session: ${e.message}`);
+        try {
+            if (await resetEvalSession()) {
+                vscode.window.showInformationMessage(`Hot eval session "${getActiveSession().name}" reset.`);
+            } else {
+                vscode.window.showWarningMessage('No Hot eval session is running.');
             }
-        } else {
-            vscode.window.showWarningMessage('Hot analyzer is not running.');
+        } catch (e) {
+            vscode.window.showErrorMessage(`Failed to reset REPL session: ${e.message}`);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.interruptEval', () => {
+        if (interruptEvaluations() === 0) {
+            vscode.window.setStatusBarMessage('No Hot evaluation is running.', 3000);
         }
     }));
 
@@ -785,92 +997,189 @@ function activate(context) {
             return;
         }
 
-        const output = getEvalOutputChannel();
-        output.show(true);
-
-        await vscode.window.withProgress({
-            location: vscode.ProgressLocation.Notification,
-            title: 'Evaluating...',
-            cancellable: false
-        }, async () => {
-            const result = await evaluateHotCode(selection.text);
-            showResultInOutputChannel(selection.text, result.success ? result.result : result.error, !result.success, result.stdout);
-        });
+        await evaluateToPanel(editor, selection);
     }));
 
-    context.subscriptions.push(vscode.commands.registerCommand('hot.clearEvalDecorations', () => {
-        const editor = vscode.window.activeTextEditor;
-        if (editor && evalResultDecorationType) {
-            editor.setDecorations(evalResultDecorationType, []);
+    registerCliEval(context, { log: (message) => getChannel().appendLine(message) });
+
+    registerSessions(context, {
+        reset: resetSessionEverywhere,
+        dispose: resetSessionEverywhere
+    });
+
+    registerInlineResults(context);
+
+    registerEvalDiagnostics(context);
+
+    registerEvalHistory(context, { rerun: rerunEval });
+
+    registerCodeLens(context, {
+        evaluateInEditor,
+        evaluateToPanel,
+        sendToRepl: sendRangeToRepl
+    });
+
+    registerRunWithArgs(context, {
+        evaluate: async (code, namespace, fileUri, token) => (await evaluateAndRecord(code, namespace, fileUri, null, token)).result,
+        showResult: (editor, range, code, result) => {
+            showInlineResult(editor, range, {
+                code,
+                value: result.success ? result.result : result.error,
+                isError: !result.success,
+                stdout: result.stdout,
+                structured: result.value
+            });
         }
-    }));
+    });
 
-    context.subscriptions.push(vscode.commands.registerCommand('hot.showEvalOutput', () => {
-        getEvalOutputChannel().show(true);
-    }));
+    registerInspector(context, {
+        getClient: getRunningClient,
+        evaluateAtCursor: evaluateForInspection,
+        log: (message) => getChannel().appendLine(message)
+    });
 
-    // Register document formatting provider for Hot files
-    // This enables format-on-save when the user has it configured
-    context.subscriptions.push(
-        vscode.languages.registerDocumentFormattingEditProvider('hot', {
-            async provideDocumentFormattingEdits(document) {
-                return formatHotDocument(document);
-            }
-        })
-    );
+    // ========================================================================
+    // Notebooks
+    // ========================================================================
 
-    // Register a command to manually format the current Hot document
-    context.subscriptions.push(vscode.commands.registerCommand('hot.formatDocument', async () => {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor || editor.document.languageId !== 'hot') {
-            vscode.window.showWarningMessage('No Hot file is currently active.');
-            return;
+    registerNotebook(context, {
+        evaluate: evaluateHotCode,
+        resetSession: resetEvalSession
+    });
+
+    // ========================================================================
+    // Formatting
+    // ========================================================================
+
+    registerCharAudit(context);
+    registerFormatting(context, {
+        log: (message) => getChannel().appendLine(message),
+        showLog: () => getChannel().show(true),
+        getClient: getRunningClient
+    });
+
+    // ========================================================================
+    // Testing
+    // ========================================================================
+
+    context.subscriptions.push(hotFileEmitter);
+    (vscode.workspace.workspaceFolders || []).forEach(getHotFileWatcher);
+
+    registerTesting(context, {
+        getClient: getRunningClient,
+        onDidChangeHotFile: hotFileEmitter.event,
+        supportsDebugging: () => supportsDap(vscode.workspace.getConfiguration('hot').get('lsp.commandPath', 'hot')),
+        log: (message) => getChannel().appendLine(message)
+    });
+
+    // ========================================================================
+    // Tasks
+    // ========================================================================
+
+    registerTasks(context);
+
+    // ========================================================================
+    // Run and Debug
+    // ========================================================================
+
+    registerDebug(context);
+
+    // ========================================================================
+    // Workspace Index and Offline Language Features
+    // ========================================================================
+
+    registerWorkspaceIndex(context, { onDidChangeHotFile: hotFileEmitter.event });
+    registerOfflineFeatures(context, { getClient: getRunningClient });
+
+    // ========================================================================
+    // Namespace Explorer
+    // ========================================================================
+
+    registerNamespaces(context, {
+        evaluateFile: async (document) => {
+            const editor = await vscode.window.showTextDocument(document, { preview: false });
+            const range = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+            await evaluateToPanel(editor, { text: document.getText(), range });
         }
+    });
 
-        const edits = await formatHotDocument(editor.document);
-        if (edits.length > 0) {
-            const edit = new vscode.WorkspaceEdit();
-            edits.forEach(e => edit.replace(editor.document.uri, e.range, e.newText));
-            await vscode.workspace.applyEdit(edit);
-            vscode.window.showInformationMessage('Hot file formatted.');
-        } else {
-            vscode.window.showInformationMessage('File already formatted.');
+    registerNamespaceSync(context, {
+        getClient: getRunningClient,
+        log: (message) => getChannel().appendLine(message)
+    });
+
+    // ========================================================================
+    // Flow Graph
+    // ========================================================================
+
+    registerFlowGraph(context);
+
+    // ========================================================================
+    // Structural Editing
+    // ========================================================================
+
+    registerStructuralEditing(context);
+
+    // ========================================================================
+    // Refactoring
+    // ========================================================================
+
+    registerRefactorings(context, { getClient: getRunningClient });
+
+    // Start one analyzer per workspace folder, lazily, when its first Hot document opens
+    context.subscriptions.push(vscode.workspace.onDidOpenTextDocument(ensureClientForDocument));
+
+    context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(async (e) => {
+        for (const folder of e.removed) {
+            const key = folder.uri.toString();
+            stoppedFolders.delete(key);
+            await stopClient(folder);
+            folderChannels.get(key)?.dispose();
+            folderChannels.delete(key);
+            hotFileWatchers.get(key)?.dispose();
+            hotFileWatchers.delete(key);
         }
+        e.added.forEach(getHotFileWatcher);
+        vscode.workspace.textDocuments.forEach(ensureClientForDocument);
+        refreshStatus();
     }));
 
-    // Add settings gear menu via status bar item command override
-    updateStatus('$(circle-slash) hot', buildTooltip(), 'hot.openSettings');
+    // Keep the parse cache incremental and bounded to open documents
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(noteDocumentChanges));
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => forgetDocument(document.uri)));
+
+    // The status bar follows the active editor's folder
+    context.subscriptions.push(vscode.window.onDidChangeActiveTextEditor(() => refreshStatus()));
 
-    // Auto-start on activation; will no-op if already running
-    startClient();
+    refreshStatus();
+
+    // Auto-start for Hot documents that are already open; no-op for folders already running
+    vscode.workspace.textDocuments.forEach(ensureClientForDocument);
 }
 
 /**
  * Called when the extension is deactivated
  */
 async function deactivate() {
-    if (client) {
-        const c = client;
-        client = null;
-        isRunning = false;
-        updateStatus('$(sync~spin) hot', buildTooltip(), 'hot.startAnalyzer');
-        await c.stop().catch(() => {});
+    const entries = [...clients.values()];
+    clients.clear();
+    await Promise.all(entries.map(entry => entry.client.stop().catch(() => {})));
+    for (const folderChannel of folderChannels.values()) {
+        folderChannel.dispose();
+    }
+    folderChannels.clear();
+    for (const watcher of hotFileWatchers.values()) {
+        watcher.dispose();
     }
+    hotFileWatchers.clear();
     if (statusBarItem) {
         statusBarItem.dispose();
         statusBarItem = null;
     }
-    if (replTerminal) {
-        replTerminal.dispose();
-        replTerminal = null;
-    }
-    if (evalResultDecorationType) {
-        evalResultDecorationType.dispose();
-        evalResultDecorationType = null;
-    }
-    if (evalOutputChannel) {
-        evalOutputChannel.dispose();
-        evalOutputChannel = null;
+    interruptEvaluations();
+    if (evalStatusItem) {
+        evalStatusItem.dispose();
+        evalStatusItem = null;
     }
 }
 
@@ -916,11 +1225,7 @@ function fetchInstalledVersion() {
         const match = (stdout || '').match(/^hot\s+(\S+)/);
         if (match) {
             installedVersion = match[1];
-            updateStatus(
-                statusBarItem?.text || '$(circle-slash) hot',
-                buildTooltip(),
-                statusBarItem?.command || 'hot.openSettings'
-            );
+            refreshStatus();
         }
     });
 }
@@ -1007,7 +1312,7 @@ function updateHot() {
             disposable.dispose();
             installedVersion = null;
             fetchInstalledVersion();
-            vscode.commands.executeCommand('hot.restartAnalyzer');
+            restartAllClients();
         }
     });
 }
@@ -0,0 +1,516 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const path = require('path');
+const { getDocumentParse, findFormAt, splitItems, parseFlowArms, isToken, isGroup } = require('./parser');
+
+const VIEW_TYPE = 'hotFlowGraph';
+
+/** Redraw after typing pauses */
+const UPDATE_DELAY_MS = 300;
+
+/** Flows whose body is a list of `guard => body` arms */
+const ARM_FLOWS = new Set(['cond', 'cond-all', 'match', 'match-all']);
+
+/** Longest label drawn in a node; the full text is in its tooltip */
+const MAX_LABEL = 48;
+
+const NODE_HEIGHT = 30;
+const GAP_X = 24;
+const GAP_Y = 28;
+const LABEL_HEIGHT = 26;
+const CHAR_WIDTH = 7.2;
+const PADDING_X = 12;
+const JOIN_RADIUS = 4;
+const MARGIN = 16;
+
+/**
+ * A node of a flow graph
+ * @typedef {{ kind: 'step', label: string, text: string, start: number, end: number }
+ *     | { kind: 'serial', steps: FlowNode[] }
+ *     | { kind: 'flow', flow: string, label: string, start: number, end: number, arms: FlowArm[], after: FlowNode | null }} FlowNode
+ */
+
+/**
+ * A branch of a flow: a parallel branch, or a cond/match arm with its guard
+ * @typedef {Object} FlowArm
+ * @property {string | null} guard - Null for parallel branches; `default` for an arm without a guard
+ * @property {number} start
+ * @property {number} end
+ * @property {FlowNode} body
+ */
+
+/**
+ * Laid-out node: its size and how to draw it at a position
+ * @typedef {Object} Box
+ * @property {number} width
+ * @property {number} height
+ * @property {(x: number, y: number) => string} render - SVG for the box with its top-left corner at x, y
+ */
+
+// ============================================================================
+// Model
+// ============================================================================
+
+/**
+ * Single-line label for source text
+ * @param {string} text
+ */
+function labelFor(text) {
+    const label = text.replace(/\s+/g, ' ').trim();
+    return label.length > MAX_LABEL ? `${label.slice(0, MAX_LABEL - 1)}…` : label;
+}
+
+/**
+ * Build the node for one item of a body: a nested flow, a block or a plain step
+ * @param {Array<import('./parser').Token | import('./parser').Group>} nodes
+ * @param {string} text
+ * @returns {FlowNode}
+ */
+function buildItem(nodes, text) {
+    const start = nodes[0].start;
+    const end = nodes[nodes.length - 1].end;
+
+    const flowIndex = nodes.findIndex(n => isToken(n, 'flow'));
+    const bodyIndex = flowIndex === -1 ? -1 : nodes.findIndex((n, i) => i > flowIndex && isGroup(n, '{'));
+    if (bodyIndex !== -1) {
+        const flow = /** @type {import('./parser').Token} */ (nodes[flowIndex]).value;
+        const body = /** @type {import('./parser').Group} */ (nodes[bodyIndex]);
+        const rest = nodes.slice(bodyIndex + 1);
+        return buildFlow(flow, labelFor(text.slice(start, body.start)), start, end, body, text,
+            rest.length ? step(rest[0].start, rest[rest.length - 1].end, text) : null);
+    }
+
+    if (nodes.length === 1 && isGroup(nodes[0], '{')) return buildBody(nodes, text);
+    return step(start, end, text);
+}
+
+/**
+ * @param {number} start
+ * @param {number} end
+ * @param {string} text
+ * @returns {FlowNode}
+ */
+function step(start, end, text) {
+    const source = text.slice(start, end);
+    return { kind: 'step', label: labelFor(source), text: source, start, end };
+}
+
+/**
+ * Build the node for a body: the items of a `{ ... }` block chained in order
+ * @param {Array<import('./parser').Token | import('./parser').Group>} nodes
+ * @param {string} text
+ * @returns {FlowNode}
+ */
+function buildBody(nodes, text) {
+    const items = nodes.length === 1 && isGroup(nodes[0], '{') ? splitItems(nodes[0]) : [{ nodes }];
+    const steps = items.filter(item => item.nodes.length).map(item => buildItem(item.nodes, text));
+    if (steps.length === 1) return steps[0];
+    return { kind: 'serial', steps };
+}
+
+/**
+ * Build the node for a flow keyword and its body
+ * @param {string} flow
+ * @param {string} label
+ * @param {number} start
+ * @param {number} end
+ * @param {import('./parser').Group} body
+ * @param {string} text
+ * @param {FlowNode | null} [after] - What follows the flow in the same expression
+ * @returns {FlowNode}
+ */
+function buildFlow(flow, label, start, end, body, text, after = null) {
+    if (flow === 'serial') {
+        const steps = splitItems(body).map(item => buildItem(item.nodes, text));
+        if (after) steps.push(after);
+        return { kind: 'serial', steps };
+    }
+
+    /** @type {FlowArm[]} */
+    let arms;
+    if (ARM_FLOWS.has(flow)) {
+        arms = parseFlowArms(body).map(arm => ({
+            guard: arm.guard.length ? labelFor(text.slice(arm.guard[0].start, arm.guard[arm.guard.length - 1].end)) : 'default',
+            start: arm.start,
+            end: arm.end,
+            body: arm.body.length ? buildBody(arm.body, text) : step(arm.arrow.start, arm.arrow.end, text)
+        }));
+    } else {
+        arms = splitItems(body).map(item => ({ guard: null, start: item.start, end: item.end, body: buildItem(item.nodes, text) }));
+    }
+    return { kind: 'flow', flow, label, start, end, arms, after };
+}
+
+/**
+ * Build the flow graph of a function: its signature followed by its body
+ * @param {import('./parser').Form} form
+ * @param {string} text
+ * @returns {FlowNode}
+ */
+function buildFlowGraph(form, text) {
+    const signatureEnd = form.body ? form.body.start : form.end;
+    const signature = step(form.start, signatureEnd, text);
+    if (!form.body) return signature;
+    const body = form.flow
+        ? buildFlow(form.flow, form.flow, form.start, form.end, form.body, text)
+        : buildBody([form.body], text);
+    return { kind: 'serial', steps: [signature, ...(body.kind === 'serial' ? body.steps : [body])] };
+}
+
+// ============================================================================
+// Layout
+// ============================================================================
+
+/**
+ * @param {string} text
+ */
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} label
+ */
+function textWidth(label) {
+    return Math.ceil([...label].length * CHAR_WIDTH);
+}
+
+/**
+ * A labelled, clickable node
+ * @param {string} className
+ * @param {string} label
+ * @param {string} tooltip
+ * @param {number} start
+ * @param {number} end
+ * @returns {Box}
+ */
+function nodeBox(className, label, tooltip, start, end) {
+    const width = Math.max(60, textWidth(label) + 2 * PADDING_X);
+    return {
+        width,
+        height: NODE_HEIGHT,
+        render: (x, y) => `<g class="node ${className}" data-start="${start}" data-end="${end}">`
+            + `<title>${escapeXml(tooltip.slice(0, 500))}</title>`
+            + `<rect x="${x}" y="${y}" width="${width}" height="${NODE_HEIGHT}" rx="${className === 'step' ? 4 : NODE_HEIGHT / 2}"/>`
+            + `<text x="${x + width / 2}" y="${y + NODE_HEIGHT / 2}">${escapeXml(label)}</text></g>`
+    };
+}
+
+/**
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @param {boolean} [arrow=true]
+ */
+function edge(x1, y1, x2, y2, arrow = true) {
+    const d = x1 === x2 ? `M${x1},${y1} V${y2}` : `M${x1},${y1} V${(y1 + y2) / 2} H${x2} V${y2}`;
+    return `<path class="edge" d="${d}"${arrow ? ' marker-end="url(#arrow)"' : ''}/>`;
+}
+
+/**
+ * Steps chained top to bottom
+ * @param {Box[]} boxes
+ * @returns {Box}
+ */
+function serialBox(boxes) {
+    const width = Math.max(...boxes.map(b => b.width));
+    const height = boxes.reduce((sum, b) => sum + b.height, 0) + GAP_Y * (boxes.length - 1);
+    return {
+        width,
+        height,
+        render: (x, y) => {
+            let svg = '';
+            let top = y;
+            boxes.forEach((box, i) => {
+                if (i > 0) svg += edge(x + width / 2, top - GAP_Y, x + width / 2, top);
+                svg += box.render(x + (width - box.width) / 2, top);
+                top += box.height + GAP_Y;
+            });
+            return svg;
+        }
+    };
+}
+
+/**
+ * A flow header with its arms side by side, joined below
+ * @param {Extract<FlowNode, { kind: 'flow' }>} node
+ * @returns {Box}
+ */
+function flowBox(node) {
+    const header = nodeBox(`flow flow-${node.flow}`, node.label, node.label, node.start, node.end);
+    if (node.arms.length === 0) return header;
+
+    const hasGuards = node.arms.some(arm => arm.guard !== null);
+    const arms = node.arms.map(arm => {
+        const body = layout(arm.body);
+        return { arm, body, width: Math.max(body.width, arm.guard ? textWidth(arm.guard) + 8 : 0) };
+    });
+    const armsWidth = arms.reduce((sum, a) => sum + a.width, 0) + GAP_X * (arms.length - 1);
+    const armsHeight = Math.max(...arms.map(a => a.body.height));
+    const labelHeight = hasGuards ? LABEL_HEIGHT : 0;
+    const width = Math.max(header.width, armsWidth);
+    const height = NODE_HEIGHT + GAP_Y + labelHeight + armsHeight + GAP_Y + 2 * JOIN_RADIUS;
+
+    const box = {
+        width,
+        height,
+        render: (x, y) => {
+            const center = x + width / 2;
+            const armsTop = y + NODE_HEIGHT + GAP_Y + labelHeight;
+            const joinY = armsTop + armsHeight + GAP_Y + JOIN_RADIUS;
+            let svg = header.render(center - header.width / 2, y);
+            let left = x + (width - armsWidth) / 2;
+            for (const { arm, body, width: armWidth } of arms) {
+                const armCenter = left + armWidth / 2;
+                // Guards sit on the edge into their arm
+                svg += edge(center, y + NODE_HEIGHT, armCenter, armsTop - labelHeight, !labelHeight);
+                if (labelHeight) {
+                    svg += `<g class="guard" data-start="${arm.start}" data-end="${arm.end}">`
+                        + `<text x="${armCenter}" y="${armsTop - labelHeight + 9}">${escapeXml(arm.guard || '')}</text></g>`
+                        + edge(armCenter, armsTop - 8, armCenter, armsTop);
+                }
+                svg += body.render(armCenter - body.width / 2, armsTop);
+                svg += edge(armCenter, armsTop + body.height, center, joinY - JOIN_RADIUS, false);
+                left += armWidth + GAP_X;
+            }
+            svg += `<circle class="join flow-${node.flow}" cx="${center}" cy="${joinY}" r="${JOIN_RADIUS}"/>`;
+            return svg;
+        }
+    };
+    return node.after ? serialBox([box, layout(node.after)]) : box;
+}
+
+/**
+ * Lay out a flow node
+ * @param {FlowNode} node
+ * @returns {Box}
+ */
+function layout(node) {
+    if (node.kind === 'step') return nodeBox('step', node.label, node.text, node.start, node.end);
+    if (node.kind === 'serial') {
+        return node.steps.length ? serialBox(node.steps.map(layout)) : nodeBox('step', '(empty)', '', 0, 0);
+    }
+    return flowBox(node);
+}
+
+/**
+ * Draw a flow graph as a standalone SVG document
+ * Colors follow the editor theme inside the webview and fall back to a light palette when exported.
+ * @param {FlowNode} graph
+ * @returns {string}
+ */
+function renderSvg(graph) {
+    const box = layout(graph);
+    const width = box.width + 2 * MARGIN;
+    const height = box.height + 2 * MARGIN;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<style>
+text { font: 12px var(--vscode-editor-font-family, monospace); text-anchor: middle; dominant-baseline: central; fill: var(--vscode-editor-foreground, #1f1f1f); }
+.node rect { fill: var(--vscode-editor-background, #ffffff); stroke: var(--vscode-editorWidget-border, #8a8a8a); }
+.node.flow rect { fill: var(--vscode-editorWidget-background, #f0f0f0); stroke: var(--vscode-focusBorder, #0066b8); }
+.node.flow-parallel rect { stroke: var(--vscode-charts-purple, #8250df); }
+.node.flow-cond rect, .node.flow-cond-all rect { stroke: var(--vscode-charts-orange, #bc4c00); }
+.node.flow-match rect, .node.flow-match-all rect { stroke: var(--vscode-charts-green, #1a7f37); }
+.guard text { font-size: 11px; fill: var(--vscode-descriptionForeground, #616161); }
+.edge { fill: none; stroke: var(--vscode-editorWidget-border, #8a8a8a); }
+.join { fill: var(--vscode-editorWidget-border, #8a8a8a); }
+#arrow path { fill: var(--vscode-editorWidget-border, #8a8a8a); }
+[data-start] { cursor: pointer; }
+.node:hover rect { stroke-width: 2; }
+</style>
+<defs><marker id="arrow" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto"><path d="M0,0 L8,4 L0,8 z"/></marker></defs>
+${box.render(MARGIN, MARGIN)}
+</svg>
+`;
+}
+
+// ============================================================================
+// Panel
+// ============================================================================
+
+/** @type {vscode.WebviewPanel | null} */
+let panel = null;
+/** @type {{ uri: vscode.Uri, name: string, offset: number } | null} function shown in the panel */
+let shown = null;
+/** @type {string | null} */
+let lastSvg = null;
+/** @type {NodeJS.Timeout | undefined} */
+let updateTimer;
+
+/**
+ * @param {vscode.Webview} webview
+ */
+function getHtml(webview) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<style>
+body { padding: 0; }
+.toolbar { position: sticky; top: 0; display: flex; align-items: center; gap: 8px; padding: 6px 0; background: var(--vscode-editor-background); }
+.toolbar .title { flex: 1; font-family: var(--vscode-editor-font-family); }
+.message { color: var(--vscode-descriptionForeground); }
+button { color: var(--vscode-button-foreground); background: var(--vscode-button-background); border: none; padding: 4px 10px; cursor: pointer; }
+button:hover { background: var(--vscode-button-hoverBackground); }
+</style>
+</head>
+<body>
+<div class="toolbar"><span class="title" id="title"></span><button id="export">Export SVG</button></div>
+<div id="graph"></div>
+<script nonce="${nonce}">
+const vscode = acquireVsCodeApi();
+const graph = document.getElementById('graph');
+window.addEventListener('message', (event) => {
+    const message = event.data;
+    document.getElementById('title').textContent = message.title;
+    if (message.svg) {
+        graph.innerHTML = message.svg;
+    } else {
+        graph.innerHTML = '';
+        const note = document.createElement('p');
+        note.className = 'message';
+        note.textContent = message.message;
+        graph.appendChild(note);
+    }
+});
+graph.addEventListener('click', (event) => {
+    const target = event.target.closest('[data-start]');
+    if (target) vscode.postMessage({ command: 'reveal', start: Number(target.dataset.start), end: Number(target.dataset.end) });
+});
+document.getElementById('export').addEventListener('click', () => vscode.postMessage({ command: 'export' }));
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Find the shown function in its document, by name or else at its last position
+ * @param {vscode.TextDocument} document
+ * @returns {import('./parser').Form | null}
+ */
+function findShownForm(document) {
+    const forms = getDocumentParse(document).forms;
+    const byName = forms.find(f => (f.kind === 'fn' || f.kind === 'coercion') && f.name === shown.name);
+    if (byName) return byName;
+    const atOffset = findFormAt(getDocumentParse(document), shown.offset);
+    return atOffset && (atOffset.kind === 'fn' || atOffset.kind === 'coercion') ? atOffset : null;
+}
+
+/**
+ * Redraw the shown function from its document
+ */
+async function updatePanel() {
+    if (!panel || !shown) return;
+    const document = await vscode.workspace.openTextDocument(shown.uri);
+    const form = findShownForm(document);
+    const title = `${shown.name} — ${path.basename(shown.uri.fsPath)}`;
+    if (!form) {
+        lastSvg = null;
+        panel.webview.postMessage({ title, message: `${shown.name} is no longer defined in this file.` });
+        return;
+    }
+    shown.name = form.name;
+    shown.offset = form.start;
+    panel.title = `Flow: ${form.name}`;
+    lastSvg = renderSvg(buildFlowGraph(form, document.getText()));
+    panel.webview.postMessage({ title: `${form.name} — ${path.basename(shown.uri.fsPath)}`, svg: lastSvg });
+}
+
+/**
+ * Select the source of a clicked node
+ * @param {number} start
+ * @param {number} end
+ */
+async function revealSource(start, end) {
+    const document = await vscode.workspace.openTextDocument(shown.uri);
+    const range = new vscode.Range(document.positionAt(start), document.positionAt(end));
+    const existing = vscode.window.visibleTextEditors.find(e => e.document === document);
+    const editor = await vscode.window.showTextDocument(document, {
+        viewColumn: existing ? existing.viewColumn : vscode.ViewColumn.One,
+        selection: new vscode.Selection(range.start, range.end)
+    });
+    editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+}
+
+/**
+ * Save the shown graph as an SVG file
+ */
+async function exportSvg() {
+    if (!shown || !lastSvg) {
+        vscode.window.showWarningMessage('There is no flow graph to export.');
+        return;
+    }
+    const name = shown.name.replace(/[^\w-]+/g, '_');
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(path.join(path.dirname(shown.uri.fsPath), `${name}.flow.svg`)),
+        filters: { 'SVG': ['svg'] }
+    });
+    if (!target) return;
+    await vscode.workspace.fs.writeFile(target, Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>\n${lastSvg}`, 'utf8'));
+    vscode.window.showInformationMessage(`Flow graph saved to ${vscode.workspace.asRelativePath(target)}.`);
+}
+
+/**
+ * Show the flow graph of a function, reusing the open panel
+ * @param {vscode.Uri} uri
+ * @param {import('./parser').Form} form
+ */
+function showFlowGraph(uri, form) {
+    shown = { uri, name: form.name, offset: form.start };
+    if (!panel) {
+        panel = vscode.window.createWebviewPanel(VIEW_TYPE, `Flow: ${form.name}`,
+            { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+            { enableScripts: true, retainContextWhenHidden: true, localResourceRoots: [] });
+        panel.webview.html = getHtml(panel.webview);
+        panel.webview.onDidReceiveMessage(message => {
+            if (message.command === 'reveal') revealSource(message.start, message.end);
+            else if (message.command === 'export') exportSvg();
+        });
+        panel.onDidDispose(() => {
+            panel = null;
+            shown = null;
+            lastSvg = null;
+            clearTimeout(updateTimer);
+        });
+    } else {
+        panel.reveal(undefined, true);
+    }
+    updatePanel();
+}
+
+/**
+ * Register the flow graph commands and keep the panel in sync with its document
+ * @param {vscode.ExtensionContext} context
+ */
+function registerFlowGraph(context) {
+    context.subscriptions.push({ dispose: () => panel && panel.dispose() });
+
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(e => {
+        if (!shown || e.document.uri.toString() !== shown.uri.toString() || !e.contentChanges.length) return;
+        clearTimeout(updateTimer);
+        updateTimer = setTimeout(updatePanel, UPDATE_DELAY_MS);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.showFlowGraph', () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.languageId !== 'hot') {
+            vscode.window.showWarningMessage('No Hot file is currently active.');
+            return;
+        }
+        const form = findFormAt(getDocumentParse(editor.document), editor.document.offsetAt(editor.selection.active), true);
+        if (!form || (form.kind !== 'fn' && form.kind !== 'coercion')) {
+            vscode.window.showWarningMessage('Place the cursor in a function to show its flow graph.');
+            return;
+        }
+        showFlowGraph(editor.document.uri, form);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.exportFlowGraph', exportSvg));
+}
+
+module.exports = {
+    registerFlowGraph
+};
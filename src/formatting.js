@@ -0,0 +1,558 @@
+const vscode = require('vscode');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDocumentParse, findFormAt } = require('./parser');
+const { reportCharAudit } = require('./charAudit');
+
+/** Give up on a fine-grained diff beyond this many differing lines */
+const MAX_DIFF_DISTANCE = 2000;
+
+/**
+ * @typedef {Object} FormattingDeps
+ * @property {(message: string) => void} log
+ * @property {() => void} showLog
+ * @property {(uri: vscode.Uri) => import('vscode-languageclient/node').LanguageClient | null} getClient
+ */
+
+/**
+ * @typedef {Object} FormatResult
+ * @property {string | null} text - The formatted text, or null if formatting didn't produce any
+ * @property {string} [error]
+ * @property {boolean} [cancelled]
+ */
+
+/** @type {FormattingDeps} */
+let deps = { log: () => {}, showLog: () => {}, getClient: () => null };
+
+/**
+ * In-flight formatting run per document URI
+ * A new request cancels the stale run and waits for it to settle before starting.
+ * @type {Map<string, { source: vscode.CancellationTokenSource, promise: Promise<FormatResult> }>}
+ */
+const runs = new Map();
+
+/** Set once the CLI rejects `fmt --stdin`, so older CLIs fall back to a private temp file */
+let stdinUnsupported = false;
+
+/**
+ * Run a Hot CLI command, feeding `input` on stdin
+ * The child is killed on timeout or cancellation.
+ * @param {string[]} args
+ * @param {string | null} input
+ * @param {vscode.CancellationToken} token
+ * @param {string} [cwd]
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string, error?: string, cancelled?: boolean }>}
+ */
+function runHotCli(args, input, token, cwd) {
+    const config = vscode.workspace.getConfiguration('hot');
+    const commandPath = config.get('lsp.commandPath', 'hot');
+    const timeout = config.get('format.timeout', 10000);
+
+    return new Promise((resolve) => {
+        let stdout = '';
+        let stderr = '';
+        let settled = false;
+        let timedOut = false;
+
+        const child = spawn(commandPath, args, { cwd });
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            cancellation.dispose();
+            resolve(result);
+        };
+
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            child.kill();
+        }, timeout) : undefined;
+        const cancellation = token.onCancellationRequested(() => child.kill());
+
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', (e) => finish({ code: null, stdout, stderr, error: e.message }));
+        child.on('close', (code) => {
+            if (token.isCancellationRequested) {
+                finish({ code, stdout, stderr, cancelled: true });
+            } else if (timedOut) {
+                finish({ code, stdout, stderr, error: `hot ${args[0]} timed out after ${timeout}ms (hot.format.timeout)` });
+            } else {
+                finish({ code, stdout, stderr });
+            }
+        });
+
+        // Ignore EPIPE when the CLI exits before reading all of stdin
+        child.stdin.on('error', () => {});
+        child.stdin.end(input === null ? undefined : input, 'utf8');
+    });
+}
+
+/**
+ * Format text with `hot fmt`, piping it through stdin/stdout
+ * @param {vscode.TextDocument} document
+ * @param {string} content
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<FormatResult>}
+ */
+async function formatWithCli(document, content, token) {
+    const cwd = vscode.workspace.getWorkspaceFolder(document.uri)?.uri.fsPath;
+
+    if (!stdinUnsupported) {
+        const result = await runHotCli(['fmt', '--stdin'], content, token, cwd);
+        const rejected = result.code !== 0 && !result.stdout &&
+            /unexpected argument|unknown (?:flag|option|argument)|unrecognized|wasn't expected/i.test(result.stderr);
+        if (!rejected) {
+            return interpretCliResult(document, result, result.stdout);
+        }
+        stdinUnsupported = true;
+        deps.log('[hot] hot fmt does not support --stdin; formatting through a temp file');
+    }
+
+    // Older CLIs only format files in place: use a private directory so runs never collide
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hot-fmt-'));
+    const tmpFile = path.join(dir, 'input.hot');
+    try {
+        await fs.promises.writeFile(tmpFile, content, 'utf8');
+        const result = await runHotCli(['fmt', tmpFile], null, token, cwd);
+        const formatted = await fs.promises.readFile(tmpFile, 'utf8').catch(() => null);
+        return interpretCliResult(document, result, formatted);
+    } finally {
+        fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+/**
+ * Turn a finished `hot fmt` run into a format result
+ * @param {vscode.TextDocument} document
+ * @param {{ code: number | null, stdout: string, stderr: string, error?: string, cancelled?: boolean }} result
+ * @param {string | null} formatted
+ * @returns {FormatResult}
+ */
+function interpretCliResult(document, result, formatted) {
+    if (result.cancelled) {
+        return { text: null, cancelled: true };
+    }
+
+    // CHAR-AUDIT warnings become diagnostics; a clean run clears them
+    reportCharAudit(document, result.stderr);
+
+    if (result.error) {
+        return { text: null, error: result.error };
+    }
+    if (result.code === 0) {
+        return { text: formatted };
+    }
+    // A CHAR-AUDIT warning exits non-zero, but the formatter still produces output
+    if (result.stderr.includes('CHAR-AUDIT') && formatted) {
+        return { text: formatted };
+    }
+    return { text: null, error: result.stderr.trim() || `hot fmt exited with code ${result.code}` };
+}
+
+/**
+ * Format text with the language server's `textDocument/formatting`, if it supports it
+ * @param {vscode.TextDocument} document
+ * @param {string} content
+ * @param {vscode.FormattingOptions} options
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<FormatResult | null>} null when the server can't format
+ */
+async function formatWithLsp(document, content, options, token) {
+    const client = deps.getClient(document.uri);
+    if (!client || !client.initializeResult?.capabilities?.documentFormattingProvider) {
+        return null;
+    }
+
+    try {
+        const edits = await client.sendRequest('textDocument/formatting', {
+            textDocument: client.code2ProtocolConverter.asTextDocumentIdentifier(document),
+            options: { tabSize: options.tabSize, insertSpaces: options.insertSpaces }
+        }, token);
+        if (token.isCancellationRequested) {
+            return { text: null, cancelled: true };
+        }
+        return { text: applyTextEdits(content, await client.protocol2CodeConverter.asTextEdits(edits || []), document) };
+    } catch (e) {
+        if (token.isCancellationRequested) {
+            return { text: null, cancelled: true };
+        }
+        deps.log(`[hot] LSP formatting failed, falling back to CLI: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Apply text edits to a string
+ * @param {string} content
+ * @param {vscode.TextEdit[]} edits
+ * @param {vscode.TextDocument} document - Used to map positions to offsets in `content`
+ */
+function applyTextEdits(content, edits, document) {
+    const sorted = edits
+        .map(edit => ({ start: document.offsetAt(edit.range.start), end: document.offsetAt(edit.range.end), text: edit.newText }))
+        .sort((a, b) => b.start - a.start);
+    for (const edit of sorted) {
+        content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+    }
+    return content;
+}
+
+/**
+ * Format a document's current text through the per-document queue
+ * @param {vscode.TextDocument} document
+ * @param {string} content - The document text at request time
+ * @param {vscode.FormattingOptions} options
+ * @param {vscode.CancellationToken} [token]
+ * @returns {Promise<FormatResult>}
+ */
+function formatText(document, content, options, token) {
+    const key = document.uri.toString();
+    const previous = runs.get(key);
+    if (previous) previous.source.cancel();
+
+    const source = new vscode.CancellationTokenSource();
+    const link = token ? token.onCancellationRequested(() => source.cancel()) : null;
+
+    const promise = (previous ? previous.promise.catch(() => {}) : Promise.resolve())
+        .then(async () => {
+            if (source.token.isCancellationRequested) return { text: null, cancelled: true };
+            return (await formatWithLsp(document, content, options, source.token)) ||
+                formatWithCli(document, content, source.token);
+        })
+        .then((result) => {
+            if (result.error) deps.log(`[hot] Format error (${document.uri.fsPath}): ${result.error}`);
+            return result;
+        }, (e) => {
+            deps.log(`[hot] Format exception: ${e.message}`);
+            return { text: null, error: e.message };
+        })
+        .finally(() => {
+            if (link) link.dispose();
+            source.dispose();
+            if (runs.get(key)?.promise === promise) runs.delete(key);
+        });
+
+    runs.set(key, { source, promise });
+    return promise;
+}
+
+/**
+ * Formatting options for a document when no provider supplied them
+ * @param {vscode.TextDocument} document
+ * @returns {vscode.FormattingOptions}
+ */
+function defaultFormattingOptions(document) {
+    const editorConfig = vscode.workspace.getConfiguration('editor', document);
+    return {
+        tabSize: editorConfig.get('tabSize', 4),
+        insertSpaces: editorConfig.get('insertSpaces', true)
+    };
+}
+
+// ============================================================================
+// Minimal diffs
+// ============================================================================
+
+/**
+ * Split text into lines that keep their line terminators
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Diff two line arrays with Myers' algorithm
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<{ aStart: number, aEnd: number, bStart: number, bEnd: number }> | null}
+ *   Hunks replacing a[aStart..aEnd) with b[bStart..bEnd), or null if the texts are too different
+ */
+function diffLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_DIFF_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) { found = true; break; }
+        }
+    }
+    if (!found) return null;
+
+    // Walk the trace backwards to recover the edit script
+    const hunks = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prevV = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && prevV[offset + k - 1] < prevV[offset + k + 1])) ? k + 1 : k - 1;
+        const prevX = prevV[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) { x--; y--; }
+        // One insertion (x unchanged) or deletion (y unchanged)
+        const hunk = { aStart: prevX, aEnd: x, bStart: prevY, bEnd: y };
+        const last = hunks[hunks.length - 1];
+        if (last && last.aStart === hunk.aEnd && last.bStart === hunk.bEnd) {
+            last.aStart = hunk.aStart;
+            last.bStart = hunk.bStart;
+        } else {
+            hunks.push(hunk);
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return hunks.reverse();
+}
+
+/**
+ * Compute line-level edits turning `original` into `formatted`
+ * Only changed lines are replaced, so untouched lines keep markers and decorations.
+ * @param {vscode.TextDocument} document
+ * @param {string} original - The document text the edits apply to
+ * @param {string} formatted
+ * @returns {vscode.TextEdit[]}
+ */
+function computeMinimalEdits(document, original, formatted) {
+    if (document.eol === vscode.EndOfLine.CRLF) {
+        formatted = formatted.replace(/\r?\n/g, '\r\n');
+    }
+    if (formatted === original) return [];
+
+    const a = splitLines(original);
+    const b = splitLines(formatted);
+    const hunks = diffLines(a, b);
+    if (!hunks) {
+        const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(original.length));
+        return [vscode.TextEdit.replace(fullRange, formatted)];
+    }
+
+    // Offsets of the start of each original line
+    const lineOffsets = [0];
+    for (const line of a) lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length);
+
+    return hunks.map(hunk => {
+        const range = new vscode.Range(
+            document.positionAt(lineOffsets[hunk.aStart]),
+            document.positionAt(lineOffsets[hunk.aEnd])
+        );
+        return vscode.TextEdit.replace(range, b.slice(hunk.bStart, hunk.bEnd).join(''));
+    });
+}
+
+/**
+ * Keep only the edits that touch a range
+ * @param {vscode.TextEdit[]} edits
+ * @param {vscode.Range} range
+ * @returns {vscode.TextEdit[]}
+ */
+function editsWithinRange(edits, range) {
+    return edits.filter(edit => edit.range.intersection(range) !== undefined);
+}
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+/**
+ * Format a Hot document, preferring the language server and falling back to `hot fmt`
+ * @param {vscode.TextDocument} document
+ * @param {vscode.FormattingOptions} [options]
+ * @param {vscode.CancellationToken} [token]
+ * @returns {Promise<vscode.TextEdit[]>}
+ */
+async function formatHotDocument(document, options, token) {
+    const content = document.getText();
+    const version = document.version;
+    const result = await formatText(document, content, options || defaultFormattingOptions(document), token);
+    // Edits computed for an older version would corrupt the document
+    if (result.text === null || document.version !== version) return [];
+    return computeMinimalEdits(document, content, result.text);
+}
+
+/**
+ * Format part of a Hot document
+ * `hot fmt` works on whole files, so the whole file is formatted and only
+ * the changes touching the range are kept.
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range
+ * @param {vscode.FormattingOptions} [options]
+ * @param {vscode.CancellationToken} [token]
+ * @returns {Promise<vscode.TextEdit[]>}
+ */
+async function formatHotRange(document, range, options, token) {
+    return editsWithinRange(await formatHotDocument(document, options, token), range);
+}
+
+/**
+ * Format the top-level form just completed by typing `}` or a newline
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @param {string} ch
+ * @returns {Promise<vscode.TextEdit[]>}
+ */
+async function formatOnType(document, position, ch, options, token) {
+    // After a newline, the form of interest ends on the previous line
+    const anchor = ch === '\n' && position.line > 0
+        ? document.lineAt(position.line - 1).range.end
+        : position;
+    const form = findFormAt(getDocumentParse(document), document.offsetAt(anchor), true);
+    if (!form) return [];
+
+    const formRange = new vscode.Range(document.positionAt(form.start), document.positionAt(form.end));
+    let edits = await formatHotRange(document, formRange, options, token);
+    if (ch === '\n') {
+        // Leave the freshly indented line the cursor is on alone
+        edits = edits.filter(edit => edit.range.start.line > position.line || edit.range.end.line < position.line);
+    }
+    return edits;
+}
+
+/**
+ * Register document, range and on-type formatting for Hot files
+ * @param {vscode.ExtensionContext} context
+ * @param {FormattingDeps} formattingDeps
+ */
+function registerFormatting(context, formattingDeps) {
+    deps = formattingDeps;
+
+    // Register document formatting provider for Hot files
+    // This enables format-on-save when the user has it configured
+    context.subscriptions.push(
+        vscode.languages.registerDocumentFormattingEditProvider('hot', {
+            async provideDocumentFormattingEdits(document, options, token) {
+                return formatHotDocument(document, options, token);
+            }
+        })
+    );
+
+    // Range formatting powers Format Selection and
+    // `"editor.formatOnSaveMode": "modifications"`, which formats only lines changed per the SCM diff
+    context.subscriptions.push(
+        vscode.languages.registerDocumentRangeFormattingEditProvider('hot', {
+            async provideDocumentRangeFormattingEdits(document, range, options, token) {
+                return formatHotRange(document, range, options, token);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.languages.registerOnTypeFormattingEditProvider('hot', {
+            async provideOnTypeFormattingEdits(document, position, ch, options, token) {
+                return formatOnType(document, position, ch, options, token);
+            }
+        }, '}', '\n')
+    );
+
+    // Register a command to manually format the current Hot document
+    context.subscriptions.push(vscode.commands.registerCommand('hot.formatDocument', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.languageId !== 'hot') {
+            vscode.window.showWarningMessage('No Hot file is currently active.');
+            return;
+        }
+
+        const edits = await formatHotDocument(editor.document);
+        if (edits.length > 0) {
+            const edit = new vscode.WorkspaceEdit();
+            edits.forEach(e => edit.replace(editor.document.uri, e.range, e.newText));
+            await vscode.workspace.applyEdit(edit);
+            vscode.window.showInformationMessage('Hot file formatted.');
+        } else {
+            vscode.window.showInformationMessage('File already formatted.');
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.formatWorkspace', formatWorkspace));
+}
+
+/**
+ * Format every `.hot` file in the workspace, with progress and a summary report
+ */
+async function formatWorkspace() {
+    const files = await vscode.workspace.findFiles('**/*.hot', '**/node_modules/**');
+    if (files.length === 0) {
+        vscode.window.showInformationMessage('No Hot files found in the workspace.');
+        return;
+    }
+
+    const formatted = [];
+    const failed = [];
+    let unchanged = 0;
+
+    const completed = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Formatting Hot files',
+        cancellable: true
+    }, async (progress, token) => {
+        for (let i = 0; i < files.length; i++) {
+            if (token.isCancellationRequested) return false;
+            const uri = files[i];
+            progress.report({
+                message: `${i + 1}/${files.length} ${vscode.workspace.asRelativePath(uri)}`,
+                increment: 100 / files.length
+            });
+
+            const document = await vscode.workspace.openTextDocument(uri);
+            const wasDirty = document.isDirty;
+            const content = document.getText();
+            const result = await formatText(document, content, defaultFormattingOptions(document), token);
+            if (result.cancelled) return false;
+            if (result.text === null) {
+                failed.push({ uri, error: result.error || 'unknown error' });
+                continue;
+            }
+
+            const edits = computeMinimalEdits(document, content, result.text);
+            if (edits.length === 0) {
+                unchanged++;
+                continue;
+            }
+            const edit = new vscode.WorkspaceEdit();
+            edits.forEach(e => edit.replace(uri, e.range, e.newText));
+            if (await vscode.workspace.applyEdit(edit)) {
+                // Leave files with unsaved user changes for the user to save
+                if (!wasDirty) await document.save();
+                formatted.push(uri);
+            } else {
+                failed.push({ uri, error: 'edit could not be applied' });
+            }
+        }
+        return true;
+    });
+
+    deps.log(`[hot] Format Workspace${completed ? '' : ' (cancelled)'}: ${formatted.length} formatted, ${unchanged} unchanged, ${failed.length} failed`);
+    formatted.forEach(uri => deps.log(`[hot]   formatted ${vscode.workspace.asRelativePath(uri)}`));
+    failed.forEach(({ uri, error }) => deps.log(`[hot]   failed ${vscode.workspace.asRelativePath(uri)}: ${error}`));
+
+    const summary = `${completed ? 'Formatted' : 'Cancelled after formatting'} ${formatted.length} Hot file(s); ${unchanged} unchanged, ${failed.length} failed.`;
+    const show = failed.length ? vscode.window.showWarningMessage : vscode.window.showInformationMessage;
+    const choice = await show(summary, 'Show Details');
+    if (choice === 'Show Details') {
+        deps.showLog();
+    }
+}
+
+module.exports = {
+    registerFormatting,
+    formatHotDocument,
+    formatHotRange
+};
@@ -0,0 +1,325 @@
+const vscode = require('vscode');
+const { prettyPrintValue } = require('./values');
+
+/** Longest inline annotation before it is truncated; the hover shows the full value */
+const MAX_INLINE_LENGTH = 80;
+
+/**
+ * An eval result attached to the form it came from
+ * Offsets are kept up to date as the document is edited.
+ * @typedef {Object} InlineResult
+ * @property {string} id
+ * @property {string} uri
+ * @property {number} start - Offset of the evaluated form's start
+ * @property {number} end - Offset of the evaluated form's end, where the annotation is shown
+ * @property {string} code
+ * @property {string} value - Result value, or the error message
+ * @property {boolean} isError
+ * @property {string} [stdout]
+ * @property {import('./values').ValueNode} [structured] - Structured value from `hot/eval`, for the inspector
+ * @property {boolean} pinned - Pinned results survive edits to their form and Clear Eval Results
+ * @property {boolean} stale - Set when a pinned result's form was edited after evaluation
+ * @property {number} timestamp
+ */
+
+/** @type {Map<string, InlineResult[]>} keyed by document URI */
+const resultsByDocument = new Map();
+let nextId = 1;
+
+/** @type {vscode.TextEditorDecorationType | null} */
+let decorationType = null;
+
+/**
+ * Create or get the eval result decoration type
+ * @returns {vscode.TextEditorDecorationType}
+ */
+function getDecorationType() {
+    if (!decorationType) {
+        decorationType = vscode.window.createTextEditorDecorationType({
+            after: {
+                margin: '0 0 0 1em',
+                fontStyle: 'italic'
+            },
+            rangeBehavior: vscode.DecorationRangeBehavior.ClosedClosed
+        });
+    }
+    return decorationType;
+}
+
+/**
+ * Find a result by id
+ * @param {string} id
+ * @returns {InlineResult | undefined}
+ */
+function findResult(id) {
+    for (const results of resultsByDocument.values()) {
+        const found = results.find(r => r.id === id);
+        if (found) return found;
+    }
+    return undefined;
+}
+
+/**
+ * Short single-line text shown after the form
+ * @param {InlineResult} result
+ */
+function inlineText(result) {
+    // Errors show their first line; the full message is in the hover and the diagnostic
+    let text = result.isError ? (result.value.split('\n').find(line => line.trim()) || result.value) : result.value;
+    if (result.stdout && result.stdout.trim()) {
+        // If there's stdout, show it before the result
+        text = result.stdout.trim() + (text && text !== 'null' ? ` => ${text}` : '');
+    } else {
+        text = `=> ${text}`;
+    }
+    text = text.replace(/\n/g, ' ↵ ');
+    if (text.length > MAX_INLINE_LENGTH) {
+        text = text.substring(0, MAX_INLINE_LENGTH) + '…';
+    }
+    if (result.pinned) text = `📌 ${text}`;
+    return text;
+}
+
+/**
+ * Build a `command:` link for an action on a result
+ * @param {string} command
+ * @param {InlineResult} result
+ */
+function resultCommand(command, result) {
+    return `command:${command}?${encodeURIComponent(JSON.stringify([result.id]))}`;
+}
+
+/**
+ * Hover with the full pretty-printed value, stdout and actions
+ * @param {InlineResult} result
+ * @returns {vscode.MarkdownString}
+ */
+function buildHover(result) {
+    const md = new vscode.MarkdownString();
+    md.isTrusted = true;
+    md.supportThemeIcons = true;
+
+    const time = new Date(result.timestamp).toLocaleTimeString();
+    const flags = [result.pinned ? 'pinned' : null, result.stale ? 'form changed since evaluation' : null].filter(Boolean);
+    md.appendMarkdown(`**${result.isError ? 'Hot eval error' : 'Hot eval result'}** · ${time}${flags.length ? ` · _${flags.join(', ')}_` : ''}\n\n`);
+
+    if (result.isError) {
+        md.appendCodeblock(result.value, 'text');
+    } else {
+        md.appendCodeblock(prettyPrintValue(result.value), 'hot');
+    }
+    if (result.stdout && result.stdout.trim()) {
+        md.appendMarkdown('**Output**\n\n');
+        md.appendCodeblock(result.stdout.trimEnd(), 'text');
+    }
+
+    if (!result.isError) {
+        md.appendMarkdown(`[$(search) Inspect](${resultCommand('hot.inspectEvalResult', result)}) · `);
+    }
+    md.appendMarkdown(`[$(copy) Copy value](${resultCommand('hot.copyEvalResult', result)})`);
+    md.appendMarkdown(` · [$(${result.pinned ? 'pinned' : 'pin'}) ${result.pinned ? 'Unpin' : 'Pin'}](${resultCommand('hot.pinEvalResult', result)})`);
+    md.appendMarkdown(` · [$(close) Dismiss](${resultCommand('hot.dismissEvalResult', result)})`);
+    return md;
+}
+
+/**
+ * Render all results of a document in every visible editor showing it
+ * @param {string} uri
+ */
+function render(uri) {
+    const results = resultsByDocument.get(uri) || [];
+    for (const editor of vscode.window.visibleTextEditors) {
+        if (editor.document.uri.toString() !== uri) continue;
+        const document = editor.document;
+        editor.setDecorations(getDecorationType(), results.map(result => {
+            const end = document.positionAt(result.end);
+            return {
+                range: new vscode.Range(end, end),
+                hoverMessage: buildHover(result),
+                renderOptions: {
+                    after: {
+                        contentText: inlineText(result),
+                        color: result.isError
+                            ? new vscode.ThemeColor('errorForeground')
+                            : new vscode.ThemeColor(result.stale ? 'disabledForeground' : 'terminal.ansiGreen'),
+                        fontStyle: 'italic'
+                    }
+                }
+            };
+        }));
+    }
+}
+
+/**
+ * Display an eval result inline after the form it came from
+ * Replaces an earlier result for the same form, keeping its pin.
+ * @param {vscode.TextEditor} editor
+ * @param {vscode.Range} range - Range of the evaluated code
+ * @param {{ code: string, value: string, isError: boolean, stdout?: string, structured?: import('./values').ValueNode }} result
+ * @returns {InlineResult}
+ */
+function showInlineResult(editor, range, result) {
+    const document = editor.document;
+    const uri = document.uri.toString();
+    const start = document.offsetAt(range.start);
+    const end = document.offsetAt(range.end);
+
+    // Annotations share the end of a line, so a new result replaces any other ending on the same line
+    const existing = resultsByDocument.get(uri) || [];
+    const sameLine = (r) => document.positionAt(r.end).line === range.end.line;
+    const results = existing.filter(r => !sameLine(r));
+    const replaced = existing.find(sameLine);
+
+    /** @type {InlineResult} */
+    const inline = {
+        id: String(nextId++),
+        uri,
+        start,
+        end,
+        code: result.code,
+        value: result.value || '',
+        isError: result.isError,
+        stdout: result.stdout,
+        structured: result.structured,
+        pinned: replaced ? replaced.pinned : false,
+        stale: false,
+        timestamp: Date.now()
+    };
+    results.push(inline);
+    resultsByDocument.set(uri, results);
+    render(uri);
+    return inline;
+}
+
+/**
+ * Remove unpinned results from a document (or all results with `includePinned`)
+ * @param {vscode.Uri} uri
+ * @param {boolean} [includePinned=false]
+ */
+function clearInlineResults(uri, includePinned = false) {
+    const key = uri.toString();
+    const kept = includePinned ? [] : (resultsByDocument.get(key) || []).filter(r => r.pinned);
+    if (kept.length) resultsByDocument.set(key, kept);
+    else resultsByDocument.delete(key);
+    render(key);
+}
+
+/**
+ * Move results with document edits; unpinned results whose form was edited are dropped
+ * @param {vscode.TextDocumentChangeEvent} e
+ */
+function onDocumentChanged(e) {
+    const key = e.document.uri.toString();
+    const results = resultsByDocument.get(key);
+    if (!results || e.contentChanges.length === 0) return;
+
+    // Apply from the end of the document so offsets stay in original coordinates
+    const changes = [...e.contentChanges].sort((a, b) => b.rangeOffset - a.rangeOffset);
+    const kept = [];
+    for (const result of results) {
+        let touched = false;
+        for (const change of changes) {
+            const changeEnd = change.rangeOffset + change.rangeLength;
+            const delta = change.text.length - change.rangeLength;
+            if (change.rangeOffset >= result.end) continue;
+            if (changeEnd <= result.start) {
+                result.start += delta;
+                result.end += delta;
+            } else {
+                touched = true;
+                result.end = Math.max(result.start, result.end + delta);
+            }
+        }
+        if (!touched) {
+            kept.push(result);
+        } else if (result.pinned) {
+            result.stale = true;
+            kept.push(result);
+        }
+    }
+
+    if (kept.length) resultsByDocument.set(key, kept);
+    else resultsByDocument.delete(key);
+    render(key);
+}
+
+/**
+ * Register inline result tracking and the result commands
+ * @param {vscode.ExtensionContext} context
+ */
+function registerInlineResults(context) {
+    context.subscriptions.push({
+        dispose() {
+            if (decorationType) decorationType.dispose();
+            decorationType = null;
+            resultsByDocument.clear();
+        }
+    });
+
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(onDocumentChanged));
+
+    // Re-render when an editor for an annotated document becomes visible
+    context.subscriptions.push(vscode.window.onDidChangeVisibleTextEditors(editors => {
+        for (const uri of new Set(editors.map(e => e.document.uri.toString()))) {
+            if (resultsByDocument.has(uri)) render(uri);
+        }
+    }));
+
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => {
+        const key = document.uri.toString();
+        const pinned = (resultsByDocument.get(key) || []).filter(r => r.pinned);
+        if (pinned.length) resultsByDocument.set(key, pinned);
+        else resultsByDocument.delete(key);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.copyEvalResult', async (id) => {
+        const result = findResult(id);
+        if (!result) return;
+        await vscode.env.clipboard.writeText(result.isError ? result.value : prettyPrintValue(result.value));
+        vscode.window.setStatusBarMessage('Hot eval result copied to clipboard.', 3000);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.inspectEvalResult', async (id) => {
+        const result = findResult(id);
+        if (!result || result.isError) return;
+        await vscode.commands.executeCommand('hot.inspectValue', {
+            label: result.code,
+            text: result.value,
+            value: result.structured,
+            uri: result.uri
+        });
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.pinEvalResult', (id) => {
+        const result = findResult(id);
+        if (!result) return;
+        result.pinned = !result.pinned;
+        render(result.uri);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.dismissEvalResult', (id) => {
+        const result = findResult(id);
+        if (!result) return;
+        const remaining = (resultsByDocument.get(result.uri) || []).filter(r => r !== result);
+        if (remaining.length) resultsByDocument.set(result.uri, remaining);
+        else resultsByDocument.delete(result.uri);
+        render(result.uri);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.clearEvalDecorations', () => {
+        const editor = vscode.window.activeTextEditor;
+        if (editor) clearInlineResults(editor.document.uri);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.clearAllEvalResults', () => {
+        for (const uri of [...resultsByDocument.keys()]) {
+            clearInlineResults(vscode.Uri.parse(uri), true);
+        }
+    }));
+}
+
+module.exports = {
+    registerInlineResults,
+    showInlineResult,
+    clearInlineResults
+};
@@ -0,0 +1,295 @@
+const vscode = require('vscode');
+const { parseValue, prettyPrintValue, toHotLiteral, toJsonValue } = require('./values');
+
+const VIEW_ID = 'hotValueInspector';
+
+/** Children shown per page of a collection; "Show more" loads the next page */
+const PAGE_SIZE = 100;
+
+/** Inspected values kept in the view */
+const MAX_INSPECTIONS = 10;
+
+/**
+ * A value to inspect
+ * @typedef {Object} InspectRequest
+ * @property {string} label - Shown as the root of the tree, usually the evaluated code
+ * @property {string} text - The printed value
+ * @property {import('./values').ValueNode} [value] - Structured value from `hot/eval`, if the server sent one
+ * @property {string} [uri] - Document the value was evaluated for; picks the analyzer for lazy loading
+ */
+
+/**
+ * A node in the inspector tree
+ * @typedef {Object} InspectorItem
+ * @property {string} key
+ * @property {import('./values').ValueNode} node
+ * @property {InspectorItem | null} parent
+ * @property {InspectorRoot} root
+ * @property {number} shown - Children currently shown
+ * @property {InspectorItem[]} [items] - Child items created so far
+ */
+
+/**
+ * @typedef {InspectorItem & { uri: string | null, text: string }} InspectorRoot
+ */
+
+/**
+ * @typedef {Object} InspectorDeps
+ * @property {(uri?: vscode.Uri) => import('vscode-languageclient/node').LanguageClient | null} getClient
+ * @property {() => Promise<InspectRequest | null>} evaluateAtCursor - Evaluate the selection or form at the cursor
+ * @property {(message: string) => void} log
+ */
+
+/** @type {InspectorRoot[]} newest first */
+let roots = [];
+/** @type {InspectorDeps} */
+let deps = { getClient: () => null, evaluateAtCursor: async () => null, log: () => {} };
+
+const changeEmitter = new vscode.EventEmitter();
+/** @type {vscode.TreeView<InspectorItem | { more: InspectorItem }> | null} */
+let treeView = null;
+
+/**
+ * Whether a node has children, loaded or not
+ * @param {import('./values').ValueNode} node
+ */
+function isCollection(node) {
+    return node.kind === 'map' || node.kind === 'vec';
+}
+
+/**
+ * Number of children of a collection
+ * @param {import('./values').ValueNode} node
+ */
+function childCount(node) {
+    if (typeof node.length === 'number') return node.length;
+    return node.children ? node.children.length : 0;
+}
+
+/**
+ * Load children of a server-backed collection up to `count`
+ * @param {InspectorItem} item
+ * @param {number} count
+ */
+async function loadChildren(item, count) {
+    const node = item.node;
+    if (!node.children) node.children = [];
+    const target = Math.min(count, childCount(node));
+    if (!node.ref || node.children.length >= target) return;
+
+    const client = deps.getClient(item.root.uri ? vscode.Uri.parse(item.root.uri) : undefined);
+    if (!client) {
+        throw new Error('Hot analyzer is not running; the rest of this value cannot be loaded.');
+    }
+    const response = await client.sendRequest('hot/inspect', {
+        ref: node.ref,
+        start: node.children.length,
+        count: target - node.children.length
+    });
+    node.children.push(...((response && response.children) || []));
+    if (!response || !response.children || response.children.length === 0) {
+        // The server has nothing more; stop offering to load it
+        node.length = node.children.length;
+    }
+}
+
+/**
+ * Load a whole subtree, for copying
+ * @param {InspectorItem} item
+ */
+async function loadAll(item) {
+    if (!isCollection(item.node)) return;
+    await loadChildren(item, childCount(item.node));
+    for (const child of item.node.children || []) {
+        await loadAll({ key: child.key, node: child.value, parent: item, root: item.root, shown: 0 });
+    }
+}
+
+/**
+ * Label of a value, shown next to its key
+ * @param {import('./values').ValueNode} node
+ */
+function describeValue(node) {
+    if (isCollection(node)) {
+        const count = childCount(node);
+        return `${node.type} (${count} ${node.kind === 'map' ? (count === 1 ? 'entry' : 'entries') : (count === 1 ? 'item' : 'items')})`;
+    }
+    const text = (node.text || '').replace(/\s*\n\s*/g, ' ↵ ');
+    const shown = text.length > 80 ? text.substring(0, 80) + '…' : text;
+    return node.type === 'Str' ? `${shown} · Str (${node.length})` : `${shown} · ${node.type}`;
+}
+
+/**
+ * Tree of inspected values
+ * @type {vscode.TreeDataProvider<InspectorItem | { more: InspectorItem }>}
+ */
+const treeDataProvider = {
+    onDidChangeTreeData: changeEmitter.event,
+
+    async getChildren(element) {
+        if (!element) return roots;
+        if (element.more) return [];
+        const item = /** @type {InspectorItem} */ (element);
+        if (!isCollection(item.node)) return [];
+
+        try {
+            await loadChildren(item, item.shown);
+        } catch (e) {
+            deps.log(`[inspect] ${e.message}`);
+            vscode.window.showWarningMessage(e.message);
+        }
+        // Tree items are kept so expansion and paging survive refreshes
+        const loaded = item.node.children || [];
+        if (!item.items) item.items = [];
+        for (let i = item.items.length; i < Math.min(item.shown, loaded.length); i++) {
+            item.items.push({ key: loaded[i].key, node: loaded[i].value, parent: item, root: item.root, shown: PAGE_SIZE });
+        }
+        const children = item.items.slice(0, item.shown);
+        if (childCount(item.node) > item.shown && (item.node.children || []).length >= item.shown) {
+            children.push(/** @type {any} */ ({ more: item }));
+        }
+        return children;
+    },
+
+    getTreeItem(element) {
+        if (element.more) {
+            const remaining = childCount(element.more.node) - element.more.shown;
+            const item = new vscode.TreeItem(`Show ${Math.min(PAGE_SIZE, remaining)} more (${remaining} remaining)…`);
+            item.command = { title: 'Show More', command: 'hot.inspectShowMore', arguments: [element.more] };
+            item.contextValue = 'hotInspectMore';
+            return item;
+        }
+
+        const node = element.node;
+        const isRoot = element.parent === null;
+        const item = new vscode.TreeItem(
+            isRoot ? element.key : `${element.key}:`,
+            isCollection(node) && childCount(node) > 0
+                ? (isRoot ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed)
+                : vscode.TreeItemCollapsibleState.None
+        );
+        item.description = describeValue(node);
+        item.contextValue = isRoot ? 'hotInspectValue.root' : 'hotInspectValue';
+        item.iconPath = new vscode.ThemeIcon(node.kind === 'map' ? 'symbol-object' : node.kind === 'vec' ? 'symbol-array'
+            : node.type === 'Str' ? 'symbol-string' : node.type === 'Int' || node.type === 'Dec' ? 'symbol-number'
+            : node.type === 'Bool' || node.type === 'Null' ? 'symbol-boolean' : 'symbol-constant');
+        if (!isCollection(node) && node.text) {
+            item.tooltip = new vscode.MarkdownString().appendCodeblock(node.text, 'hot');
+        }
+        return item;
+    },
+
+    getParent(element) {
+        if (element.more) return element.more;
+        return element.parent || undefined;
+    }
+};
+
+/**
+ * Show a value in the inspector
+ * @param {InspectRequest} request
+ */
+async function inspectValue(request) {
+    const node = request.value || parseValue(request.text);
+    if (!node) {
+        vscode.window.showInformationMessage('This result is not a Hot value that can be inspected.');
+        return;
+    }
+
+    const label = request.label.trim().split('\n')[0];
+    /** @type {InspectorRoot} */
+    const root = {
+        key: label.length > 60 ? label.substring(0, 60) + '…' : label,
+        node,
+        parent: null,
+        root: null,
+        shown: PAGE_SIZE,
+        uri: request.uri || null,
+        text: request.text
+    };
+    root.root = root;
+    roots = [root, ...roots].slice(0, MAX_INSPECTIONS);
+    changeEmitter.fire();
+
+    await vscode.commands.executeCommand(`${VIEW_ID}.focus`);
+    if (treeView) await treeView.reveal(root, { select: true, focus: false, expand: true });
+}
+
+/**
+ * Resolve the items a tree command applies to
+ * @param {InspectorItem | undefined} item
+ * @returns {InspectorItem | undefined}
+ */
+function targetItem(item) {
+    const selected = item || (treeView && treeView.selection[0]);
+    return selected && !selected.more ? selected : undefined;
+}
+
+/**
+ * Copy a subtree, loading everything the server hasn't sent yet
+ * @param {InspectorItem | undefined} item
+ * @param {'hot' | 'json'} format
+ */
+async function copySubtree(item, format) {
+    item = targetItem(item);
+    if (!item) return;
+    try {
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: 'Hot: Loading value...'
+        }, () => loadAll(item));
+    } catch (e) {
+        vscode.window.showErrorMessage(`Failed to copy value: ${e.message}`);
+        return;
+    }
+    const text = format === 'json'
+        ? JSON.stringify(toJsonValue(item.node), null, 2)
+        : prettyPrintValue(toHotLiteral(item.node));
+    await vscode.env.clipboard.writeText(text);
+    vscode.window.setStatusBarMessage(`Hot value copied as ${format === 'json' ? 'JSON' : 'a Hot literal'}.`, 3000);
+}
+
+/**
+ * Register the value inspector view and its commands
+ * @param {vscode.ExtensionContext} context
+ * @param {InspectorDeps} inspectorDeps
+ */
+function registerInspector(context, inspectorDeps) {
+    deps = inspectorDeps;
+
+    treeView = vscode.window.createTreeView(VIEW_ID, { treeDataProvider, showCollapseAll: true });
+    context.subscriptions.push(treeView, changeEmitter);
+
+    // Called with an InspectRequest from inline results and the history, or from the palette
+    context.subscriptions.push(vscode.commands.registerCommand('hot.inspectValue', async (request) => {
+        if (!request) {
+            request = await deps.evaluateAtCursor();
+            if (!request) return;
+        }
+        await inspectValue(request);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.inspectShowMore', (item) => {
+        item.shown += PAGE_SIZE;
+        changeEmitter.fire(item);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.copyValueAsHot', (item) => copySubtree(item, 'hot')));
+    context.subscriptions.push(vscode.commands.registerCommand('hot.copyValueAsJson', (item) => copySubtree(item, 'json')));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.removeInspectedValue', (item) => {
+        item = targetItem(item);
+        if (!item) return;
+        roots = roots.filter(r => r !== item.root);
+        changeEmitter.fire();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.clearInspector', () => {
+        roots = [];
+        changeEmitter.fire();
+    }));
+}
+
+module.exports = {
+    registerInspector
+};
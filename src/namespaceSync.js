@@ -0,0 +1,331 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getDocumentParse, parseHot, walkTokens } = require('./parser');
+const { getIndex, positionMapper } = require('./workspaceIndex');
+
+const NAMESPACE_PATTERN = /^(::[A-Za-z_][\w?!-]*)+$/;
+const SEGMENT_PATTERN = /^[A-Za-z_][\w?!-]*$/;
+
+/**
+ * A namespace to rename, declared in a file
+ * @typedef {Object} NamespaceMove
+ * @property {vscode.Uri} uri - File declaring the namespace, before any move
+ * @property {string} from
+ * @property {string} to
+ */
+
+/**
+ * A text change to make
+ * @typedef {{ uri: vscode.Uri, range: vscode.Range, newText: string }} Change
+ */
+
+/**
+ * @typedef {Object} NamespaceSyncDeps
+ * @property {(uri: vscode.Uri) => import('vscode-languageclient/node').LanguageClient | null} getClient
+ * @property {(message: string) => void} log
+ */
+
+/** @type {NamespaceSyncDeps} */
+let deps = { getClient: () => null, log: () => {} };
+
+/** Files being moved by `Hot: Move Namespace`, whose rename already carries its edits */
+const movingFiles = new Set();
+
+// ============================================================================
+// Paths and namespaces
+// ============================================================================
+
+/**
+ * Path of a file relative to its workspace folder, as segments without the `.hot` extension
+ * @param {vscode.WorkspaceFolder} folder
+ * @param {vscode.Uri} uri
+ * @returns {string[]}
+ */
+function pathSegments(folder, uri) {
+    const relative = path.relative(folder.uri.fsPath, uri.fsPath);
+    return relative.replace(/\.hot$/, '').split(path.sep);
+}
+
+/**
+ * The directories a namespace's path is relative to, when the namespace mirrors its file's path
+ * `src/myapp/greeter.hot` declaring `::myapp::greeter` has the root `['src']`.
+ * @param {vscode.WorkspaceFolder} folder
+ * @param {vscode.Uri} uri
+ * @param {string} namespace
+ * @returns {string[] | null}
+ */
+function namespaceRoot(folder, uri, namespace) {
+    const segments = pathSegments(folder, uri);
+    const names = namespace.split('::').filter(Boolean);
+    if (names.length > segments.length) return null;
+    const tail = segments.slice(segments.length - names.length);
+    return tail.every((segment, i) => segment === names[i]) ? segments.slice(0, segments.length - names.length) : null;
+}
+
+/**
+ * The namespace a file declares after a move, or null when it can't be worked out
+ * @param {vscode.Uri} oldUri
+ * @param {vscode.Uri} newUri
+ * @param {string} namespace - Current namespace of the file
+ * @returns {string | null}
+ */
+function namespaceAfterMove(oldUri, newUri, namespace) {
+    const folder = vscode.workspace.getWorkspaceFolder(oldUri);
+    if (!folder || !newUri.fsPath.endsWith('.hot')) return null;
+    const root = namespaceRoot(folder, oldUri, namespace);
+    let names;
+    if (root && vscode.workspace.getWorkspaceFolder(newUri) === folder) {
+        const segments = pathSegments(folder, newUri);
+        if (!root.every((dir, i) => segments[i] === dir) || segments.length === root.length) return null;
+        names = segments.slice(root.length);
+    } else {
+        // Without a mirrored layout, only a renamed file maps to a renamed last segment
+        names = namespace.split('::').filter(Boolean);
+        if (names[names.length - 1] !== path.basename(oldUri.fsPath, '.hot')) return null;
+        names[names.length - 1] = path.basename(newUri.fsPath, '.hot');
+    }
+    return names.every(name => SEGMENT_PATTERN.test(name)) ? `::${names.join('::')}` : null;
+}
+
+/**
+ * Where a file goes when its namespace changes, or null when its path doesn't mirror the namespace
+ * @param {vscode.Uri} uri
+ * @param {string} from
+ * @param {string} to
+ * @returns {vscode.Uri | null}
+ */
+function pathForNamespace(uri, from, to) {
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    const root = folder ? namespaceRoot(folder, uri, from) : null;
+    if (!root) return null;
+    const names = to.split('::').filter(Boolean);
+    names[names.length - 1] += '.hot';
+    return vscode.Uri.joinPath(folder.uri, ...root, ...names);
+}
+
+/**
+ * Namespace moves implied by renamed files and folders
+ * @param {ReadonlyArray<{ oldUri: vscode.Uri, newUri: vscode.Uri }>} renames
+ * @returns {Promise<NamespaceMove[]>}
+ */
+async function movesForRenames(renames) {
+    const index = await getIndex();
+    const moves = [];
+    for (const { oldUri, newUri } of renames) {
+        for (const entry of index.values()) {
+            if (!entry.namespace) continue;
+            let target;
+            if (entry.uri.toString() === oldUri.toString()) {
+                target = newUri;
+            } else if (entry.uri.path.startsWith(`${oldUri.path}/`)) {
+                // A file inside a renamed folder
+                target = newUri.with({ path: newUri.path + entry.uri.path.slice(oldUri.path.length) });
+            } else {
+                continue;
+            }
+            const to = namespaceAfterMove(entry.uri, target, entry.namespace);
+            if (to && to !== entry.namespace) moves.push({ uri: entry.uri, from: entry.namespace, to });
+        }
+    }
+    return moves;
+}
+
+// ============================================================================
+// Edits
+// ============================================================================
+
+/**
+ * Rename a namespace through the analyzer, when it supports rename
+ * @param {NamespaceMove} move
+ * @returns {Promise<Change[] | null>} null when the analyzer can't do it
+ */
+async function renameWithServer(move) {
+    const client = deps.getClient(move.uri);
+    if (!client || !client.initializeResult || !client.initializeResult.capabilities.renameProvider) return null;
+    try {
+        const document = await vscode.workspace.openTextDocument(move.uri);
+        const declaration = getDocumentParse(document).namespace;
+        if (!declaration) return null;
+        /** @type {vscode.WorkspaceEdit | undefined} */
+        const edit = await vscode.commands.executeCommand('vscode.executeDocumentRenameProvider',
+            move.uri, document.positionAt(declaration.nameStart), move.to);
+        if (!edit || edit.size === 0) return null;
+        return edit.entries().flatMap(([uri, edits]) => edits.map(e => ({ uri, range: e.range, newText: e.newText })));
+    } catch (e) {
+        deps.log(`[hot] Rename of ${move.from} through the analyzer failed, scanning instead: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Find declarations of and references to the moved namespaces in every Hot file
+ * Matches `::ns` itself and `::ns/name`; nested namespaces such as `::ns::sub` are left alone.
+ * @param {NamespaceMove[]} moves
+ * @returns {Promise<Change[]>}
+ */
+async function scanReferences(moves) {
+    const changes = [];
+    for (const entry of (await getIndex()).values()) {
+        const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === entry.uri.toString());
+        let text;
+        try {
+            text = open ? open.getText() : Buffer.from(await vscode.workspace.fs.readFile(entry.uri)).toString('utf8');
+        } catch (e) {
+            continue;
+        }
+        if (!moves.some(move => text.includes(move.from))) continue;
+
+        const positionAt = open ? (offset) => open.positionAt(offset) : positionMapper(text);
+        const parsed = open ? getDocumentParse(open) : parseHot(text);
+        for (const form of parsed.forms) {
+            walkTokens(form.nodes, token => {
+                if (token.type !== 'path') return;
+                const move = moves.find(m => token.value === m.from || token.value.startsWith(`${m.from}/`));
+                if (!move) return;
+                changes.push({
+                    uri: entry.uri,
+                    range: new vscode.Range(positionAt(token.start), positionAt(token.start + move.from.length)),
+                    newText: move.to
+                });
+            });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Edits that rename namespaces everywhere, through the analyzer where possible
+ * @param {NamespaceMove[]} moves
+ * @param {boolean} needsConfirmation - Show the edits in the refactor preview first
+ * @returns {Promise<vscode.WorkspaceEdit>}
+ */
+async function namespaceEdit(moves, needsConfirmation) {
+    const changes = [];
+    const scanned = [];
+    for (const move of moves) {
+        const fromServer = await renameWithServer(move);
+        if (fromServer) changes.push(...fromServer);
+        else scanned.push(move);
+    }
+    if (scanned.length) changes.push(...await scanReferences(scanned));
+
+    const edit = new vscode.WorkspaceEdit();
+    const seen = new Set();
+    for (const change of changes) {
+        const key = `${change.uri.toString()}:${change.range.start.line}:${change.range.start.character}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const move = moves.find(m => m.to === change.newText) || moves[0];
+        edit.replace(change.uri, change.range, change.newText, {
+            needsConfirmation,
+            label: `Rename ${move.from} to ${move.to}`
+        });
+    }
+    return edit;
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * Rename the namespace of a file, moving the file to match
+ * @param {vscode.Uri} uri
+ */
+async function moveNamespace(uri) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const declaration = getDocumentParse(document).namespace;
+    if (!declaration) {
+        vscode.window.showWarningMessage(`${path.basename(uri.fsPath)} has no namespace declaration.`);
+        return;
+    }
+    const from = declaration.name;
+    const input = await vscode.window.showInputBox({
+        prompt: `New namespace for ${from}`,
+        value: from,
+        valueSelection: [from.lastIndexOf('::') + 2, from.length],
+        validateInput: (value) => {
+            if (!NAMESPACE_PATTERN.test(value.trim())) return 'Namespaces look like ::myapp::orders';
+            return value.trim() === from ? 'Enter a different namespace' : null;
+        }
+    });
+    if (!input) return;
+    const to = input.trim();
+
+    const target = pathForNamespace(uri, from, to);
+    if (target) {
+        try {
+            await vscode.workspace.fs.stat(target);
+            vscode.window.showErrorMessage(`Cannot move ${from}: ${vscode.workspace.asRelativePath(target)} already exists.`);
+            return;
+        } catch (e) {
+            // Free to move there
+        }
+    }
+
+    const edit = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Window,
+        title: `Hot: Finding references to ${from}...`
+    }, () => namespaceEdit([{ uri, from, to }], true));
+    if (target) {
+        edit.renameFile(uri, target, { overwrite: false }, {
+            needsConfirmation: true,
+            label: `Move ${path.basename(uri.fsPath)} to ${vscode.workspace.asRelativePath(target)}`
+        });
+    }
+
+    movingFiles.add(uri.toString());
+    try {
+        const applied = await vscode.workspace.applyEdit(edit);
+        if (applied && !target) {
+            vscode.window.showInformationMessage(`Renamed ${from} to ${to}. ${path.basename(uri.fsPath)} stays where it is because its path doesn't mirror its namespace.`);
+        }
+    } finally {
+        movingFiles.delete(uri.toString());
+    }
+}
+
+/**
+ * Register namespace updates on file renames and the Move Namespace command
+ * @param {vscode.ExtensionContext} context
+ * @param {NamespaceSyncDeps} syncDeps
+ */
+function registerNamespaceSync(context, syncDeps) {
+    deps = syncDeps;
+
+    context.subscriptions.push(vscode.workspace.onWillRenameFiles(e => {
+        const renames = e.files.filter(f => !movingFiles.has(f.oldUri.toString())
+            && vscode.workspace.getConfiguration('hot', f.oldUri).get('namespaces.updateOnRename', 'prompt') !== 'never');
+        if (!renames.length) return;
+        const confirm = renames.some(f => vscode.workspace.getConfiguration('hot', f.oldUri).get('namespaces.updateOnRename', 'prompt') === 'prompt');
+        e.waitUntil((async () => {
+            try {
+                const moves = await movesForRenames(renames);
+                if (!moves.length) return undefined;
+                deps.log(`[hot] Updating namespaces after rename: ${moves.map(m => `${m.from} -> ${m.to}`).join(', ')}`);
+                return await namespaceEdit(moves, confirm);
+            } catch (err) {
+                deps.log(`[hot] Failed to update namespaces after rename: ${err.message}`);
+                return undefined;
+            }
+        })());
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.moveNamespace', async (arg) => {
+        // From the explorer (a URI), the Hot Namespaces view (a file node) or the palette
+        let uri = arg instanceof vscode.Uri ? arg : arg && arg.uri;
+        if (!uri) {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.document.languageId !== 'hot') {
+                vscode.window.showWarningMessage('No Hot file is currently active.');
+                return;
+            }
+            uri = editor.document.uri;
+        }
+        await moveNamespace(uri);
+    }));
+}
+
+module.exports = {
+    registerNamespaceSync
+};
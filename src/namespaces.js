@@ -0,0 +1,310 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getIndex, getIndexedFiles, refreshIndex, updateIndexedFile, onDidChangeIndex } = require('./workspaceIndex');
+
+const VIEW_ID = 'hotNamespaces';
+
+/** Definition kinds listed under a namespace, in display order */
+const DEFINITION_KINDS = ['fn', 'type', 'enum', 'coercion'];
+const DEFINITION_ICONS = { fn: 'symbol-function', type: 'symbol-class', enum: 'symbol-enum', coercion: 'symbol-operator' };
+
+/**
+ * @typedef {import('./workspaceIndex').Definition} Definition
+ * @typedef {import('./workspaceIndex').FileEntry} FileEntry
+ */
+
+/**
+ * Node of the namespace tree
+ * @typedef {{ kind: 'namespace', name: string }
+ *     | { kind: 'definition', definition: Definition, uri: vscode.Uri }
+ *     | { kind: 'file', uri: vscode.Uri }
+ *     | { kind: 'orphans' }} NamespaceNode
+ */
+
+/**
+ * @typedef {Object} NamespaceDeps
+ * @property {(document: vscode.TextDocument) => Promise<void>} evaluateFile - Evaluate a whole file and show the result
+ */
+
+/** @type {NamespaceDeps} */
+let deps = { evaluateFile: async () => {} };
+
+const changeEmitter = new vscode.EventEmitter();
+
+// ============================================================================
+// Index
+// ============================================================================
+
+/**
+ * Files declaring a namespace
+ * @param {string} namespace
+ * @returns {FileEntry[]}
+ */
+function filesDeclaring(namespace) {
+    return [...getIndexedFiles().values()]
+        .filter(f => f.namespace === namespace)
+        .sort((a, b) => a.uri.fsPath.localeCompare(b.uri.fsPath));
+}
+
+/**
+ * Every declared namespace and its ancestors, e.g. `::a::b` also yields `::a`
+ * @returns {Set<string>}
+ */
+function allNamespaces() {
+    const names = new Set();
+    for (const file of getIndexedFiles().values()) {
+        if (!file.namespace) continue;
+        const segments = file.namespace.split('::').filter(Boolean);
+        for (let i = 1; i <= segments.length; i++) {
+            names.add(`::${segments.slice(0, i).join('::')}`);
+        }
+    }
+    return names;
+}
+
+/**
+ * Whether a namespace is declared in several files, or more than once in a file
+ * @param {string} namespace
+ */
+function isDuplicate(namespace) {
+    const declaring = filesDeclaring(namespace);
+    return declaring.length > 1 || declaring.some(f => f.declarations > 1);
+}
+
+// ============================================================================
+// Tree
+// ============================================================================
+
+/**
+ * Parent namespace of a namespace, or null at the top level
+ * @param {string} namespace
+ */
+function parentNamespace(namespace) {
+    const index = namespace.lastIndexOf('::');
+    return index > 0 ? namespace.slice(0, index) : null;
+}
+
+/**
+ * @type {vscode.TreeDataProvider<NamespaceNode>}
+ */
+const treeDataProvider = {
+    onDidChangeTreeData: changeEmitter.event,
+
+    async getChildren(node) {
+        await getIndex();
+
+        if (!node) {
+            const roots = [...allNamespaces()].filter(ns => parentNamespace(ns) === null).sort()
+                .map(name => ({ kind: 'namespace', name }));
+            if ([...getIndexedFiles().values()].some(f => !f.namespace)) roots.push({ kind: 'orphans' });
+            return roots;
+        }
+
+        if (node.kind === 'orphans') {
+            return [...getIndexedFiles().values()].filter(f => !f.namespace)
+                .sort((a, b) => a.uri.fsPath.localeCompare(b.uri.fsPath))
+                .map(f => ({ kind: 'file', uri: f.uri }));
+        }
+
+        if (node.kind !== 'namespace') return [];
+        const children = [...allNamespaces()].filter(ns => parentNamespace(ns) === node.name).sort()
+            .map(name => ({ kind: 'namespace', name }));
+        const declaring = filesDeclaring(node.name);
+        // Show the declaring files of a duplicate so it can be found
+        if (isDuplicate(node.name)) {
+            children.push(...declaring.map(f => ({ kind: 'file', uri: f.uri })));
+        }
+        const definitions = declaring.flatMap(f => f.definitions.filter(d => DEFINITION_KINDS.includes(d.kind)).map(definition => ({ kind: 'definition', definition, uri: f.uri })));
+        definitions.sort((a, b) => DEFINITION_KINDS.indexOf(a.definition.kind) - DEFINITION_KINDS.indexOf(b.definition.kind)
+            || a.definition.name.localeCompare(b.definition.name));
+        return [...children, ...definitions];
+    },
+
+    getTreeItem(node) {
+        if (node.kind === 'orphans') {
+            const count = [...getIndexedFiles().values()].filter(f => !f.namespace).length;
+            const item = new vscode.TreeItem('No namespace', vscode.TreeItemCollapsibleState.Collapsed);
+            item.description = `${count} ${count === 1 ? 'file' : 'files'}`;
+            item.tooltip = 'Files without a namespace declaration';
+            item.iconPath = new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+            return item;
+        }
+
+        if (node.kind === 'file') {
+            const entry = getIndexedFiles().get(node.uri.toString());
+            const item = new vscode.TreeItem(path.basename(node.uri.fsPath), vscode.TreeItemCollapsibleState.None);
+            item.description = vscode.workspace.asRelativePath(node.uri);
+            item.resourceUri = node.uri;
+            item.contextValue = 'hotNamespaceFile';
+            item.command = {
+                title: 'Open',
+                command: 'vscode.open',
+                arguments: [node.uri, entry && entry.namespaceRange ? { selection: entry.namespaceRange } : {}]
+            };
+            if (entry && entry.declarations > 1) {
+                item.tooltip = `${entry.declarations} namespace declarations in this file`;
+                item.iconPath = new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+            }
+            return item;
+        }
+
+        if (node.kind === 'definition') {
+            const { definition } = node;
+            const item = new vscode.TreeItem(definition.name, vscode.TreeItemCollapsibleState.None);
+            item.description = definition.flow ? `fn ${definition.flow}` : definition.kind;
+            item.iconPath = new vscode.ThemeIcon(DEFINITION_ICONS[definition.kind]);
+            item.tooltip = `${vscode.workspace.asRelativePath(node.uri)}:${definition.range.start.line + 1}`;
+            item.command = { title: 'Go to Definition', command: 'vscode.open', arguments: [node.uri, { selection: definition.range }] };
+            return item;
+        }
+
+        const declaring = filesDeclaring(node.name);
+        const hasChildren = declaring.some(f => f.definitions.some(d => DEFINITION_KINDS.includes(d.kind))) || isDuplicate(node.name)
+            || [...allNamespaces()].some(ns => parentNamespace(ns) === node.name);
+        const item = new vscode.TreeItem(node.name.slice(node.name.lastIndexOf('::') + 2),
+            hasChildren ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None);
+        item.id = `ns:${node.name}`;
+        item.tooltip = node.name;
+        item.contextValue = declaring.length ? 'hotNamespace.declared' : 'hotNamespace';
+        if (isDuplicate(node.name)) {
+            item.description = declaring.length > 1 ? `declared in ${declaring.length} files` : 'declared more than once';
+            item.iconPath = new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+        } else {
+            item.iconPath = new vscode.ThemeIcon(declaring.length ? 'symbol-namespace' : 'folder');
+        }
+        return item;
+    },
+
+    getParent(node) {
+        if (node.kind === 'namespace') {
+            const parent = parentNamespace(node.name);
+            return parent ? { kind: 'namespace', name: parent } : undefined;
+        }
+        return undefined;
+    }
+};
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+/**
+ * The file a tree node stands for, asking when a namespace is declared in several files
+ * @param {NamespaceNode} node
+ * @returns {Promise<vscode.Uri | undefined>}
+ */
+async function pickFile(node) {
+    if (!node) {
+        const editor = vscode.window.activeTextEditor;
+        return editor && editor.document.languageId === 'hot' ? editor.document.uri : undefined;
+    }
+    if (node.kind === 'file' || node.kind === 'definition') return node.uri;
+    if (node.kind !== 'namespace') return undefined;
+
+    const declaring = filesDeclaring(node.name);
+    if (declaring.length <= 1) return declaring[0]?.uri;
+    const picked = await vscode.window.showQuickPick(declaring.map(f => ({
+        label: path.basename(f.uri.fsPath),
+        description: vscode.workspace.asRelativePath(f.uri),
+        uri: f.uri
+    })), { placeHolder: `${node.name} is declared in several files` });
+    return picked?.uri;
+}
+
+/**
+ * Create a file declaring a namespace
+ * @param {string} namespace
+ */
+async function createNamespaceFile(namespace) {
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    if (!folder) {
+        vscode.window.showWarningMessage('No workspace folder open. Please open a folder first.');
+        return;
+    }
+    // Default next to files of the same namespace, or of the nearest parent
+    let near = null;
+    for (let ns = namespace; ns && !near; ns = parentNamespace(ns)) {
+        near = filesDeclaring(ns)[0] || null;
+    }
+    const baseFolder = near ? vscode.workspace.getWorkspaceFolder(near.uri) || folder : folder;
+    const directory = near ? path.dirname(near.uri.fsPath) : baseFolder.uri.fsPath;
+    const segments = namespace.split('::').filter(Boolean);
+    const suggestion = path.relative(baseFolder.uri.fsPath, path.join(directory, `${segments[segments.length - 1]}.hot`));
+
+    const relative = await vscode.window.showInputBox({
+        prompt: `New file for ${namespace}, relative to ${baseFolder.name}`,
+        value: suggestion,
+        valueSelection: [suggestion.length - path.basename(suggestion).length, suggestion.length - '.hot'.length],
+        validateInput: (value) => value.trim().endsWith('.hot') ? null : 'Hot files end in .hot'
+    });
+    if (!relative) return;
+
+    const uri = vscode.Uri.joinPath(baseFolder.uri, relative.trim());
+    try {
+        await vscode.workspace.fs.stat(uri);
+        vscode.window.showWarningMessage(`${vscode.workspace.asRelativePath(uri)} already exists.`);
+        return;
+    } catch (e) {
+        // Doesn't exist yet
+    }
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(`${namespace} ns\n\n`, 'utf8'));
+    const document = await vscode.workspace.openTextDocument(uri);
+    const editor = await vscode.window.showTextDocument(document);
+    const end = document.lineAt(document.lineCount - 1).range.end;
+    editor.selection = new vscode.Selection(end, end);
+    await updateIndexedFile(uri);
+}
+
+/**
+ * Register the namespace explorer view and its commands
+ * @param {vscode.ExtensionContext} context
+ * @param {NamespaceDeps} namespaceDeps
+ */
+function registerNamespaces(context, namespaceDeps) {
+    deps = namespaceDeps;
+
+    const treeView = vscode.window.createTreeView(VIEW_ID, { treeDataProvider, showCollapseAll: true });
+    context.subscriptions.push(treeView, changeEmitter);
+
+    context.subscriptions.push(onDidChangeIndex(() => {
+        vscode.commands.executeCommand('setContext', 'hot.hasHotFiles', getIndexedFiles().size > 0);
+        changeEmitter.fire();
+    }));
+    vscode.workspace.findFiles('**/*.hot', '**/node_modules/**', 1).then(found => {
+        vscode.commands.executeCommand('setContext', 'hot.hasHotFiles', found.length > 0);
+    });
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.refreshNamespaces', () => refreshIndex()));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.newNamespaceFile', async (node) => {
+        let namespace = node && node.kind === 'namespace' ? node.name : null;
+        if (!namespace) {
+            namespace = await vscode.window.showInputBox({
+                prompt: 'Namespace of the new file, e.g. ::myapp::orders',
+                value: '::',
+                validateInput: (value) => /^(::[A-Za-z_][\w-]*)+$/.test(value.trim()) ? null : 'Namespaces look like ::myapp::orders'
+            });
+            if (!namespace) return;
+            namespace = namespace.trim();
+        }
+        await createNamespaceFile(namespace);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.evalNamespaceFile', async (node) => {
+        const uri = await pickFile(node);
+        if (!uri) return;
+        const document = await vscode.workspace.openTextDocument(uri);
+        await deps.evaluateFile(document);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.sendNamespaceFileToRepl', async (node) => {
+        const uri = await pickFile(node);
+        if (!uri) return;
+        await vscode.window.showTextDocument(uri, { preview: false });
+        await vscode.commands.executeCommand('hot.sendFileToRepl');
+    }));
+}
+
+module.exports = {
+    registerNamespaces
+};
@@ -0,0 +1,289 @@
+const vscode = require('vscode');
+const path = require('path');
+const { parseHot } = require('./parser');
+
+const NOTEBOOK_TYPE = 'hot-notebook';
+const CONTROLLER_ID = 'hot-notebook-kernel';
+
+/**
+ * Namespace each open notebook evaluates in, keyed by notebook URI
+ * Cells share it so definitions in one cell are visible in the next.
+ * @type {Map<string, string>}
+ */
+const notebookNamespaces = new Map();
+
+/**
+ * @typedef {Object} NotebookDeps
+ * @property {(code: string, namespace?: string, fileUri?: string, token?: vscode.CancellationToken) => Promise<{ success: boolean, result: string, error?: string, namespace?: string, stdout?: string }>} evaluate
+ * @property {(uri: vscode.Uri) => Promise<boolean>} resetSession - Reset the eval session for a file; false if none is running
+ */
+
+// ============================================================================
+// Serializer
+// ============================================================================
+
+/**
+ * Serialize `.hotnb` files as JSON: cells with their source and last text outputs
+ * @type {vscode.NotebookSerializer}
+ */
+const serializer = {
+    deserializeNotebook(content) {
+        const text = Buffer.from(content).toString('utf8');
+        let raw = { cells: [] };
+        if (text.trim()) {
+            try {
+                raw = JSON.parse(text);
+            } catch (e) {
+                // Keep unreadable content rather than discarding it
+                raw = { cells: [{ kind: 'code', value: text }] };
+            }
+        }
+
+        const cells = (raw.cells || []).map(cell => {
+            const isMarkdown = cell.kind === 'markdown';
+            const data = new vscode.NotebookCellData(
+                isMarkdown ? vscode.NotebookCellKind.Markup : vscode.NotebookCellKind.Code,
+                cell.value || '',
+                isMarkdown ? 'markdown' : 'hot'
+            );
+            data.outputs = (cell.outputs || []).map(output => new vscode.NotebookCellOutput(
+                (output.items || []).map(item => item.mime === 'application/vnd.code.notebook.error'
+                    ? vscode.NotebookCellOutputItem.error({ name: 'Hot Error', message: item.value })
+                    : vscode.NotebookCellOutputItem.text(item.value, item.mime))
+            ));
+            return data;
+        });
+
+        const notebook = new vscode.NotebookData(cells);
+        notebook.metadata = raw.metadata || {};
+        return notebook;
+    },
+
+    serializeNotebook(data) {
+        const cells = data.cells.map(cell => {
+            const outputs = (cell.outputs || []).map(output => ({
+                items: output.items.map(item => {
+                    const value = Buffer.from(item.data).toString('utf8');
+                    // Error items hold JSON; keep only the message
+                    if (item.mime === 'application/vnd.code.notebook.error') {
+                        try {
+                            return { mime: item.mime, value: JSON.parse(value).message };
+                        } catch (_) {}
+                    }
+                    return { mime: item.mime, value };
+                })
+            }));
+            const cellJson = {
+                kind: cell.kind === vscode.NotebookCellKind.Markup ? 'markdown' : 'code',
+                value: cell.value
+            };
+            if (outputs.length) cellJson.outputs = outputs;
+            return cellJson;
+        });
+        const json = { metadata: data.metadata || {}, cells };
+        return Buffer.from(JSON.stringify(json, null, 2) + '\n', 'utf8');
+    }
+};
+
+// ============================================================================
+// Controller
+// ============================================================================
+
+/**
+ * Namespace for a cell: the cell's own `ns` declaration, the namespace the
+ * notebook last evaluated in, or none so the server picks its default
+ * @param {vscode.NotebookCell} cell
+ * @returns {string | undefined}
+ */
+function namespaceForCell(cell) {
+    const declared = parseHot(cell.document.getText()).namespace;
+    if (declared) return declared.name;
+    return notebookNamespaces.get(cell.notebook.uri.toString());
+}
+
+/**
+ * Run one notebook cell through the same eval path as the editor commands
+ * @param {vscode.NotebookController} controller
+ * @param {vscode.NotebookCell} cell
+ * @param {NotebookDeps} deps
+ * @param {number} order
+ * @returns {Promise<boolean>} false if the cell was interrupted
+ */
+async function executeCell(controller, cell, deps, order) {
+    const execution = controller.createNotebookCellExecution(cell);
+    execution.executionOrder = order;
+    execution.start(Date.now());
+    await execution.clearOutput();
+
+    const code = cell.document.getText();
+    if (!code.trim()) {
+        execution.end(true, Date.now());
+        return true;
+    }
+
+    const notebookKey = cell.notebook.uri.toString();
+    try {
+        // The execution's token is cancelled by the notebook's Interrupt button
+        const result = await deps.evaluate(code, namespaceForCell(cell), cell.notebook.uri.toString(), execution.token);
+        if (result.namespace) {
+            notebookNamespaces.set(notebookKey, result.namespace);
+        }
+
+        const outputs = [];
+        if (result.stdout && result.stdout.trim()) {
+            outputs.push(new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.stdout(result.stdout)]));
+        }
+        if (result.success) {
+            outputs.push(new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.text(result.result || 'null')]));
+        } else {
+            outputs.push(new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.error({
+                name: 'Hot Error',
+                message: result.error || 'Evaluation failed'
+            })]));
+        }
+        await execution.replaceOutput(outputs);
+        execution.end(result.success, Date.now());
+    } catch (e) {
+        await execution.replaceOutput([new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.error(e)])]);
+        execution.end(false, Date.now());
+    }
+    return !execution.token.isCancellationRequested;
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Get the active Hot notebook, warning if there is none
+ * @returns {vscode.NotebookDocument | null}
+ */
+function getActiveHotNotebook() {
+    const notebook = vscode.window.activeNotebookEditor?.notebook;
+    if (!notebook || notebook.notebookType !== NOTEBOOK_TYPE) {
+        vscode.window.showWarningMessage('No Hot notebook is currently active.');
+        return null;
+    }
+    return notebook;
+}
+
+/**
+ * Convert a notebook to a plain `.hot` file; markdown cells become comments
+ * @param {vscode.NotebookDocument} notebook
+ * @returns {string}
+ */
+function notebookToHot(notebook) {
+    return notebook.getCells().map(cell => {
+        const text = cell.document.getText().trimEnd();
+        if (cell.kind === vscode.NotebookCellKind.Markup) {
+            return text.split('\n').map(line => line ? `// ${line}` : '//').join('\n');
+        }
+        return text;
+    }).filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Convert a notebook to Markdown with fenced `hot` code blocks
+ * @param {vscode.NotebookDocument} notebook
+ * @returns {string}
+ */
+function notebookToMarkdown(notebook) {
+    return notebook.getCells().map(cell => {
+        const text = cell.document.getText().trimEnd();
+        if (cell.kind === vscode.NotebookCellKind.Markup) return text;
+        return '```hot\n' + text + '\n```';
+    }).filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Ask for a target file next to the notebook and write the exported content
+ * @param {vscode.NotebookDocument} notebook
+ * @param {string} extension - Target extension, e.g. `.hot`
+ * @param {string} content
+ */
+async function exportNotebook(notebook, extension, content) {
+    const base = notebook.uri.scheme === 'file'
+        ? notebook.uri.fsPath.replace(/\.hotnb$/, '') + extension
+        : path.join(vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || '', `notebook${extension}`);
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(base),
+        filters: extension === '.hot' ? { Hot: ['hot'] } : { Markdown: ['md'] }
+    });
+    if (!target) return;
+
+    await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf8'));
+    const choice = await vscode.window.showInformationMessage(`Exported notebook to ${path.basename(target.fsPath)}.`, 'Open');
+    if (choice === 'Open') {
+        await vscode.window.showTextDocument(target);
+    }
+}
+
+/**
+ * Register the `.hotnb` serializer, kernel and notebook commands
+ * @param {vscode.ExtensionContext} context
+ * @param {NotebookDeps} deps
+ */
+function registerNotebook(context, deps) {
+    context.subscriptions.push(vscode.workspace.registerNotebookSerializer(NOTEBOOK_TYPE, serializer));
+
+    const controller = vscode.notebooks.createNotebookController(CONTROLLER_ID, NOTEBOOK_TYPE, 'Hot');
+    controller.supportedLanguages = ['hot'];
+    controller.supportsExecutionOrder = true;
+    controller.description = 'Evaluates cells in a shared Hot session';
+
+    /** @type {Map<string, number>} last execution order, per notebook URI */
+    const executionOrders = new Map();
+    controller.executeHandler = async (cells, notebook) => {
+        const key = notebook.uri.toString();
+        // Cells run one at a time so later cells see earlier definitions; an interrupt stops the rest
+        for (const cell of cells) {
+            const order = (executionOrders.get(key) || 0) + 1;
+            executionOrders.set(key, order);
+            if (!await executeCell(controller, cell, deps, order)) break;
+        }
+    };
+    context.subscriptions.push(controller);
+
+    context.subscriptions.push(vscode.workspace.onDidCloseNotebookDocument(notebook => {
+        notebookNamespaces.delete(notebook.uri.toString());
+        executionOrders.delete(notebook.uri.toString());
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.newNotebook', async () => {
+        const data = new vscode.NotebookData([
+            new vscode.NotebookCellData(vscode.NotebookCellKind.Code, '', 'hot')
+        ]);
+        const notebook = await vscode.workspace.openNotebookDocument(NOTEBOOK_TYPE, data);
+        await vscode.window.showNotebookDocument(notebook);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.restartNotebookKernel', async () => {
+        const notebook = getActiveHotNotebook();
+        if (!notebook) return;
+        notebookNamespaces.delete(notebook.uri.toString());
+        executionOrders.delete(notebook.uri.toString());
+        try {
+            if (await deps.resetSession(notebook.uri)) {
+                vscode.window.showInformationMessage('Hot notebook session restarted.');
+            } else {
+                vscode.window.showWarningMessage('No Hot eval session is running.');
+            }
+        } catch (e) {
+            vscode.window.showErrorMessage(`Failed to restart Hot notebook session: ${e.message}`);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.exportNotebookToHot', async () => {
+        const notebook = getActiveHotNotebook();
+        if (notebook) await exportNotebook(notebook, '.hot', notebookToHot(notebook));
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.exportNotebookToMarkdown', async () => {
+        const notebook = getActiveHotNotebook();
+        if (notebook) await exportNotebook(notebook, '.md', notebookToMarkdown(notebook));
+    }));
+}
+
+module.exports = {
+    registerNotebook
+};
@@ -0,0 +1,424 @@
+const vscode = require('vscode');
+const { getDocumentParse, findFormAt, splitItems, parseParams, walkTokens, isToken, KEYWORDS, FLOW_KEYWORDS } = require('./parser');
+const { getIndex, metaDoc, formSignature, namespaceAliases } = require('./workspaceIndex');
+
+/** Most workspace symbols returned for one query */
+const MAX_WORKSPACE_SYMBOLS = 500;
+
+const SYMBOL_KINDS = {
+    ns: vscode.SymbolKind.Namespace,
+    fn: vscode.SymbolKind.Function,
+    coercion: vscode.SymbolKind.Operator,
+    value: vscode.SymbolKind.Variable,
+    type: vscode.SymbolKind.Struct,
+    enum: vscode.SymbolKind.Enum
+};
+
+const COMPLETION_KINDS = {
+    fn: vscode.CompletionItemKind.Function,
+    coercion: vscode.CompletionItemKind.Operator,
+    value: vscode.CompletionItemKind.Variable,
+    type: vscode.CompletionItemKind.Struct,
+    enum: vscode.CompletionItemKind.Enum
+};
+
+/**
+ * @typedef {Object} OfflineDeps
+ * @property {(uri: vscode.Uri) => import('vscode-languageclient/node').LanguageClient | null} getClient
+ */
+
+/**
+ * Where a reference points
+ * @typedef {Object} Target
+ * @property {vscode.Location} location
+ * @property {string} signature
+ * @property {string | null} doc
+ * @property {string | null} namespace
+ */
+
+/** @type {OfflineDeps} */
+let deps = { getClient: () => null };
+
+/**
+ * Whether the analyzer for a document is running and provides a feature itself
+ * @param {vscode.Uri} uri
+ * @param {string} capability - Server capability, e.g. `hoverProvider`
+ */
+function serverProvides(uri, capability) {
+    const client = deps.getClient(uri);
+    return !!(client && client.initializeResult && client.initializeResult.capabilities[capability]);
+}
+
+// ============================================================================
+// References
+// ============================================================================
+
+/**
+ * The token at an offset, with the one before it
+ * Comments and tokens outside top-level forms are ignored.
+ * @param {import('./parser').ParseResult} parsed
+ * @param {number} offset
+ * @returns {{ token: import('./parser').Token, previous: import('./parser').Token | null, form: import('./parser').Form } | null}
+ */
+function tokenAt(parsed, offset) {
+    const form = findFormAt(parsed, offset);
+    if (!form) return null;
+    /** @type {import('./parser').Token[]} */
+    const tokens = [];
+    walkTokens(form.nodes, token => tokens.push(token));
+    const index = tokens.findIndex(t => t.start <= offset && offset <= t.end && t.type !== 'comment');
+    if (index === -1) return null;
+    return { token: tokens[index], previous: tokens[index - 1] || null, form };
+}
+
+/**
+ * Expand a namespace alias at the start of a path, e.g. `::str` to `::hot::str`
+ * @param {string} namespace
+ * @param {Map<string, string>} aliases
+ */
+function resolveAlias(namespace, aliases) {
+    const head = namespace.match(/^::[^:]+/)[0];
+    return aliases.has(head) ? aliases.get(head) + namespace.slice(head.length) : namespace;
+}
+
+/**
+ * Definitions of a name in a namespace, across indexed files
+ * @param {Map<string, import('./workspaceIndex').FileEntry>} index
+ * @param {string | null} namespace - Null matches every namespace
+ * @param {string} name
+ * @param {vscode.Uri} [exclude] - File already searched
+ * @returns {Target[]}
+ */
+function findIndexed(index, namespace, name, exclude) {
+    const targets = [];
+    for (const entry of index.values()) {
+        if ((namespace && entry.namespace !== namespace) || (exclude && entry.uri.toString() === exclude.toString())) continue;
+        for (const definition of entry.definitions) {
+            if (definition.name !== name) continue;
+            targets.push({
+                location: new vscode.Location(entry.uri, definition.range),
+                signature: definition.signature,
+                doc: definition.doc,
+                namespace: entry.namespace
+            });
+        }
+    }
+    return targets;
+}
+
+/**
+ * Resolve the reference at a position: a `::ns/name` path, a namespace, a parameter or a name
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {Promise<{ range: vscode.Range, targets: Target[] } | null>}
+ */
+async function resolveReference(document, position) {
+    const parsed = getDocumentParse(document);
+    const found = tokenAt(parsed, document.offsetAt(position));
+    if (!found) return null;
+    const { token, previous, form } = found;
+    if (token.type !== 'path' && token.type !== 'ident' && token.type !== 'type') return null;
+    // Field access, e.g. `d.year`
+    if (isToken(previous, 'op', '.')) return null;
+
+    const text = document.getText();
+    const range = new vscode.Range(document.positionAt(token.start), document.positionAt(token.end));
+    const aliases = namespaceAliases(parsed);
+    const ownNamespace = parsed.namespace ? parsed.namespace.name : null;
+    const index = await getIndex();
+
+    if (token.type === 'path') {
+        const slash = token.value.indexOf('/');
+        if (slash !== -1) {
+            const namespace = resolveAlias(token.value.slice(0, slash), aliases);
+            return { range, targets: findIndexed(index, namespace, token.value.slice(slash + 1)) };
+        }
+        const namespace = resolveAlias(token.value, aliases);
+        const targets = [...index.values()]
+            .filter(entry => entry.namespace === namespace && entry.namespaceRange)
+            .map(entry => ({ location: new vscode.Location(entry.uri, entry.namespaceRange), signature: `${namespace} ns`, doc: null, namespace }));
+        return { range, targets };
+    }
+
+    // Parameters of the enclosing function
+    if (form.kind === 'fn' || form.kind === 'coercion') {
+        const param = parseParams(form.params, text).find(p => p.name === token.value);
+        if (param) {
+            const paramRange = new vscode.Range(document.positionAt(param.start), document.positionAt(param.start + param.name.length));
+            return {
+                range,
+                targets: [{
+                    location: new vscode.Location(document.uri, paramRange),
+                    signature: param.type ? `${param.name}: ${param.type}` : param.name,
+                    doc: null,
+                    namespace: null
+                }]
+            };
+        }
+    }
+
+    // Definitions in this file win over the rest of its namespace
+    const local = parsed.forms.filter(f => f.name === token.value && f.kind !== 'ns' && f.kind !== 'unknown');
+    if (local.length) {
+        return {
+            range,
+            targets: local.map(f => ({
+                location: new vscode.Location(document.uri, new vscode.Range(document.positionAt(f.nameStart), document.positionAt(f.nameEnd))),
+                signature: formSignature(f, text),
+                doc: metaDoc(f, text),
+                namespace: ownNamespace
+            }))
+        };
+    }
+    let targets = ownNamespace ? findIndexed(index, ownNamespace, token.value, document.uri) : [];
+    // Types are often used across namespaces without a path
+    if (!targets.length && token.type === 'type') targets = findIndexed(index, null, token.value, document.uri);
+    return { range, targets };
+}
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+/**
+ * Children of a type or enum: its fields or variants
+ * @param {import('./parser').Form} form
+ * @param {vscode.TextDocument} document
+ * @returns {vscode.DocumentSymbol[]}
+ */
+function memberSymbols(form, document) {
+    if (!form.body || (form.kind !== 'type' && form.kind !== 'enum')) return [];
+    const text = document.getText();
+    return splitItems(form.body).flatMap(item => {
+        const first = item.nodes[0];
+        if (first.kind !== 'token' || (first.type !== 'ident' && first.type !== 'type')) return [];
+        const colon = item.nodes.findIndex(n => isToken(n, 'op', ':'));
+        const detail = colon !== -1 && colon < item.nodes.length - 1 ? text.slice(item.nodes[colon + 1].start, item.end).trim() : '';
+        return [new vscode.DocumentSymbol(
+            first.value,
+            detail,
+            form.kind === 'enum' ? vscode.SymbolKind.EnumMember : vscode.SymbolKind.Field,
+            new vscode.Range(document.positionAt(item.start), document.positionAt(item.end)),
+            new vscode.Range(document.positionAt(first.start), document.positionAt(first.end))
+        )];
+    });
+}
+
+/**
+ * Outline and breadcrumbs: definitions nested under their namespace
+ * @type {vscode.DocumentSymbolProvider}
+ */
+const documentSymbolProvider = {
+    provideDocumentSymbols(document) {
+        if (serverProvides(document.uri, 'documentSymbolProvider')) return undefined;
+        const text = document.getText();
+        const symbols = [];
+        /** @type {vscode.DocumentSymbol | null} */
+        let namespace = null;
+        for (const form of getDocumentParse(document).forms) {
+            if (!form.name || !SYMBOL_KINDS[form.kind]) continue;
+            let detail = '';
+            if (form.kind === 'fn' || form.kind === 'coercion') {
+                detail = [form.flow, form.params ? text.slice(form.params.start, form.params.end) : null].filter(Boolean).join(' ')
+                    + (form.returnType ? `: ${form.returnType}` : '');
+            }
+            const symbol = new vscode.DocumentSymbol(
+                form.name,
+                detail.replace(/\s+/g, ' '),
+                SYMBOL_KINDS[form.kind],
+                new vscode.Range(document.positionAt(form.start), document.positionAt(form.end)),
+                new vscode.Range(document.positionAt(form.nameStart), document.positionAt(form.nameEnd))
+            );
+            symbol.children = memberSymbols(form, document);
+
+            if (form.kind === 'ns') {
+                namespace = symbol;
+                symbols.push(symbol);
+            } else if (namespace) {
+                // A namespace spans the definitions that follow it
+                namespace.range = namespace.range.union(symbol.range);
+                namespace.children.push(symbol);
+            } else {
+                symbols.push(symbol);
+            }
+        }
+        return symbols;
+    }
+};
+
+/**
+ * Whether the letters of a query appear in order in a name
+ * @param {string} query
+ * @param {string} name
+ */
+function fuzzyMatches(query, name) {
+    const lower = name.toLowerCase();
+    let from = 0;
+    for (const ch of query.toLowerCase()) {
+        from = lower.indexOf(ch, from) + 1;
+        if (from === 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Namespaces and definitions of every indexed Hot file
+ * @type {vscode.WorkspaceSymbolProvider}
+ */
+const workspaceSymbolProvider = {
+    async provideWorkspaceSymbols(query) {
+        const symbols = [];
+        for (const entry of (await getIndex()).values()) {
+            if (serverProvides(entry.uri, 'workspaceSymbolProvider')) continue;
+            if (entry.namespace && entry.namespaceRange && fuzzyMatches(query, entry.namespace)) {
+                symbols.push(new vscode.SymbolInformation(entry.namespace, vscode.SymbolKind.Namespace, '',
+                    new vscode.Location(entry.uri, entry.namespaceRange)));
+            }
+            for (const definition of entry.definitions) {
+                if (!fuzzyMatches(query, definition.name)) continue;
+                symbols.push(new vscode.SymbolInformation(definition.name, SYMBOL_KINDS[definition.kind], entry.namespace || '',
+                    new vscode.Location(entry.uri, definition.range)));
+            }
+            if (symbols.length >= MAX_WORKSPACE_SYMBOLS) break;
+        }
+        return symbols.slice(0, MAX_WORKSPACE_SYMBOLS);
+    }
+};
+
+/**
+ * @type {vscode.DefinitionProvider}
+ */
+const definitionProvider = {
+    async provideDefinition(document, position) {
+        if (serverProvides(document.uri, 'definitionProvider')) return undefined;
+        const reference = await resolveReference(document, position);
+        return reference ? reference.targets.map(t => t.location) : undefined;
+    }
+};
+
+/**
+ * Signatures and `meta {doc: ...}` annotations of what a name refers to
+ * @type {vscode.HoverProvider}
+ */
+const hoverProvider = {
+    async provideHover(document, position) {
+        if (serverProvides(document.uri, 'hoverProvider')) return undefined;
+        const reference = await resolveReference(document, position);
+        if (!reference || !reference.targets.length) return undefined;
+        const contents = reference.targets.slice(0, 3).map(target => {
+            const markdown = new vscode.MarkdownString();
+            markdown.appendCodeblock(target.signature, 'hot');
+            if (target.doc) markdown.appendMarkdown(`\n\n${target.doc}`);
+            if (target.namespace && target.location.uri.toString() !== document.uri.toString()) {
+                markdown.appendMarkdown(`\n\n*${target.namespace}* — ${vscode.workspace.asRelativePath(target.location.uri)}`);
+            }
+            return markdown;
+        });
+        return new vscode.Hover(contents, reference.range);
+    }
+};
+
+/**
+ * @param {import('./workspaceIndex').Definition} definition
+ * @param {string} [label]
+ */
+function definitionItem(definition, label = definition.name) {
+    const item = new vscode.CompletionItem(label, COMPLETION_KINDS[definition.kind]);
+    item.detail = definition.signature;
+    if (definition.doc) item.documentation = new vscode.MarkdownString(definition.doc);
+    return item;
+}
+
+/**
+ * Names defined in the file, the enclosing function's parameters, the rest of the file's namespace,
+ * and after `::`, namespaces, aliases and their definitions
+ * @type {vscode.CompletionItemProvider}
+ */
+const completionProvider = {
+    async provideCompletionItems(document, position) {
+        if (serverProvides(document.uri, 'completionProvider')) return undefined;
+        const parsed = getDocumentParse(document);
+        const offset = document.offsetAt(position);
+        const found = tokenAt(parsed, offset);
+        if (found && (found.token.type === 'string' || found.token.type === 'template') && offset > found.token.start) return undefined;
+        if (parsed.comments.some(c => c.start < offset && offset <= c.end)) return undefined;
+
+        const index = await getIndex();
+        const aliases = namespaceAliases(parsed);
+        const before = document.lineAt(position.line).text.slice(0, position.character);
+
+        // `::ns/` lists the namespace's definitions
+        const member = before.match(/((?:::[A-Za-z_][\w?!-]*)+)\/([\w?!-]*)$/);
+        if (member) {
+            const namespace = resolveAlias(member[1], aliases);
+            const range = new vscode.Range(position.translate(0, -member[2].length), position);
+            return [...index.values()].filter(entry => entry.namespace === namespace).flatMap(entry => entry.definitions
+                .filter(d => d.kind !== 'coercion')
+                .map(d => Object.assign(definitionItem(d), { range })));
+        }
+
+        // `::` lists namespaces and aliases
+        const path = before.match(/(?:::[A-Za-z_][\w?!-]*)*(?:::)?$/);
+        if (path && path[0].startsWith('::')) {
+            const range = new vscode.Range(position.translate(0, -path[0].length), position);
+            const namespaces = new Set([...index.values()].map(entry => entry.namespace).filter(Boolean));
+            const items = [...namespaces].map(ns => Object.assign(new vscode.CompletionItem(ns, vscode.CompletionItemKind.Module), { range }));
+            for (const [alias, target] of aliases) {
+                items.push(Object.assign(new vscode.CompletionItem(alias, vscode.CompletionItemKind.Module), { range, detail: target }));
+            }
+            return items;
+        }
+
+        const text = document.getText();
+        const items = new Map();
+        const form = findFormAt(parsed, offset);
+        if (form && (form.kind === 'fn' || form.kind === 'coercion')) {
+            for (const param of parseParams(form.params, text)) {
+                items.set(param.name, Object.assign(new vscode.CompletionItem(param.name, vscode.CompletionItemKind.Variable), { detail: param.type || undefined }));
+            }
+        }
+        for (const f of parsed.forms) {
+            if (!f.name || !COMPLETION_KINDS[f.kind] || f.kind === 'coercion' || items.has(f.name)) continue;
+            const item = new vscode.CompletionItem(f.name, COMPLETION_KINDS[f.kind]);
+            item.detail = formSignature(f, text);
+            const doc = metaDoc(f, text);
+            if (doc) item.documentation = new vscode.MarkdownString(doc);
+            items.set(f.name, item);
+        }
+        const ownNamespace = parsed.namespace ? parsed.namespace.name : null;
+        for (const entry of index.values()) {
+            if (!ownNamespace || entry.namespace !== ownNamespace || entry.uri.toString() === document.uri.toString()) continue;
+            for (const definition of entry.definitions) {
+                if (definition.kind !== 'coercion' && !items.has(definition.name)) items.set(definition.name, definitionItem(definition));
+            }
+        }
+        for (const keyword of [...KEYWORDS, ...FLOW_KEYWORDS]) {
+            if (!items.has(keyword)) items.set(keyword, new vscode.CompletionItem(keyword, vscode.CompletionItemKind.Keyword));
+        }
+        return [...items.values()];
+    }
+};
+
+/**
+ * Register outline, workspace symbol, definition, hover and completion providers built on the parser
+ * They answer only when no running analyzer provides the same feature, e.g. with `hot.lsp.enabled`
+ * off or without the Hot CLI installed.
+ * @param {vscode.ExtensionContext} context
+ * @param {OfflineDeps} offlineDeps
+ */
+function registerOfflineFeatures(context, offlineDeps) {
+    deps = offlineDeps;
+    const selector = { language: 'hot' };
+
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSymbolProvider(selector, documentSymbolProvider, { label: 'Hot' }),
+        vscode.languages.registerWorkspaceSymbolProvider(workspaceSymbolProvider),
+        vscode.languages.registerDefinitionProvider(selector, definitionProvider),
+        vscode.languages.registerHoverProvider(selector, hoverProvider),
+        vscode.languages.registerCompletionItemProvider(selector, completionProvider, ':', '/')
+    );
+}
+
+module.exports = {
+    registerOfflineFeatures
+};
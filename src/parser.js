@@ -0,0 +1,791 @@
+// Error-tolerant parser for Hot source code.
+//
+// The parser works on plain strings and offsets so it can be shared by every
+// feature that needs to understand document structure (eval, outline, CodeLens,
+// flow graphs, ...). It does not need the Hot CLI and never throws on bad input:
+// unclosed brackets and strings are recorded as errors and parsing continues.
+
+const KEYWORDS = new Set(['fn', 'type', 'enum', 'ns', 'meta', 'lazy', 'do']);
+const FLOW_KEYWORDS = new Set(['serial', 'parallel', 'cond', 'cond-all', 'match', 'match-all']);
+const CONSTANTS = new Set(['true', 'false', 'null']);
+const OPERATORS = ['...', '->', '=>', '|>', '==', '!=', '<=', '>=', '&&', '||'];
+const OPEN_TO_CLOSE = { '{': '}', '[': ']', '(': ')' };
+const CLOSE_TO_OPEN = { '}': '{', ']': '[', ')': '(' };
+
+/**
+ * @typedef {Object} Token
+ * @property {'token'} kind
+ * @property {'ident' | 'type' | 'keyword' | 'flow' | 'constant' | 'path' | 'special' | 'number' | 'string' | 'template' | 'comment' | 'punct' | 'op' | 'error'} type
+ * @property {string} value
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ * @property {number} line - Zero-based line of the first character
+ * @property {number} col - Zero-based column of the first character
+ * @property {boolean} [unterminated] - Set on strings and templates missing their closing quote
+ * @property {Token[]} [expressions] - Tokens inside `${...}` interpolations of a template
+ */
+
+/**
+ * @typedef {Object} Group
+ * @property {'group'} kind
+ * @property {'{' | '[' | '('} open
+ * @property {number} start
+ * @property {number} end
+ * @property {number} line
+ * @property {Token} openToken
+ * @property {Token | null} closeToken - Null when the group is never closed
+ * @property {Array<Token | Group>} children
+ */
+
+/**
+ * @typedef {Object} Form
+ * @property {'ns' | 'fn' | 'value' | 'type' | 'enum' | 'coercion' | 'unknown'} kind
+ * @property {string} name - Declared name; `From -> To` for coercions
+ * @property {number} nameStart
+ * @property {number} nameEnd
+ * @property {number} start
+ * @property {number} end
+ * @property {Array<Token | Group>} nodes - Top-level nodes of the form, comments excluded
+ * @property {Group | null} meta - The `meta {...}` or `meta [...]` annotation
+ * @property {string | null} flow - Flow keyword of a `fn cond (...)` style function
+ * @property {Group | null} params - Parameter list of a function
+ * @property {string | null} returnType
+ * @property {Group | null} body - Body of a function, type or enum
+ * @property {string | null} from - Source type of a coercion
+ * @property {string | null} to - Target type of a coercion
+ * @property {ParseError[]} errors
+ */
+
+/**
+ * @typedef {Object} ParseError
+ * @property {string} message
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {Form[]} forms
+ * @property {Token[]} comments
+ * @property {ParseError[]} errors
+ * @property {Form | null} namespace - The first `ns` declaration
+ * @property {number} length - Length of the parsed text
+ */
+
+function isIdentStart(ch) {
+    return (ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z') || ch === '_';
+}
+
+function isIdentChar(ch) {
+    return isIdentStart(ch) || (ch >= '0' && ch <= '9') || ch === '-' || ch === '?' || ch === '!';
+}
+
+function isDigit(ch) {
+    return ch >= '0' && ch <= '9';
+}
+
+/**
+ * Tokenize Hot source, starting at `offset`
+ * Whitespace is skipped; comments are returned as tokens.
+ * @param {string} text
+ * @param {number} [offset=0]
+ * @param {number} [endOffset=text.length]
+ * @returns {Token[]}
+ */
+function tokenize(text, offset = 0, endOffset = text.length) {
+    /** @type {Token[]} */
+    const tokens = [];
+    let pos = offset;
+
+    // Compute line/col of the starting offset once, then track incrementally
+    let line = 0;
+    let lineStart = 0;
+    for (let i = 0; i < offset; i++) {
+        if (text.charCodeAt(i) === 10) { line++; lineStart = i + 1; }
+    }
+
+    const advanceTo = (target) => {
+        for (let i = pos; i < target; i++) {
+            if (text.charCodeAt(i) === 10) { line++; lineStart = i + 1; }
+        }
+        pos = target;
+    };
+
+    const push = (type, start, end, extra) => {
+        const token = { kind: 'token', type, value: text.slice(start, end), start, end, line, col: start - lineStart };
+        if (extra) Object.assign(token, extra);
+        tokens.push(token);
+        advanceTo(end);
+        return token;
+    };
+
+    while (pos < endOffset) {
+        const ch = text[pos];
+
+        if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n') {
+            advanceTo(pos + 1);
+            continue;
+        }
+
+        // Line comment
+        if (ch === '/' && text[pos + 1] === '/') {
+            let end = text.indexOf('\n', pos);
+            if (end === -1 || end > endOffset) end = endOffset;
+            push('comment', pos, end);
+            continue;
+        }
+
+        // Triple-quoted string
+        if (text.startsWith('"""', pos)) {
+            const close = text.indexOf('"""', pos + 3);
+            const end = close === -1 ? endOffset : close + 3;
+            push('string', pos, end, close === -1 ? { unterminated: true } : undefined);
+            continue;
+        }
+
+        // Double-quoted string
+        if (ch === '"') {
+            const end = scanQuoted(text, pos + 1, endOffset, '"');
+            push('string', pos, end.end, end.closed ? undefined : { unterminated: true });
+            continue;
+        }
+
+        // Template literals, single and triple backtick
+        if (ch === '`') {
+            const delimiter = text.startsWith('```', pos) ? '```' : '`';
+            const scanned = scanTemplate(text, pos + delimiter.length, endOffset, delimiter);
+            const extra = { expressions: scanned.expressions };
+            if (!scanned.closed) extra.unterminated = true;
+            push('template', pos, scanned.end, extra);
+            continue;
+        }
+
+        // Namespace path: ::a::b or ::a::b/name
+        if (ch === ':' && text[pos + 1] === ':' && isIdentStart(text[pos + 2] || '')) {
+            let end = pos;
+            while (text[end] === ':' && text[end + 1] === ':' && isIdentStart(text[end + 2] || '')) {
+                end += 2;
+                while (end < endOffset && isIdentChar(text[end]) && !(text[end] === '-' && text[end + 1] === '>')) end++;
+            }
+            if (text[end] === '/' && isIdentStart(text[end + 1] || '')) {
+                end++;
+                while (end < endOffset && isIdentChar(text[end]) && !(text[end] === '-' && text[end + 1] === '>')) end++;
+            }
+            push('path', pos, end);
+            continue;
+        }
+
+        // Special identifier: $name
+        if (ch === '$' && isIdentStart(text[pos + 1] || '')) {
+            let end = pos + 1;
+            while (end < endOffset && isIdentChar(text[end])) end++;
+            push('special', pos, end);
+            continue;
+        }
+
+        // Numbers, including negative literals that don't follow a value
+        if (isDigit(ch) || (ch === '-' && isDigit(text[pos + 1] || '') && !followsValue(tokens))) {
+            let end = pos + 1;
+            while (end < endOffset && isDigit(text[end])) end++;
+            if (text[end] === '.' && isDigit(text[end + 1] || '')) {
+                end++;
+                while (end < endOffset && isDigit(text[end])) end++;
+            }
+            push('number', pos, end);
+            continue;
+        }
+
+        // Identifiers, keywords and types; `-` is part of identifiers except in `->`
+        if (isIdentStart(ch)) {
+            let end = pos + 1;
+            while (end < endOffset && isIdentChar(text[end]) && !(text[end] === '-' && text[end + 1] === '>')) end++;
+            const word = text.slice(pos, end);
+            let type = 'ident';
+            if (KEYWORDS.has(word)) type = 'keyword';
+            else if (FLOW_KEYWORDS.has(word)) type = 'flow';
+            else if (CONSTANTS.has(word)) type = 'constant';
+            else if (ch >= 'A' && ch <= 'Z') type = 'type';
+            push(type, pos, end);
+            continue;
+        }
+
+        if (OPEN_TO_CLOSE[ch] || CLOSE_TO_OPEN[ch] || ch === ',') {
+            push('punct', pos, pos + 1);
+            continue;
+        }
+
+        const op = OPERATORS.find(o => text.startsWith(o, pos));
+        if (op) {
+            push('op', pos, pos + op.length);
+            continue;
+        }
+
+        if ('.:|&?%#=<>+-*/!'.includes(ch)) {
+            let end = pos + 1;
+            // Placeholders: %, %1, %2
+            if (ch === '%') while (end < endOffset && isDigit(text[end])) end++;
+            push('op', pos, end);
+            continue;
+        }
+
+        push('error', pos, pos + 1);
+    }
+
+    return tokens;
+}
+
+/**
+ * Whether the previous token ends a value, so a following `-` is subtraction
+ * @param {Token[]} tokens
+ */
+function followsValue(tokens) {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return false;
+    if (prev.type === 'punct') return prev.value === ')' || prev.value === ']' || prev.value === '}';
+    return prev.type === 'ident' || prev.type === 'number' || prev.type === 'type' || prev.type === 'special' || prev.type === 'string';
+}
+
+/**
+ * Scan to the closing quote of a string, honouring backslash escapes
+ * @returns {{ end: number, closed: boolean }}
+ */
+function scanQuoted(text, pos, endOffset, quote) {
+    while (pos < endOffset) {
+        const ch = text[pos];
+        if (ch === '\\') { pos += 2; continue; }
+        if (ch === quote) return { end: pos + 1, closed: true };
+        pos++;
+    }
+    return { end: endOffset, closed: false };
+}
+
+/**
+ * Scan a template literal, tokenizing `${...}` interpolations
+ * @returns {{ end: number, closed: boolean, expressions: Token[] }}
+ */
+function scanTemplate(text, pos, endOffset, delimiter) {
+    /** @type {Token[]} */
+    const expressions = [];
+    while (pos < endOffset) {
+        const ch = text[pos];
+        if (ch === '\\') { pos += 2; continue; }
+        if (text.startsWith(delimiter, pos)) return { end: pos + delimiter.length, closed: true, expressions };
+        if (ch === '$' && text[pos + 1] === '{') {
+            const close = findInterpolationEnd(text, pos + 2, endOffset);
+            expressions.push(...tokenize(text, pos + 2, close));
+            pos = close + 1;
+            continue;
+        }
+        pos++;
+    }
+    return { end: endOffset, closed: false, expressions };
+}
+
+/**
+ * Find the `}` closing an interpolation, skipping nested braces and strings
+ */
+function findInterpolationEnd(text, pos, endOffset) {
+    let depth = 0;
+    while (pos < endOffset) {
+        const ch = text[pos];
+        if (ch === '"') { pos = scanQuoted(text, pos + 1, endOffset, '"').end; continue; }
+        if (ch === '{') depth++;
+        if (ch === '}') {
+            if (depth === 0) return pos;
+            depth--;
+        }
+        pos++;
+    }
+    return endOffset;
+}
+
+/**
+ * Whether a token at column 0 inside an unclosed group looks like the start of
+ * a new top-level definition, so a missing `}` doesn't swallow the rest of the file
+ * @param {Token[]} tokens
+ * @param {number} i
+ */
+function looksLikeDefinition(tokens, i) {
+    const token = tokens[i];
+    if (token.type === 'path') {
+        return tokens.slice(i + 1, i + 6).some(t => t.type === 'keyword' && t.value === 'ns' && t.line === token.line);
+    }
+    if (token.type !== 'ident' && token.type !== 'type') return false;
+    const next = tokens[i + 1];
+    if (!next || next.line !== token.line) return false;
+    return (next.type === 'keyword' && ['fn', 'type', 'enum', 'meta'].includes(next.value)) ||
+        (next.type === 'op' && next.value === '->');
+}
+
+/**
+ * Whether a token continues the previous line's expression rather than starting a form
+ * @param {Token} token
+ */
+function isContinuation(token) {
+    // A definition keyword can follow a multi-line meta block: `name meta {\n...\n}\nfn (...)`
+    if (token.type === 'op' || token.type === 'keyword') return true;
+    return token.type === 'punct' && (token.value === ')' || token.value === ']' || token.value === '}' || token.value === ',');
+}
+
+/**
+ * Split tokens into top-level forms and build bracket groups
+ * @param {Token[]} tokens - Tokens without comments
+ * @returns {Array<{ nodes: Array<Token | Group>, errors: ParseError[] }>}
+ */
+function buildForms(tokens) {
+    const forms = [];
+    let current = null;
+    /** @type {Group[]} */
+    let stack = [];
+
+    const closeForm = () => {
+        if (!current) return;
+        for (const group of stack) {
+            current.errors.push({
+                message: `Unclosed '${group.open}'`,
+                start: group.openToken.start,
+                end: group.openToken.end
+            });
+        }
+        stack = [];
+        forms.push(current);
+        current = null;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const prev = tokens[i - 1];
+
+        const startsLine = !prev || prev.line !== token.line;
+        if (startsLine && token.col === 0 && current && !isContinuation(token)) {
+            const last = prev && prev.type === 'op' && prev.value !== '...' && prev.value !== '?';
+            if (stack.length === 0 ? !last : looksLikeDefinition(tokens, i)) {
+                closeForm();
+            }
+        }
+
+        if (!current) {
+            current = { nodes: [], errors: [] };
+        }
+
+        const target = stack.length ? stack[stack.length - 1].children : current.nodes;
+
+        if (token.type === 'punct' && OPEN_TO_CLOSE[token.value]) {
+            /** @type {Group} */
+            const group = {
+                kind: 'group',
+                open: /** @type {any} */ (token.value),
+                start: token.start,
+                end: token.end,
+                line: token.line,
+                openToken: token,
+                closeToken: null,
+                children: []
+            };
+            target.push(group);
+            extendOpenGroups(stack, token.end);
+            stack.push(group);
+            continue;
+        }
+
+        if (token.type === 'punct' && CLOSE_TO_OPEN[token.value]) {
+            const open = CLOSE_TO_OPEN[token.value];
+            const index = findLastIndex(stack, g => g.open === open);
+            if (index === -1) {
+                current.errors.push({ message: `Unexpected '${token.value}'`, start: token.start, end: token.end });
+                target.push(token);
+                continue;
+            }
+            // Groups opened after the matching one are left unclosed
+            for (let j = stack.length - 1; j > index; j--) {
+                current.errors.push({
+                    message: `Unclosed '${stack[j].open}'`,
+                    start: stack[j].openToken.start,
+                    end: stack[j].openToken.end
+                });
+                stack[j].end = stack[j].children.length ? nodeEnd(stack[j].children[stack[j].children.length - 1]) : stack[j].end;
+            }
+            const group = stack[index];
+            group.closeToken = token;
+            group.end = token.end;
+            stack = stack.slice(0, index);
+            extendOpenGroups(stack, token.end);
+            continue;
+        }
+
+        if (token.unterminated) {
+            current.errors.push({ message: 'Unterminated string', start: token.start, end: token.end });
+        }
+        target.push(token);
+        extendOpenGroups(stack, token.end);
+    }
+
+    closeForm();
+    return forms;
+}
+
+/**
+ * Extend still-open groups to cover a newly added token
+ * @param {Group[]} stack
+ * @param {number} end
+ */
+function extendOpenGroups(stack, end) {
+    for (const group of stack) group.end = end;
+}
+
+function findLastIndex(array, predicate) {
+    for (let i = array.length - 1; i >= 0; i--) {
+        if (predicate(array[i])) return i;
+    }
+    return -1;
+}
+
+/**
+ * @param {Token | Group} node
+ */
+function nodeEnd(node) {
+    return node.end;
+}
+
+/**
+ * Whether a node is a token of the given type (and optionally value)
+ * @param {Token | Group | undefined} node
+ * @param {string} type
+ * @param {string} [value]
+ */
+function isToken(node, type, value) {
+    return !!node && node.kind === 'token' && node.type === type && (value === undefined || node.value === value);
+}
+
+/**
+ * Whether a node is a bracket group opened with `open`
+ * @param {Token | Group | undefined} node
+ * @param {string} [open]
+ */
+function isGroup(node, open) {
+    return !!node && node.kind === 'group' && (open === undefined || node.open === open);
+}
+
+/**
+ * Classify a form from its nodes: namespace, function, value, type, enum or coercion
+ * @param {{ nodes: Array<Token | Group>, errors: ParseError[] }} raw
+ * @param {string} text
+ * @returns {Form}
+ */
+function classifyForm(raw, text) {
+    const nodes = raw.nodes;
+    const first = nodes[0];
+    /** @type {Form} */
+    const form = {
+        kind: 'unknown',
+        name: '',
+        nameStart: first.start,
+        nameEnd: first.end,
+        start: first.start,
+        end: nodeEnd(nodes[nodes.length - 1]),
+        nodes,
+        meta: null,
+        flow: null,
+        params: null,
+        returnType: null,
+        body: null,
+        from: null,
+        to: null,
+        errors: raw.errors
+    };
+
+    const metaIndex = nodes.findIndex((n, i) => isToken(n, 'keyword', 'meta') && isGroup(nodes[i + 1]));
+    if (metaIndex !== -1) form.meta = /** @type {Group} */ (nodes[metaIndex + 1]);
+
+    if (isToken(first, 'path')) {
+        form.name = first.value;
+        // Legacy `::ns #{...} ns` annotations count as meta too
+        const hashIndex = nodes.findIndex((n, i) => isToken(n, 'op', '#') && isGroup(nodes[i + 1], '{'));
+        if (!form.meta && hashIndex !== -1) form.meta = /** @type {Group} */ (nodes[hashIndex + 1]);
+        if (nodes.some(n => isToken(n, 'keyword', 'ns'))) form.kind = 'ns';
+        return form;
+    }
+
+    if (!isToken(first, 'ident') && !isToken(first, 'type')) {
+        form.name = first.kind === 'token' ? first.value : '';
+        return form;
+    }
+
+    form.name = first.value;
+    let i = 1;
+
+    if (isToken(nodes[1], 'op', '->') && (isToken(nodes[2], 'type') || isToken(nodes[2], 'ident'))) {
+        form.kind = 'coercion';
+        form.from = first.value;
+        form.to = nodes[2].value;
+        form.name = `${form.from} -> ${form.to}`;
+        form.nameEnd = nodes[2].end;
+        i = 3;
+    }
+
+    // Skip a meta annotation between the name and the definition keyword
+    if (isToken(nodes[i], 'keyword', 'meta') && isGroup(nodes[i + 1])) i += 2;
+
+    const keyword = nodes[i];
+    if (isToken(keyword, 'keyword', 'fn')) {
+        if (form.kind !== 'coercion') form.kind = 'fn';
+        let j = i + 1;
+        if (isToken(nodes[j], 'flow')) {
+            form.flow = nodes[j].value;
+            j++;
+        }
+        if (isGroup(nodes[j], '(')) {
+            form.params = /** @type {Group} */ (nodes[j]);
+            j++;
+        }
+        const bodyIndex = findLastIndex(nodes, n => isGroup(n, '{'));
+        if (bodyIndex >= j) {
+            form.body = /** @type {Group} */ (nodes[bodyIndex]);
+            if (isToken(nodes[j], 'op', ':') && bodyIndex > j + 1) {
+                form.returnType = text.slice(nodes[j + 1].start, nodeEnd(nodes[bodyIndex - 1])).trim();
+            }
+        }
+    } else if (isToken(keyword, 'keyword', 'type') || isToken(keyword, 'keyword', 'enum')) {
+        form.kind = /** @type {'type' | 'enum'} */ (keyword.value);
+        const body = nodes.slice(i + 1).find(n => isGroup(n, '{'));
+        form.body = body ? /** @type {Group} */ (body) : null;
+    } else if (form.kind !== 'coercion' && nodes.length > i) {
+        form.kind = 'value';
+    }
+
+    return form;
+}
+
+/**
+ * Parse Hot source into top-level forms
+ *
+ * Passing the previous result and the lowest changed offset re-parses only
+ * from the form containing that offset; earlier forms are reused as-is.
+ * @param {string} text
+ * @param {{ previous?: ParseResult, changedFrom?: number }} [options]
+ * @returns {ParseResult}
+ */
+function parseHot(text, options = {}) {
+    const { previous, changedFrom } = options;
+    /** @type {Form[]} */
+    let reused = [];
+    /** @type {Token[]} */
+    let reusedComments = [];
+    let restart = 0;
+
+    if (previous && typeof changedFrom === 'number') {
+        // The last form ending before the change may be extended by it, so re-parse it too
+        const before = previous.forms.filter(f => f.end < changedFrom);
+        reused = before.slice(0, -1);
+        restart = before.length > 1 ? before[before.length - 1].start : 0;
+        if (before.length <= 1) reused = [];
+        reusedComments = previous.comments.filter(c => c.end <= restart);
+    }
+
+    const tokens = tokenize(text, restart);
+    const comments = tokens.filter(t => t.type === 'comment');
+    const code = tokens.filter(t => t.type !== 'comment');
+    const forms = reused.concat(buildForms(code).map(raw => classifyForm(raw, text)));
+
+    return {
+        forms,
+        comments: reusedComments.concat(comments),
+        errors: forms.flatMap(f => f.errors),
+        namespace: forms.find(f => f.kind === 'ns') || null,
+        length: text.length
+    };
+}
+
+/**
+ * Find the top-level form containing an offset
+ * With `nearest`, an offset between forms resolves to the preceding form.
+ * @param {ParseResult} parsed
+ * @param {number} offset
+ * @param {boolean} [nearest=false]
+ * @returns {Form | null}
+ */
+function findFormAt(parsed, offset, nearest = false) {
+    let candidate = null;
+    for (const form of parsed.forms) {
+        if (form.start > offset) break;
+        if (offset <= form.end) return form;
+        candidate = form;
+    }
+    return nearest ? candidate : null;
+}
+
+/**
+ * Split the children of a group (or a node list) into items, separated by
+ * commas or by line breaks that don't continue an expression
+ * @param {Group | Array<Token | Group>} groupOrNodes
+ * @returns {Array<{ start: number, end: number, nodes: Array<Token | Group> }>}
+ */
+function splitItems(groupOrNodes) {
+    const nodes = Array.isArray(groupOrNodes) ? groupOrNodes : groupOrNodes.children;
+    const items = [];
+    let current = [];
+
+    const flush = () => {
+        if (current.length) {
+            items.push({ start: current[0].start, end: nodeEnd(current[current.length - 1]), nodes: current });
+        }
+        current = [];
+    };
+
+    for (const node of nodes) {
+        if (isToken(node, 'punct', ',')) {
+            flush();
+            continue;
+        }
+        const prev = current[current.length - 1];
+        // A line starting with `=>` is a default flow arm, not a continuation
+        const continues = isToken(prev, 'op') || (isToken(node, 'op') && node.value !== '=>');
+        if (prev && node.line !== lastLine(prev) && !continues) {
+            flush();
+        }
+        current.push(node);
+    }
+    flush();
+    return items;
+}
+
+/**
+ * Line of the last character of a node
+ * @param {Token | Group} node
+ */
+function lastLine(node) {
+    if (node.kind === 'group') return node.closeToken ? node.closeToken.line : node.line;
+    return node.line;
+}
+
+/**
+ * Parse the arms of a `cond`/`match` style flow body: `guard => body`
+ * An arm with no guard (`=> { ... }`) is the default arm.
+ * @param {Group} group
+ * @returns {Array<{ start: number, end: number, guard: Array<Token | Group>, arrow: Token, body: Array<Token | Group> }>}
+ */
+function parseFlowArms(group) {
+    const arms = [];
+    for (const item of splitItems(group)) {
+        const arrowIndex = item.nodes.findIndex(n => isToken(n, 'op', '=>'));
+        if (arrowIndex === -1) continue;
+        arms.push({
+            start: item.start,
+            end: item.end,
+            guard: item.nodes.slice(0, arrowIndex),
+            arrow: /** @type {Token} */ (item.nodes[arrowIndex]),
+            body: item.nodes.slice(arrowIndex + 1)
+        });
+    }
+    return arms;
+}
+
+/**
+ * Parse a function's parameter list into names and type annotations
+ * @param {Group | null} params
+ * @param {string} text
+ * @returns {Array<{ name: string, type: string | null, start: number, end: number }>}
+ */
+function parseParams(params, text) {
+    if (!params) return [];
+    return splitItems(params).map(item => {
+        const nameNode = item.nodes[0];
+        const colon = item.nodes.findIndex(n => isToken(n, 'op', ':'));
+        return {
+            name: nameNode.kind === 'token' ? nameNode.value : text.slice(item.start, item.end),
+            type: colon !== -1 && colon < item.nodes.length - 1
+                ? text.slice(item.nodes[colon + 1].start, item.end).trim()
+                : null,
+            start: item.start,
+            end: item.end
+        };
+    });
+}
+
+/**
+ * Visit every token in a node list, descending into groups and template interpolations
+ * @param {Array<Token | Group>} nodes
+ * @param {(token: Token) => void} visit
+ */
+function walkTokens(nodes, visit) {
+    for (const node of nodes) {
+        if (node.kind === 'group') {
+            visit(node.openToken);
+            walkTokens(node.children, visit);
+            if (node.closeToken) visit(node.closeToken);
+        } else {
+            visit(node);
+            if (node.expressions) node.expressions.forEach(visit);
+        }
+    }
+}
+
+// ============================================================================
+// Document cache
+// ============================================================================
+
+/** @type {Map<string, { version: number, result: ParseResult }>} */
+const documentCache = new Map();
+/** @type {Map<string, number>} lowest offset changed since the cached version */
+const pendingChanges = new Map();
+
+/**
+ * Get the parse of a document, cached per document version
+ * @param {{ uri: { toString(): string }, version: number, getText(): string }} document
+ * @returns {ParseResult}
+ */
+function getDocumentParse(document) {
+    const key = document.uri.toString();
+    const cached = documentCache.get(key);
+    if (cached && cached.version === document.version) {
+        return cached.result;
+    }
+
+    const changedFrom = pendingChanges.get(key);
+    const result = parseHot(document.getText(), cached && changedFrom !== undefined
+        ? { previous: cached.result, changedFrom }
+        : {});
+    documentCache.set(key, { version: document.version, result });
+    pendingChanges.delete(key);
+    return result;
+}
+
+/**
+ * Record document edits so the next parse can reuse unchanged forms
+ * @param {{ document: { uri: { toString(): string } }, contentChanges: ReadonlyArray<{ rangeOffset: number }> }} event
+ */
+function noteDocumentChanges(event) {
+    const key = event.document.uri.toString();
+    if (!documentCache.has(key) || event.contentChanges.length === 0) return;
+    let lowest = pendingChanges.has(key) ? pendingChanges.get(key) : Infinity;
+    for (const change of event.contentChanges) {
+        lowest = Math.min(lowest, change.rangeOffset);
+    }
+    pendingChanges.set(key, lowest);
+}
+
+/**
+ * Drop the cached parse of a closed document
+ * @param {{ toString(): string }} uri
+ */
+function forgetDocument(uri) {
+    documentCache.delete(uri.toString());
+    pendingChanges.delete(uri.toString());
+}
+
+module.exports = {
+    KEYWORDS,
+    FLOW_KEYWORDS,
+    tokenize,
+    parseHot,
+    findFormAt,
+    splitItems,
+    parseFlowArms,
+    parseParams,
+    walkTokens,
+    isToken,
+    isGroup,
+    getDocumentParse,
+    noteDocumentChanges,
+    forgetDocument
+};
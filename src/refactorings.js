@@ -0,0 +1,545 @@
+const vscode = require('vscode');
+const { getDocumentParse, findFormAt, splitItems, parseFlowArms, parseParams, walkTokens, isToken, isGroup } = require('./parser');
+const { getIndex, getIndexedFiles, namespaceAliases } = require('./workspaceIndex');
+const { levelsAt, itemAt, indentUnit } = require('./structuralEditing');
+
+const EXTRACT_FUNCTION = vscode.CodeActionKind.RefactorExtract.append('function');
+const INLINE_VALUE = vscode.CodeActionKind.RefactorInline.append('value');
+const REWRITE_FLOW = vscode.CodeActionKind.RefactorRewrite.append('flow');
+const REWRITE_PIPELINE = vscode.CodeActionKind.RefactorRewrite.append('pipeline');
+const ADD_COERCION = vscode.CodeActionKind.QuickFix.append('coercion');
+
+/** Flows that convert into each other */
+const FLOW_COUNTERPARTS = { 'cond': 'match', 'match': 'cond', 'cond-all': 'match-all', 'match-all': 'cond-all' };
+
+/** `From -> To` or `from From to To` in a diagnostic about a missing coercion */
+const MISSING_COERCION = /\b([A-Z]\w*)`?\s*(?:->|to)\s*`?([A-Z]\w*)/;
+
+/**
+ * @typedef {Object} RefactoringDeps
+ * @property {(uri: vscode.Uri) => import('vscode-languageclient/node').LanguageClient | null} getClient
+ */
+
+/** @type {RefactoringDeps} */
+let deps = { getClient: () => null };
+
+/**
+ * A call: a callee immediately followed by its argument list, e.g. `f(x)`
+ * @typedef {{ callee: import('./parser').Token, args: import('./parser').Group }} Call
+ */
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * The call an item consists of, if it is exactly one call
+ * @param {{ nodes: Array<import('./parser').Token | import('./parser').Group> }} item
+ * @returns {Call | null}
+ */
+function asCall(item) {
+    const [callee, args] = item.nodes;
+    if (item.nodes.length !== 2 || !isGroup(args, '(') || callee.end !== args.start) return null;
+    if (!isToken(callee, 'ident') && !isToken(callee, 'path') && !isToken(callee, 'special')) return null;
+    return { callee: /** @type {import('./parser').Token} */ (callee), args: /** @type {import('./parser').Group} */ (args) };
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @param {number} start
+ * @param {number} end
+ */
+function spanRange(document, start, end) {
+    return new vscode.Range(document.positionAt(start), document.positionAt(end));
+}
+
+/**
+ * Re-indent a block of text so its first line starts at `indent`
+ * @param {string} text
+ * @param {string} indent
+ * @param {number} column - Column the first line of the text started at
+ */
+function reindent(text, indent, column) {
+    const lines = text.split('\n');
+    const rest = lines.slice(1).filter(line => line.trim());
+    const common = Math.min(column, ...rest.map(line => line.length - line.trimStart().length));
+    return lines.map((line, i) => (i === 0 ? indent + line : line.trim() ? indent + line.slice(common) : '')).join('\n');
+}
+
+// ============================================================================
+// Extract function
+// ============================================================================
+
+/**
+ * Variables a selection uses that are bound outside it in the enclosing function:
+ * its parameters and the bindings before the selection
+ * @param {import('./parser').Form} form
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<{ name: string, type: string | null }>}
+ */
+function freeVariables(form, text, start, end) {
+    /** @type {Map<string, string | null>} */
+    const bound = new Map(parseParams(form.params, text).map(p => [p.name, p.type]));
+    for (const item of splitItems(form.body)) {
+        if (item.start >= start) break;
+        const [name, value] = item.nodes;
+        if (isToken(name, 'ident') && value && !isToken(value, 'op')) bound.set(name.value, null);
+    }
+
+    /** @type {import('./parser').Token[]} */
+    const tokens = [];
+    walkTokens(form.body.children, token => tokens.push(token));
+    const used = new Map();
+    tokens.forEach((token, i) => {
+        if (token.start < start || token.end > end || token.type !== 'ident' || !bound.has(token.value)) return;
+        // Field access and map keys aren't variables
+        if (isToken(tokens[i - 1], 'op', '.') || isToken(tokens[i + 1], 'op', ':')) return;
+        used.set(token.value, bound.get(token.value));
+    });
+    return [...used].map(([name, type]) => ({ name, type }));
+}
+
+/**
+ * The selection as a run of whole nodes inside a function body, or null
+ * @param {import('./parser').Form} form
+ * @param {number} start
+ * @param {number} end
+ */
+function selectedNodes(form, start, end) {
+    if (!form.body || start < form.body.start || end > form.body.end) return null;
+    for (const { nodes } of levelsAt(form, start)) {
+        const first = nodes.find(n => n.start === start);
+        const last = nodes.find(n => n.end === end);
+        if (first && last && first.start <= last.start) return nodes.slice(nodes.indexOf(first), nodes.indexOf(last) + 1);
+    }
+    return null;
+}
+
+/**
+ * Replace a selection with a call to a new top-level function holding it
+ * @param {vscode.Uri} uri
+ * @param {vscode.Range} range
+ */
+async function extractFunction(uri, range) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const editor = vscode.window.visibleTextEditors.find(e => e.document === document)
+        || await vscode.window.showTextDocument(document);
+    const parsed = getDocumentParse(document);
+    const text = document.getText();
+    const start = document.offsetAt(range.start);
+    const end = document.offsetAt(range.end);
+    const form = findFormAt(parsed, start);
+    if (!form || !selectedNodes(form, start, end)) {
+        vscode.window.showWarningMessage('The selection has changed; select whole expressions inside a function body.');
+        return;
+    }
+
+    const taken = new Set(parsed.forms.map(f => f.name));
+    const name = await vscode.window.showInputBox({
+        prompt: 'Name of the new function',
+        value: 'extracted',
+        validateInput: (value) => {
+            if (!/^[a-z_][\w?!-]*$/.test(value.trim())) return 'Function names start with a lowercase letter or _';
+            return taken.has(value.trim()) ? `${value.trim()} is already defined in this file` : null;
+        }
+    });
+    if (!name) return;
+
+    const params = freeVariables(form, text, start, end);
+    const unit = indentUnit(editor);
+    const body = reindent(text.slice(start, end), unit, range.start.character);
+    const signature = params.map(p => (p.type ? `${p.name}: ${p.type}` : p.name)).join(', ');
+    const definition = `\n\n${name.trim()} fn (${signature}) {\n${body}\n}`;
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(uri, range, `${name.trim()}(${params.map(p => p.name).join(', ')})`);
+    edit.insert(uri, document.positionAt(form.end), definition);
+    await vscode.workspace.applyEdit(edit);
+}
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+/**
+ * References to a top-level value in a list of nodes, skipping the scopes where a
+ * binding or parameter of the same name shadows it
+ * @param {Array<import('./parser').Token | import('./parser').Group>} nodes
+ * @param {string} name
+ * @param {Set<string>} paths - `::ns/name` spellings that always mean the value
+ * @param {boolean} shadowed
+ * @param {import('./parser').Token[]} references - Collects the result
+ */
+function collectReferences(nodes, name, paths, shadowed, references) {
+    const declares = (params) => splitItems(params).some(item => isToken(item.nodes[0], 'ident', name));
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.kind === 'group') {
+            if (node.open !== '{') {
+                collectReferences(node.children, name, paths, shadowed, references);
+                continue;
+            }
+            // A `name expr` statement binds the name for the rest of its block
+            let inner = shadowed;
+            for (const item of splitItems(node)) {
+                const [head, next] = item.nodes;
+                if (isToken(head, 'ident', name) && next && !isToken(next, 'op')) {
+                    collectReferences(item.nodes.slice(1), name, paths, inner, references);
+                    inner = true;
+                } else {
+                    collectReferences(item.nodes, name, paths, inner, references);
+                }
+            }
+        } else if (isToken(node, 'keyword', 'fn') && isGroup(nodes[i + 1], '(') && declares(nodes[i + 1])) {
+            // An inner function with a parameter of the same name: shadowed up to and including its body
+            const bodyIndex = nodes.findIndex((n, j) => j > i + 1 && isGroup(n, '{'));
+            const last = bodyIndex === -1 ? i + 1 : bodyIndex;
+            collectReferences(nodes.slice(i + 1, last + 1), name, paths, true, references);
+            i = last;
+        } else if (node.type === 'path' && paths.has(node.value)) {
+            references.push(node);
+        } else if (node.type === 'ident' && node.value === name && !shadowed
+            && !isToken(nodes[i - 1], 'op', '.') && !isToken(nodes[i + 1], 'op', ':')) {
+            references.push(node);
+        } else if (node.expressions) {
+            collectReferences(node.expressions, name, paths, shadowed, references);
+        }
+    }
+}
+
+/**
+ * Whether files other than this one may use a value, so its definition has to stay
+ * @param {vscode.TextDocument} document
+ * @param {string | null} namespace
+ * @param {string} name
+ */
+async function usedInOtherFiles(document, namespace, name) {
+    if (!namespace) return false;
+    for (const entry of (await getIndex()).values()) {
+        if (entry.uri.toString() === document.uri.toString()) continue;
+        if ((entry.namespace === namespace && entry.references.has(name)) || entry.references.has(`${namespace}/${name}`)) return true;
+    }
+    return false;
+}
+
+/**
+ * Inline a top-level value: at its definition, everywhere in the file; at a reference, just there
+ * @param {vscode.TextDocument} document
+ * @param {import('./parser').ParseResult} parsed
+ * @param {number} offset
+ * @returns {Promise<vscode.CodeAction[]>}
+ */
+async function inlineValueActions(document, parsed, offset) {
+    const text = document.getText();
+    const form = findFormAt(parsed, offset);
+    if (!form) return [];
+
+    /** @type {import('./parser').Token | undefined} */
+    let target;
+    walkTokens(form.nodes, token => {
+        if ((token.type === 'ident' || token.type === 'path') && token.start <= offset && offset <= token.end) target = token;
+    });
+    if (!target) return [];
+    const namespace = parsed.namespace ? parsed.namespace.name : null;
+    const name = target.type === 'path' ? target.value.slice(target.value.indexOf('/') + 1) : target.value;
+    const value = parsed.forms.find(f => f.kind === 'value' && f.name === name);
+    if (!value || value.nodes.length < 2) return [];
+    const expression = text.slice(value.nodes[1].start, value.end).trim();
+    // Keep multi-part expressions together where they land
+    const replacement = value.nodes.length > 2 ? `(${expression})` : expression;
+
+    /** @type {Set<string>} */
+    const paths = new Set();
+    if (namespace) {
+        paths.add(`${namespace}/${name}`);
+        for (const [alias, full] of namespaceAliases(parsed)) {
+            if (full === namespace) paths.add(`${alias}/${name}`);
+        }
+    }
+    /** @type {import('./parser').Token[]} */
+    const references = [];
+    for (const f of parsed.forms) {
+        if (f === value) continue;
+        const shadowed = parseParams(f.params, text).some(p => p.name === name);
+        collectReferences(f.nodes, name, paths, shadowed, references);
+    }
+
+    const action = new vscode.CodeAction('', INLINE_VALUE);
+    action.edit = new vscode.WorkspaceEdit();
+    if (form === value) {
+        if (!references.length) return [];
+        const uses = `${references.length} ${references.length === 1 ? 'use' : 'uses'}`;
+        for (const token of references) action.edit.replace(document.uri, spanRange(document, token.start, token.end), replacement);
+        if (await usedInOtherFiles(document, namespace, name)) {
+            action.title = `Inline value ${name} in this file (${uses})`;
+            return [action];
+        }
+        action.title = `Inline value ${name} (${uses}) and remove it`;
+        // Remove the definition's lines, and the blank line after them when one is left above too
+        const lines = text.split('\n');
+        const startLine = document.positionAt(value.start).line;
+        let endLine = document.positionAt(value.end).line + 1;
+        if (endLine < lines.length && !lines[endLine].trim() && (startLine === 0 || !lines[startLine - 1].trim())) endLine++;
+        const removeEnd = endLine < lines.length ? new vscode.Position(endLine, 0) : document.positionAt(text.length);
+        action.edit.delete(document.uri, new vscode.Range(new vscode.Position(startLine, 0), removeEnd));
+    } else {
+        if (!references.includes(target)) return [];
+        action.title = `Inline value ${name}`;
+        action.edit.replace(document.uri, spanRange(document, target.start, target.end), replacement);
+    }
+    return [action];
+}
+
+/**
+ * The guard of a cond arm as `[subject, literal]` when it compares a parameter with a literal
+ * `x == 1`, `1 == x`, `eq(x, 1)` and `eq(1, x)` qualify.
+ * @param {Array<import('./parser').Token | import('./parser').Group>} guard
+ * @param {string} subject
+ * @param {string} text
+ * @returns {string | null} the literal
+ */
+function comparedLiteral(guard, subject, text) {
+    const isLiteral = (node) => node && node.kind === 'token' && (node.type === 'number' || node.type === 'string' || node.type === 'constant');
+    const pick = (a, b) => {
+        if (isToken(a, 'ident', subject) && isLiteral(b)) return text.slice(b.start, b.end);
+        if (isToken(b, 'ident', subject) && isLiteral(a)) return text.slice(a.start, a.end);
+        return null;
+    };
+    if (guard.length === 3 && isToken(guard[1], 'op', '==')) return pick(guard[0], guard[2]);
+    const call = guard.length === 2 ? asCall({ nodes: guard }) : null;
+    if (call && call.callee.value === 'eq') {
+        const args = splitItems(call.args);
+        if (args.length === 2 && args[0].nodes.length === 1 && args[1].nodes.length === 1) return pick(args[0].nodes[0], args[1].nodes[0]);
+    }
+    return null;
+}
+
+/**
+ * Convert a function's `cond` flow to `match` and back, when every arm compares its one parameter with a literal
+ * @param {vscode.TextDocument} document
+ * @param {import('./parser').ParseResult} parsed
+ * @param {number} offset
+ * @returns {vscode.CodeAction[]}
+ */
+function convertFlowActions(document, parsed, offset) {
+    const text = document.getText();
+    const form = findFormAt(parsed, offset);
+    if (!form || form.kind !== 'fn' || !form.body || !FLOW_COUNTERPARTS[form.flow]) return [];
+    const params = parseParams(form.params, text);
+    if (params.length !== 1) return [];
+    const subject = params[0].name;
+    const arms = parseFlowArms(form.body);
+    if (!arms.length) return [];
+
+    const target = FLOW_COUNTERPARTS[form.flow];
+    const edit = new vscode.WorkspaceEdit();
+    for (const arm of arms) {
+        if (!arm.guard.length) continue;
+        const range = spanRange(document, arm.guard[0].start, arm.guard[arm.guard.length - 1].end);
+        if (form.flow.startsWith('cond')) {
+            const literal = comparedLiteral(arm.guard, subject, text);
+            if (literal === null) return [];
+            edit.replace(document.uri, range, literal);
+        } else {
+            const pattern = arm.guard[0];
+            const isLiteral = arm.guard.length === 1 && pattern.kind === 'token'
+                && (pattern.type === 'number' || pattern.type === 'string' || pattern.type === 'constant');
+            if (!isLiteral) return [];
+            edit.replace(document.uri, range, `${subject} == ${text.slice(pattern.start, pattern.end)}`);
+        }
+    }
+    const keyword = form.nodes.find(n => isToken(n, 'flow', form.flow));
+    edit.replace(document.uri, spanRange(document, keyword.start, keyword.end), target);
+
+    const action = new vscode.CodeAction(`Convert ${form.flow} to ${target}`, REWRITE_FLOW);
+    action.edit = edit;
+    return [action];
+}
+
+/**
+ * Pipeline for a nested call chain, e.g. `c(b(a(x)), y)` to `a(x) |> b(%) |> c(%, y)`
+ * @param {Call} call
+ * @param {string} text
+ * @returns {string | null} null when no argument is itself a call
+ */
+function pipelineFor(call, text) {
+    const stages = [];
+    let current = call;
+    for (;;) {
+        const args = splitItems(current.args);
+        const index = args.findIndex(arg => asCall(arg));
+        if (index === -1) break;
+        const rest = args.map((arg, i) => (i === index ? '%' : text.slice(arg.start, arg.end)));
+        stages.unshift(`${current.callee.value}(${rest.join(', ')})`);
+        current = asCall(args[index]);
+    }
+    if (!stages.length) return null;
+    return [text.slice(current.callee.start, current.args.end), ...stages].join(' |> ');
+}
+
+/**
+ * Convert the outermost nested call chain at the cursor into a `|>` pipeline
+ * @param {vscode.TextDocument} document
+ * @param {import('./parser').ParseResult} parsed
+ * @param {number} offset
+ * @returns {vscode.CodeAction[]}
+ */
+function pipelineActions(document, parsed, offset) {
+    const form = findFormAt(parsed, offset);
+    if (!form) return [];
+    const text = document.getText();
+    for (const { nodes } of levelsAt(form, offset)) {
+        const item = itemAt(nodes, offset);
+        const call = item && asCall(item);
+        const pipeline = call && pipelineFor(call, text);
+        if (!pipeline) continue;
+        const action = new vscode.CodeAction('Convert to |> pipeline', REWRITE_PIPELINE);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.replace(document.uri, spanRange(document, item.start, item.end), pipeline);
+        return [action];
+    }
+    return [];
+}
+
+/**
+ * Whether a coercion is defined in the file or anywhere in the index
+ * @param {import('./parser').ParseResult} parsed
+ * @param {string} from
+ * @param {string} to
+ */
+function hasCoercion(parsed, from, to) {
+    if (parsed.forms.some(f => f.kind === 'coercion' && f.from === from && f.to === to)) return true;
+    for (const entry of getIndexedFiles().values()) {
+        if (entry.definitions.some(d => d.kind === 'coercion' && d.name === `${from} -> ${to}`)) return true;
+    }
+    return false;
+}
+
+/**
+ * Add a `From -> To fn` stub for a coercion a diagnostic reports missing, or for `From -> To` at the cursor
+ * @param {vscode.TextEditor | undefined} editor
+ * @param {vscode.TextDocument} document
+ * @param {import('./parser').ParseResult} parsed
+ * @param {number} offset
+ * @param {readonly vscode.Diagnostic[]} diagnostics
+ * @returns {vscode.CodeAction[]}
+ */
+function coercionStubActions(editor, document, parsed, offset, diagnostics) {
+    /** @type {Array<{ from: string, to: string, diagnostic?: vscode.Diagnostic }>} */
+    const missing = [];
+    for (const diagnostic of diagnostics) {
+        const match = /coercion/i.test(diagnostic.message) && diagnostic.message.match(MISSING_COERCION);
+        if (match) missing.push({ from: match[1], to: match[2], diagnostic });
+    }
+    const form = findFormAt(parsed, offset);
+    if (form && form.kind !== 'coercion') {
+        /** @type {import('./parser').Token[]} */
+        const tokens = [];
+        walkTokens(form.nodes, token => tokens.push(token));
+        tokens.forEach((token, i) => {
+            const [arrow, to] = [tokens[i + 1], tokens[i + 2]];
+            if (isToken(token, 'type') && isToken(arrow, 'op', '->') && isToken(to, 'type') && token.start <= offset && offset <= to.end) {
+                missing.push({ from: token.value, to: to.value });
+            }
+        });
+    }
+
+    const unit = editor ? indentUnit(editor) : '  ';
+    const actions = [];
+    const seen = new Set();
+    for (const { from, to, diagnostic } of missing) {
+        const key = `${from} -> ${to}`;
+        if (seen.has(key) || hasCoercion(parsed, from, to)) continue;
+        seen.add(key);
+        // After the source type's definition when it's in this file, otherwise at the end
+        const source = parsed.forms.find(f => (f.kind === 'type' || f.kind === 'enum') && f.name === from);
+        const position = document.positionAt(source ? source.end : document.getText().trimEnd().length);
+        const action = new vscode.CodeAction(`Add coercion ${key}`, ADD_COERCION);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.insert(document.uri, position,
+            `\n\n${key} fn (value: ${from}): ${to} {\n${unit}// TODO: convert ${from} to ${to}\n}`);
+        if (diagnostic) action.diagnostics = [diagnostic];
+        actions.push(action);
+    }
+    return actions;
+}
+
+/**
+ * Refactoring kinds the analyzer advertises in its `codeActionKinds` capability
+ * Top-level kinds such as `refactor` or `quickfix` say nothing about which refactorings
+ * it has, so only more specific ones count.
+ * @param {vscode.TextDocument} document
+ * @returns {vscode.CodeActionKind[]}
+ */
+function serverKinds(document) {
+    const client = deps.getClient(document.uri);
+    const provider = client && client.initializeResult && client.initializeResult.capabilities.codeActionProvider;
+    if (!provider || typeof provider !== 'object' || !provider.codeActionKinds) return [];
+    return provider.codeActionKinds
+        .filter(kind => kind.includes('.'))
+        .map(kind => vscode.CodeActionKind.Empty.append(kind));
+}
+
+/**
+ * Hot refactorings, offered where the analyzer has no action of the same kind
+ * @type {vscode.CodeActionProvider}
+ */
+const codeActionProvider = {
+    async provideCodeActions(document, range, context) {
+        const parsed = getDocumentParse(document);
+        const offset = document.offsetAt(range.start);
+        const editor = vscode.window.visibleTextEditors.find(e => e.document === document);
+        // The analyzer's own version of a refactoring wins
+        const server = serverKinds(document);
+        const wants = (kind) => (!context.only || context.only.contains(kind) || kind.contains(context.only))
+            && !server.some(serverKind => serverKind.contains(kind));
+
+        /** @type {vscode.CodeAction[]} */
+        const actions = [];
+        if (wants(EXTRACT_FUNCTION) && !range.isEmpty) {
+            const form = findFormAt(parsed, offset);
+            if (form && form.kind === 'fn' && selectedNodes(form, offset, document.offsetAt(range.end))) {
+                const action = new vscode.CodeAction('Extract to function', EXTRACT_FUNCTION);
+                action.command = { title: 'Extract to function', command: 'hot.extractFunction', arguments: [document.uri, range] };
+                actions.push(action);
+            }
+        }
+        if (wants(INLINE_VALUE)) actions.push(...await inlineValueActions(document, parsed, offset));
+        if (wants(REWRITE_FLOW)) actions.push(...convertFlowActions(document, parsed, offset));
+        if (wants(REWRITE_PIPELINE)) actions.push(...pipelineActions(document, parsed, offset));
+        if (wants(ADD_COERCION)) actions.push(...coercionStubActions(editor, document, parsed, offset, context.diagnostics));
+        return actions;
+    }
+};
+
+/**
+ * Register the refactoring code actions
+ * @param {vscode.ExtensionContext} context
+ * @param {RefactoringDeps} refactoringDeps
+ */
+function registerRefactorings(context, refactoringDeps) {
+    deps = refactoringDeps;
+
+    context.subscriptions.push(vscode.languages.registerCodeActionsProvider('hot', codeActionProvider, {
+        providedCodeActionKinds: [EXTRACT_FUNCTION, INLINE_VALUE, REWRITE_FLOW, REWRITE_PIPELINE, ADD_COERCION]
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.extractFunction', async (uri, range) => {
+        if (!uri || !range) {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.document.languageId !== 'hot' || editor.selection.isEmpty) {
+                vscode.window.showWarningMessage('Select the expressions to extract in a Hot file.');
+                return;
+            }
+            uri = editor.document.uri;
+            range = editor.selection;
+        }
+        await extractFunction(uri, range);
+    }));
+}
+
+module.exports = {
+    registerRefactorings
+};
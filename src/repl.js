@@ -0,0 +1,458 @@
+const vscode = require('vscode');
+const { spawn } = require('child_process');
+const { getDocumentParse } = require('./parser');
+
+const REPL_TERMINAL_NAME = 'Hot REPL';
+
+/** Start sending anyway if the REPL never shows a recognizable prompt */
+const READY_TIMEOUT_MS = 10000;
+/** Give up on queued input when no prompt has come after this long without output */
+const SETTLE_TIMEOUT_MS = 30000;
+
+/** Default prompt: `name> ` but not a continuation prompt such as `...> ` */
+const DEFAULT_PROMPT_PATTERN = '^(?!\\.)(\\S*)> ?$';
+
+const BRACKETED_PASTE_START = '\x1b[200~';
+const BRACKETED_PASTE_END = '\x1b[201~';
+const ANSI_ESCAPE = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Output of one form sent to the REPL
+ * @typedef {Object} ReplResult
+ * @property {string} output - Everything the REPL printed before the next prompt
+ * @property {boolean} isError - The output looks like an error
+ * @property {string | null} namespace - Namespace shown by the next prompt
+ */
+
+/**
+ * @typedef {Object} ReplInput
+ * @property {string} text
+ * @property {boolean} echo - Whether to echo the text; typed input is already on screen
+ * @property {(result: ReplResult | null) => void} resolve - Called with null if the REPL exits first
+ */
+
+/**
+ * A `hot repl` process hosted in a pseudoterminal, one per eval session
+ * @typedef {Object} ReplSession
+ * @property {string} id - Eval session id
+ * @property {string} name - Terminal name before the namespace is known
+ * @property {vscode.Terminal} terminal
+ * @property {import('child_process').ChildProcess | null} child
+ * @property {vscode.EventEmitter<string>} writeEmitter
+ * @property {vscode.EventEmitter<string>} nameEmitter
+ * @property {ReplInput[]} queue
+ * @property {ReplInput | null} current - Input waiting for its prompt
+ * @property {boolean} ready - A prompt is showing and nothing is running
+ * @property {string} output - Output since the last input was sent
+ * @property {string} line - Line being typed in the terminal
+ * @property {string | null} namespace
+ * @property {NodeJS.Timeout | null} readyTimer
+ * @property {NodeJS.Timeout | null} settleTimer - Gives up on pending input if no prompt comes
+ */
+
+/**
+ * @typedef {Object} ReplDeps
+ * @property {() => { text: string, range: vscode.Range } | null} getSelection - Selection or current line of the active editor
+ * @property {(editor: vscode.TextEditor, range: vscode.Range, code: string, result: ReplResult) => void} showResult
+ * @property {() => string | undefined} getCwd
+ * @property {() => import('./sessions').EvalSession} getSession - Eval session of the active document
+ * @property {(message: string) => void} log
+ */
+
+/** @type {Map<string, ReplSession>} keyed by eval session id */
+const repls = new Map();
+/** @type {ReplDeps} */
+let deps = {
+    getSelection: () => null,
+    showResult: () => {},
+    getCwd: () => undefined,
+    getSession: () => ({ id: 'default', name: 'Default' }),
+    log: () => {}
+};
+
+/**
+ * Prompt pattern from settings; group 1, if present, captures the namespace
+ * @returns {RegExp}
+ */
+function getPromptPattern() {
+    const pattern = vscode.workspace.getConfiguration('hot').get('repl.promptPattern', DEFAULT_PROMPT_PATTERN);
+    try {
+        return new RegExp(pattern);
+    } catch (e) {
+        deps.log(`[repl] Invalid hot.repl.promptPattern: ${e.message}`);
+        return new RegExp(DEFAULT_PROMPT_PATTERN);
+    }
+}
+
+/**
+ * Write text to the terminal, converting newlines
+ * @param {ReplSession} repl
+ * @param {string} text
+ */
+function write(repl, text) {
+    repl.writeEmitter.fire(text.replace(/\r?\n/g, '\r\n'));
+}
+
+/**
+ * Send the next queued input once the REPL shows its prompt
+ * @param {ReplSession} repl
+ */
+function flushQueue(repl) {
+    if (!repl.child || repl.queue.length === 0) return;
+    if (!repl.ready) {
+        if (!repl.settleTimer) armSettleTimer(repl);
+        return;
+    }
+    const input = repl.queue.shift();
+    repl.ready = false;
+    repl.current = input;
+    repl.output = '';
+
+    const text = input.text.replace(/\r\n/g, '\n').trimEnd();
+    if (input.echo) write(repl, `${text}\n`);
+    // Multi-line forms are pasted as one unit so the REPL doesn't run them line by line
+    const payload = text.includes('\n') ? `${BRACKETED_PASTE_START}${text}${BRACKETED_PASTE_END}\n` : `${text}\n`;
+    repl.child.stdin.write(payload, 'utf8');
+    armSettleTimer(repl);
+}
+
+/**
+ * The result of an input from the REPL's output
+ * @param {ReplSession} repl
+ * @param {string} output
+ * @returns {ReplResult}
+ */
+function resultFor(repl, output) {
+    const text = output.replace(ANSI_ESCAPE, '').trim();
+    return {
+        output: text,
+        isError: /^\s*(?:error|exception|panic)\b/i.test(text),
+        namespace: repl.namespace
+    };
+}
+
+/**
+ * (Re)start the timer that gives up on pending input when no prompt comes
+ * The next input is only ever sent after a prompt, so nothing runs interleaved; instead the
+ * running input is settled with its output so far and queued ones are dropped, so callers
+ * don't wait forever on a prompt `hot.repl.promptPattern` doesn't recognize.
+ * @param {ReplSession} repl
+ */
+function armSettleTimer(repl) {
+    if (repl.settleTimer) clearTimeout(repl.settleTimer);
+    repl.settleTimer = null;
+    if (!repl.current && repl.queue.length === 0) return;
+    repl.settleTimer = setTimeout(() => {
+        repl.settleTimer = null;
+        if (!repl.child) return;
+        deps.log('[repl] No prompt recognized; queued input was not sent. Check hot.repl.promptPattern');
+        vscode.window.showWarningMessage('The Hot REPL has not shown a prompt matching hot.repl.promptPattern; queued code was not sent.');
+        const input = repl.current;
+        repl.current = null;
+        if (input) input.resolve(resultFor(repl, repl.output));
+        for (const queued of repl.queue) queued.resolve(null);
+        repl.queue = [];
+    }, SETTLE_TIMEOUT_MS);
+}
+
+/**
+ * Mark the REPL ready after a prompt, settling the input that produced it
+ * @param {ReplSession} repl
+ * @param {string} output - Output before the prompt
+ * @param {string | null} namespace
+ */
+function onPrompt(repl, output, namespace) {
+    if (repl.readyTimer) {
+        clearTimeout(repl.readyTimer);
+        repl.readyTimer = null;
+    }
+    if (repl.settleTimer) {
+        clearTimeout(repl.settleTimer);
+        repl.settleTimer = null;
+    }
+    if (namespace && namespace !== repl.namespace) {
+        repl.namespace = namespace;
+        repl.nameEmitter.fire(`${repl.name} (${namespace})`);
+    }
+
+    const input = repl.current;
+    repl.current = null;
+    repl.ready = true;
+    if (input) input.resolve(resultFor(repl, output));
+    flushQueue(repl);
+}
+
+/**
+ * Handle output from the REPL process
+ * @param {ReplSession} repl
+ * @param {string} chunk
+ */
+function onOutput(repl, chunk) {
+    write(repl, chunk);
+    repl.output += chunk;
+
+    // A prompt is the last, unterminated line of output
+    const lastLine = repl.output.slice(repl.output.lastIndexOf('\n') + 1).replace(ANSI_ESCAPE, '');
+    const match = lastLine.match(getPromptPattern());
+    if (!match) {
+        // Output resets the wait: a busy form isn't a missing prompt
+        if (repl.settleTimer) armSettleTimer(repl);
+        return;
+    }
+    const namespace = match[1] && match[1].startsWith('::') ? match[1] : null;
+    const output = repl.output.slice(0, repl.output.length - lastLine.length);
+    repl.output = '';
+    onPrompt(repl, output, namespace);
+}
+
+/**
+ * Handle keys typed into the terminal
+ * @param {ReplSession} repl
+ * @param {string} data
+ */
+function onInput(repl, data) {
+    if (!repl.child) return;
+
+    if (data === '\x03') {
+        // Ctrl+C interrupts a running form, or discards the line being typed
+        if (repl.current) {
+            repl.child.kill('SIGINT');
+        } else {
+            repl.line = '';
+            write(repl, '^C\n');
+            repl.child.stdin.write('\n');
+        }
+        return;
+    }
+    if (data === '\x04' && !repl.line) {
+        repl.child.stdin.end();
+        return;
+    }
+    if (data === '\x7f') {
+        if (repl.line) {
+            repl.line = repl.line.slice(0, -1);
+            repl.writeEmitter.fire('\b \b');
+        }
+        return;
+    }
+    if (data === '\r') {
+        const text = repl.line;
+        repl.line = '';
+        write(repl, '\n');
+        repl.queue.push({ text, echo: false, resolve: () => {} });
+        flushQueue(repl);
+        return;
+    }
+    // Cursor keys and other escape sequences aren't supported by this line editor
+    if (data.startsWith('\x1b') && !data.startsWith(BRACKETED_PASTE_START)) return;
+
+    const text = data.replace(BRACKETED_PASTE_START, '').replace(BRACKETED_PASTE_END, '').replace(/\r\n?/g, '\n');
+    repl.line += text;
+    write(repl, text);
+}
+
+/**
+ * Start the REPL process for a session
+ * @param {ReplSession} repl
+ */
+function spawnRepl(repl) {
+    const commandPath = vscode.workspace.getConfiguration('hot').get('lsp.commandPath', 'hot');
+    const child = spawn(commandPath, ['repl'], { cwd: deps.getCwd(), env: { ...process.env, TERM: 'dumb' } });
+    repl.child = child;
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => onOutput(repl, chunk));
+    child.stderr.on('data', (chunk) => onOutput(repl, chunk));
+    child.stdin.on('error', () => {});
+
+    child.on('error', (e) => {
+        write(repl, `\nFailed to start ${commandPath} repl: ${e.message}\n`);
+        deps.log(`[repl] Failed to start: ${e.message}`);
+    });
+    child.on('close', (code) => {
+        write(repl, `\n[${repl.name} exited with code ${code}]\n`);
+        repl.child = null;
+        repl.ready = false;
+        if (repl.readyTimer) clearTimeout(repl.readyTimer);
+        if (repl.settleTimer) clearTimeout(repl.settleTimer);
+        for (const input of [repl.current, ...repl.queue]) {
+            if (input) input.resolve(null);
+        }
+        repl.current = null;
+        repl.queue = [];
+        if (repls.get(repl.id) === repl) repls.delete(repl.id);
+    });
+
+    // Older CLIs may use a prompt the pattern doesn't recognize
+    repl.readyTimer = setTimeout(() => {
+        repl.readyTimer = null;
+        if (!repl.ready && !repl.current && repl.child) {
+            deps.log('[repl] No prompt detected; check hot.repl.promptPattern');
+            repl.ready = true;
+            flushQueue(repl);
+        }
+    }, READY_TIMEOUT_MS);
+}
+
+/**
+ * Start the REPL of an eval session in a pseudoterminal, or show the running one
+ * @param {import('./sessions').EvalSession} evalSession
+ * @returns {ReplSession}
+ */
+function startRepl(evalSession) {
+    const existing = repls.get(evalSession.id);
+    if (existing) {
+        existing.terminal.show(true);
+        return existing;
+    }
+
+    const writeEmitter = new vscode.EventEmitter();
+    const nameEmitter = new vscode.EventEmitter();
+    /** @type {ReplSession} */
+    const repl = {
+        id: evalSession.id,
+        name: evalSession.id === 'default' ? REPL_TERMINAL_NAME : `${REPL_TERMINAL_NAME}: ${evalSession.name}`,
+        terminal: null,
+        child: null,
+        writeEmitter,
+        nameEmitter,
+        queue: [],
+        current: null,
+        ready: false,
+        output: '',
+        line: '',
+        namespace: null,
+        readyTimer: null,
+        settleTimer: null
+    };
+
+    /** @type {vscode.Pseudoterminal} */
+    const pty = {
+        onDidWrite: writeEmitter.event,
+        onDidChangeName: nameEmitter.event,
+        open: () => spawnRepl(repl),
+        close: () => {
+            if (repl.child) repl.child.kill();
+            if (repls.get(repl.id) === repl) repls.delete(repl.id);
+        },
+        handleInput: (data) => onInput(repl, data)
+    };
+
+    repl.terminal = vscode.window.createTerminal({
+        name: repl.name,
+        pty,
+        iconPath: new vscode.ThemeIcon('terminal')
+    });
+    repl.terminal.show(true);
+    repls.set(repl.id, repl);
+    return repl;
+}
+
+/**
+ * Queue code for a session's REPL; it is sent once the REPL shows its prompt
+ * @param {string} text
+ * @param {import('./sessions').EvalSession} evalSession
+ * @returns {Promise<ReplResult | null>} What the REPL printed, or null if it exited first
+ */
+function sendToRepl(text, evalSession) {
+    const repl = startRepl(evalSession);
+    return new Promise((resolve) => {
+        repl.queue.push({ text, echo: true, resolve });
+        flushQueue(repl);
+    });
+}
+
+/**
+ * Send part of an editor's document to the REPL, showing the output inline
+ * @param {vscode.TextEditor} editor
+ * @param {vscode.Range} range
+ * @param {string} [text] - The code to send, if not the whole range
+ */
+async function sendRangeToRepl(editor, range, text = editor.document.getText(range)) {
+    const result = await sendToRepl(text, deps.getSession());
+    if (result) deps.showResult(editor, range, text, result);
+}
+
+/**
+ * Close a session's REPL terminal and its process
+ * @param {string} id - Eval session id
+ * @returns {boolean} false if the session had no REPL
+ */
+function disposeRepl(id) {
+    const repl = repls.get(id);
+    if (!repl) return false;
+    repls.delete(id);
+    repl.terminal.dispose();
+    if (repl.child) repl.child.kill();
+    return true;
+}
+
+/**
+ * Register the REPL commands
+ * @param {vscode.ExtensionContext} context
+ * @param {ReplDeps} replDeps
+ */
+function registerRepl(context, replDeps) {
+    deps = replDeps;
+    context.subscriptions.push({
+        dispose() {
+            for (const id of [...repls.keys()]) {
+                disposeRepl(id);
+            }
+        }
+    });
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.startRepl', () => {
+        startRepl(deps.getSession());
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.sendToRepl', async () => {
+        const editor = vscode.window.activeTextEditor;
+        const selection = deps.getSelection();
+        if (!editor || !selection || !selection.text) {
+            vscode.window.showWarningMessage('No text selected or cursor not on a line with content.');
+            return;
+        }
+        await sendRangeToRepl(editor, selection.range, selection.text);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.sendFileToRepl', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.languageId !== 'hot') {
+            vscode.window.showWarningMessage('No Hot file is currently active.');
+            return;
+        }
+
+        // Send one top-level form at a time, each after the previous one's prompt
+        const document = editor.document;
+        const forms = getDocumentParse(document).forms;
+        const evalSession = deps.getSession();
+        await Promise.all(forms.map(async (form) => {
+            const range = new vscode.Range(document.positionAt(form.start), document.positionAt(form.end));
+            const text = document.getText(range);
+            const result = await sendToRepl(text, evalSession);
+            if (result && form.kind !== 'ns') deps.showResult(editor, range, text, result);
+        }));
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.switchReplNamespace', async () => {
+        const editor = vscode.window.activeTextEditor;
+        const namespace = editor && editor.document.languageId === 'hot' ? getDocumentParse(editor.document).namespace : null;
+        if (!namespace || !namespace.name) {
+            vscode.window.showWarningMessage('The active file has no namespace declaration.');
+            return;
+        }
+        // Evaluating the declaration makes it the REPL's current namespace
+        const result = await sendToRepl(`${namespace.name} ns`, deps.getSession());
+        if (result && result.isError) {
+            vscode.window.showErrorMessage(`Failed to switch the REPL to ${namespace.name}: ${result.output}`);
+        }
+    }));
+}
+
+module.exports = {
+    registerRepl,
+    sendRangeToRepl,
+    disposeRepl
+};
@@ -0,0 +1,300 @@
+const vscode = require('vscode');
+const { getDocumentParse, parseParams, tokenize } = require('./parser');
+const { parseValue } = require('./values');
+
+const STATE_KEY = 'hotFunctionArguments';
+
+/** Argument sets kept per function */
+const MAX_SAVED_SETS = 10;
+
+/**
+ * Arguments a function was run with
+ * @typedef {Object} ArgumentSet
+ * @property {string[]} args - Hot literals, one per parameter
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} RunWithArgsDeps
+ * @property {(code: string, namespace: string | null, fileUri: string, token: vscode.CancellationToken) => Promise<import('./extension').EvalResult>} evaluate
+ * @property {(editor: vscode.TextEditor, range: vscode.Range, code: string, result: import('./extension').EvalResult) => void} showResult
+ */
+
+/** @type {vscode.ExtensionContext | null} */
+let extensionContext = null;
+/** @type {RunWithArgsDeps} */
+let deps = { evaluate: async () => ({ success: false, result: '', error: 'Not ready' }), showResult: () => {} };
+
+const codeLensEmitter = new vscode.EventEmitter();
+
+/**
+ * Key argument sets are saved under: the function's namespace, or its file when it has none
+ * @param {vscode.TextDocument} document
+ * @param {string} name
+ */
+function functionKey(document, name) {
+    const namespace = getDocumentParse(document).namespace;
+    return `${namespace ? namespace.name : document.uri.toString()}#${name}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {ArgumentSet[]} newest first
+ */
+function getSavedSets(key) {
+    const saved = extensionContext ? extensionContext.workspaceState.get(STATE_KEY, {}) : {};
+    return saved[key] || [];
+}
+
+/**
+ * Save an argument set as the newest one for a function
+ * @param {string} key
+ * @param {string[]} args
+ */
+function saveSet(key, args) {
+    if (!extensionContext) return;
+    const saved = { ...extensionContext.workspaceState.get(STATE_KEY, {}) };
+    const others = (saved[key] || []).filter(set => set.args.join('\n') !== args.join('\n'));
+    saved[key] = [{ args, timestamp: Date.now() }, ...others].slice(0, MAX_SAVED_SETS);
+    extensionContext.workspaceState.update(STATE_KEY, saved);
+}
+
+/**
+ * Check an argument against its declared type
+ * @param {string} value - Text entered for the argument
+ * @param {string | null} type - Declared type, e.g. `Int`, `Str?` or `Map`
+ * @returns {string | null} Error message, or null if valid
+ */
+function validateArgument(value, type) {
+    const text = value.trim();
+    if (!text) return 'Enter a value';
+    const optional = !!type && type.endsWith('?');
+    const base = type ? type.replace(/\?$/, '').trim() : null;
+    if (optional && text === 'null') return null;
+
+    switch (base) {
+        case 'Int':
+            return /^-?\d[\d_]*$/.test(text) ? null : 'Enter a whole number';
+        case 'Dec':
+            return /^-?\d[\d_]*(\.\d+)?([eE][+-]?\d+)?$/.test(text) ? null : 'Enter a number';
+        case 'Bool':
+            return text === 'true' || text === 'false' ? null : 'Enter true or false';
+        case 'Str':
+            // Plain text is quoted automatically
+            return null;
+    }
+
+    const tokens = tokenize(text);
+    let depth = 0;
+    for (const token of tokens) {
+        if (token.type === 'punct' && '{[('.includes(token.value)) depth++;
+        if (token.type === 'punct' && '}])'.includes(token.value)) depth--;
+        if (depth < 0) break;
+    }
+    if (depth !== 0 || tokens.some(t => t.type === 'error' || t.unterminated)) return 'Enter a Hot literal or expression';
+    if (base === 'Map' || (base && base.startsWith('Map<'))) {
+        const node = parseValue(text);
+        return node && node.kind === 'map' ? null : 'Enter a map literal, e.g. {key: "value"}';
+    }
+    if (base === 'Vec' || (base && base.startsWith('Vec<'))) {
+        const node = parseValue(text);
+        return node && node.kind === 'vec' ? null : 'Enter a vector literal, e.g. [1, 2]';
+    }
+    return null;
+}
+
+/**
+ * Turn entered text into a Hot literal for the declared type
+ * @param {string} value
+ * @param {string | null} type
+ * @returns {string}
+ */
+function toArgumentLiteral(value, type) {
+    const text = value.trim();
+    const base = type ? type.replace(/\?$/, '').trim() : null;
+    if (base !== 'Str') return text;
+    if (type.endsWith('?') && text === 'null') return text;
+    // Text that is already a string literal is used as-is
+    const tokens = tokenize(text);
+    if (tokens.length === 1 && tokens[0].type === 'string' && !tokens[0].unterminated) return text;
+    return JSON.stringify(value);
+}
+
+/**
+ * Show an argument as it was entered, without the quotes added for `Str`
+ * @param {string} literal
+ * @param {string | null} type
+ */
+function toArgumentInput(literal, type) {
+    if (type && type.replace(/\?$/, '').trim() === 'Str' && /^"/.test(literal)) {
+        try {
+            return JSON.parse(literal);
+        } catch (e) {
+            return literal;
+        }
+    }
+    return literal;
+}
+
+/**
+ * Find a function definition in a document
+ * @param {vscode.TextDocument} document
+ * @param {string} name
+ * @returns {import('./parser').Form | undefined}
+ */
+function findFunction(document, name) {
+    return getDocumentParse(document).forms.find(f => f.kind === 'fn' && f.name === name);
+}
+
+/**
+ * Ask for each parameter in turn, prefilled with the last arguments used
+ * @param {string} name
+ * @param {Array<{ name: string, type: string | null }>} params
+ * @param {string[]} [previous]
+ * @returns {Promise<string[] | undefined>} undefined if cancelled
+ */
+async function promptForArguments(name, params, previous = []) {
+    const args = [];
+    for (let i = 0; i < params.length; i++) {
+        const param = params[i];
+        const value = await vscode.window.showInputBox({
+            title: `${name} (${i + 1}/${params.length})`,
+            prompt: param.type ? `${param.name}: ${param.type}` : param.name,
+            value: previous[i] !== undefined ? toArgumentInput(previous[i], param.type) : '',
+            ignoreFocusOut: true,
+            validateInput: (text) => validateArgument(text, param.type)
+        });
+        if (value === undefined) return undefined;
+        args.push(toArgumentLiteral(value, param.type));
+    }
+    return args;
+}
+
+/**
+ * Pick saved arguments to replay, or choose to enter new ones
+ * @param {string} name
+ * @param {ArgumentSet[]} sets
+ * @returns {Promise<ArgumentSet | 'new' | undefined>}
+ */
+async function pickArgumentSet(name, sets) {
+    const items = [
+        { label: '$(edit) Enter Arguments…', description: sets.length ? 'starts from the last arguments' : '', set: null },
+        ...sets.map(set => ({
+            label: `${name}(${set.args.join(', ')})`,
+            description: new Date(set.timestamp).toLocaleString(),
+            set
+        }))
+    ];
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: `Run ${name} with…` });
+    if (!picked) return undefined;
+    return picked.set || 'new';
+}
+
+/**
+ * Prompt for arguments and evaluate a call to a function, annotating its definition
+ * @param {vscode.TextDocument} document
+ * @param {string} name
+ */
+async function runWithArguments(document, name) {
+    const form = findFunction(document, name);
+    if (!form) {
+        vscode.window.showWarningMessage(`Function ${name} was not found in ${vscode.workspace.asRelativePath(document.uri)}.`);
+        return;
+    }
+    const params = parseParams(form.params, document.getText());
+    const key = functionKey(document, name);
+    const sets = getSavedSets(key);
+
+    let args;
+    if (sets.length && params.length) {
+        const picked = await pickArgumentSet(name, sets);
+        if (!picked) return;
+        args = picked === 'new' ? await promptForArguments(name, params, sets[0].args) : picked.set.args;
+    } else {
+        args = await promptForArguments(name, params);
+    }
+    if (!args) return;
+    if (params.length) saveSet(key, args);
+
+    const code = `${name}(${args.join(', ')})`;
+    const namespace = getDocumentParse(document).namespace;
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Running ${name}...`,
+        cancellable: true
+    }, async (progress, token) => {
+        const result = await deps.evaluate(code, namespace ? namespace.name : null, document.uri.toString(), token);
+        // Annotate the end of the signature; the definition may have moved while the call ran
+        const current = findFunction(document, name);
+        const editor = vscode.window.visibleTextEditors.find(e => e.document === document);
+        if (!current || !editor) return;
+        const headerEnd = document.positionAt(current.params ? current.params.end : current.nameEnd);
+        const range = new vscode.Range(document.positionAt(current.start), document.lineAt(headerEnd.line).range.end);
+        deps.showResult(editor, range, code, result);
+    });
+}
+
+/**
+ * "Run with arguments…" above every function definition
+ * @type {vscode.CodeLensProvider}
+ */
+const codeLensProvider = {
+    onDidChangeCodeLenses: codeLensEmitter.event,
+
+    provideCodeLenses(document) {
+        if (!vscode.workspace.getConfiguration('hot').get('codeLens.runWithArguments', true)) return [];
+        return getDocumentParse(document).forms
+            .filter(form => form.kind === 'fn' && form.name)
+            .map(form => {
+                const position = document.positionAt(form.start);
+                return new vscode.CodeLens(new vscode.Range(position, position), {
+                    title: 'Run with arguments…',
+                    tooltip: `Prompt for the arguments of ${form.name} and evaluate the call`,
+                    command: 'hot.runWithArguments',
+                    arguments: [document.uri, form.name]
+                });
+            });
+    }
+};
+
+/**
+ * Register the "Run with arguments…" CodeLens and command
+ * @param {vscode.ExtensionContext} context
+ * @param {RunWithArgsDeps} runDeps
+ */
+function registerRunWithArgs(context, runDeps) {
+    extensionContext = context;
+    deps = runDeps;
+
+    context.subscriptions.push(codeLensEmitter);
+    context.subscriptions.push(vscode.languages.registerCodeLensProvider({ language: 'hot' }, codeLensProvider));
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('hot.codeLens.runWithArguments')) codeLensEmitter.fire();
+    }));
+
+    // Called with a document URI and function name from the CodeLens, or from the palette
+    context.subscriptions.push(vscode.commands.registerCommand('hot.runWithArguments', async (uri, name) => {
+        if (uri && name) {
+            const document = await vscode.workspace.openTextDocument(uri);
+            await runWithArguments(document, name);
+            return;
+        }
+
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.languageId !== 'hot') {
+            vscode.window.showWarningMessage('No Hot file is currently active.');
+            return;
+        }
+        const offset = editor.document.offsetAt(editor.selection.active);
+        const form = getDocumentParse(editor.document).forms.find(f => f.kind === 'fn' && f.start <= offset && offset <= f.end);
+        if (!form) {
+            vscode.window.showWarningMessage('The cursor is not in a function definition.');
+            return;
+        }
+        await runWithArguments(editor.document, form.name);
+    }));
+}
+
+module.exports = {
+    registerRunWithArgs
+};
@@ -0,0 +1,319 @@
+const vscode = require('vscode');
+const { getDocumentParse } = require('./parser');
+
+const STATE_KEY = 'hotEvalSessions';
+const DEFAULT_SESSION_ID = 'default';
+
+/**
+ * A named eval session
+ * The default session always exists and is used when nothing else applies.
+ * @typedef {Object} EvalSession
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [folder] - URI of the workspace folder the session is bound to
+ * @property {string} [namespace] - Namespace the session is bound to, including its child namespaces
+ */
+
+/**
+ * @typedef {Object} SessionDeps
+ * @property {(session: EvalSession) => Promise<void>} reset - Reset a session everywhere it runs
+ * @property {(session: EvalSession) => Promise<void>} dispose - Stop everything a deleted session runs
+ */
+
+/** @type {EvalSession} */
+const DEFAULT_SESSION = { id: DEFAULT_SESSION_ID, name: 'Default' };
+
+/** @type {vscode.ExtensionContext | null} */
+let extensionContext = null;
+/** @type {EvalSession[]} named sessions, excluding the default one */
+let sessions = [];
+/** @type {SessionDeps} */
+let deps = { reset: async () => {}, dispose: async () => {} };
+
+/**
+ * Sessions picked for individual documents with Switch Session, by document URI
+ * @type {Map<string, string>}
+ */
+const documentSessions = new Map();
+
+/** @type {vscode.StatusBarItem | null} */
+let statusItem = null;
+
+/**
+ * All sessions, default first
+ * @returns {EvalSession[]}
+ */
+function getSessions() {
+    return [DEFAULT_SESSION, ...sessions];
+}
+
+/**
+ * Session id as sent to the analyzer and CLI; the default session is sent as null
+ * @param {EvalSession} session
+ * @returns {string | null}
+ */
+function wireSessionId(session) {
+    return session.id === DEFAULT_SESSION_ID ? null : session.id;
+}
+
+/**
+ * Namespace declared by an open document, if any
+ * @param {string} uri
+ * @returns {string | null}
+ */
+function documentNamespace(uri) {
+    const document = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri);
+    if (!document || document.languageId !== 'hot') return null;
+    const namespace = getDocumentParse(document).namespace;
+    return namespace ? namespace.name : null;
+}
+
+/**
+ * The session code from a document evaluates in
+ * A session picked for the document wins, then one bound to its namespace (the most
+ * specific one), then one bound to its workspace folder, then the default session.
+ * @param {string} [uri] - Document URI
+ * @param {string | null} [namespace] - Namespace the code runs in, if known
+ * @returns {EvalSession}
+ */
+function getSessionFor(uri, namespace) {
+    if (uri) {
+        const picked = sessions.find(s => s.id === documentSessions.get(uri));
+        if (picked) return picked;
+    }
+
+    const ns = namespace || (uri ? documentNamespace(uri) : null);
+    if (ns) {
+        const bound = sessions
+            .filter(s => s.namespace && (ns === s.namespace || ns.startsWith(`${s.namespace}::`)))
+            .sort((a, b) => b.namespace.length - a.namespace.length)[0];
+        if (bound) return bound;
+    }
+
+    const folder = uri ? vscode.workspace.getWorkspaceFolder(vscode.Uri.parse(uri)) : undefined;
+    if (folder) {
+        const bound = sessions.find(s => s.folder === folder.uri.toString());
+        if (bound) return bound;
+    }
+
+    return DEFAULT_SESSION;
+}
+
+/**
+ * Session for the active editor or notebook
+ * @returns {EvalSession}
+ */
+function getActiveSession() {
+    const notebook = vscode.window.activeNotebookEditor?.notebook;
+    const editor = vscode.window.activeTextEditor;
+    if (editor) return getSessionFor(editor.document.uri.toString());
+    if (notebook) return getSessionFor(notebook.uri.toString());
+    return DEFAULT_SESSION;
+}
+
+/**
+ * Describe what a session is bound to
+ * @param {EvalSession} session
+ * @returns {string}
+ */
+function describeBinding(session) {
+    if (session.namespace) return `namespace ${session.namespace}`;
+    if (session.folder) {
+        const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.parse(session.folder));
+        return `folder ${folder ? folder.name : vscode.Uri.parse(session.folder).fsPath}`;
+    }
+    return session.id === DEFAULT_SESSION_ID ? 'used when no other session applies' : 'not bound';
+}
+
+/**
+ * Persist named sessions and refresh the status bar
+ */
+function save() {
+    extensionContext?.workspaceState.update(STATE_KEY, sessions);
+    updateStatus();
+}
+
+/**
+ * Show the active document's session in the status bar
+ */
+function updateStatus() {
+    if (!statusItem) return;
+    const editor = vscode.window.activeTextEditor;
+    const notebook = vscode.window.activeNotebookEditor?.notebook;
+    const isHot = editor ? editor.document.languageId === 'hot' : notebook?.notebookType === 'hot-notebook';
+    if (!isHot) {
+        statusItem.hide();
+        return;
+    }
+    const session = getActiveSession();
+    statusItem.text = `$(layers) ${session.name}`;
+    statusItem.tooltip = `Hot eval session: ${session.name} (${describeBinding(session)})\nClick to switch sessions`;
+    statusItem.show();
+}
+
+/**
+ * Ask which session to use
+ * @param {string} placeHolder
+ * @param {{ includeDefault?: boolean, allowNew?: boolean }} [options]
+ * @returns {Promise<EvalSession | 'new' | undefined>}
+ */
+async function pickSession(placeHolder, options = {}) {
+    const active = getActiveSession();
+    const candidates = options.includeDefault === false ? sessions : getSessions();
+    const items = candidates.map(session => ({
+        label: `${session.id === active.id ? '$(check) ' : ''}${session.name}`,
+        description: describeBinding(session),
+        session
+    }));
+    if (options.allowNew) {
+        items.push({ label: '$(add) New Session…', description: '', session: null });
+    }
+    if (items.length === 0) {
+        vscode.window.showInformationMessage('There are no named Hot eval sessions.');
+        return undefined;
+    }
+    const picked = await vscode.window.showQuickPick(items, { placeHolder });
+    if (!picked) return undefined;
+    return picked.session || 'new';
+}
+
+/**
+ * Create a session, asking for its name and binding
+ * @returns {Promise<EvalSession | undefined>}
+ */
+async function createSession() {
+    const name = await vscode.window.showInputBox({
+        prompt: 'Name of the new Hot eval session',
+        validateInput: (value) => {
+            if (!value.trim()) return 'Enter a name';
+            if (getSessions().some(s => s.name === value.trim())) return 'A session with this name already exists';
+            return null;
+        }
+    });
+    if (!name) return undefined;
+
+    const editor = vscode.window.activeTextEditor;
+    const activeNamespace = editor ? documentNamespace(editor.document.uri.toString()) : null;
+    const bindings = [
+        { label: 'Not bound', description: 'Use it by switching a file to it', binding: {} },
+        ...(vscode.workspace.workspaceFolders || []).map(folder => ({
+            label: `Folder: ${folder.name}`,
+            description: 'Files in this folder use the session',
+            binding: { folder: folder.uri.toString() }
+        }))
+    ];
+    if (activeNamespace) {
+        bindings.push({
+            label: `Namespace: ${activeNamespace}`,
+            description: 'This namespace and its children use the session',
+            binding: { namespace: activeNamespace }
+        });
+    }
+    bindings.push({ label: 'Namespace…', description: 'Enter a namespace', binding: null });
+
+    const picked = await vscode.window.showQuickPick(bindings, { placeHolder: `What should "${name.trim()}" be bound to?` });
+    if (!picked) return undefined;
+    let binding = picked.binding;
+    if (!binding) {
+        const namespace = await vscode.window.showInputBox({
+            prompt: 'Namespace, e.g. ::myapp::orders',
+            value: activeNamespace || '::',
+            validateInput: (value) => /^::\S+$/.test(value.trim()) ? null : 'Namespaces start with ::'
+        });
+        if (!namespace) return undefined;
+        binding = { namespace: namespace.trim() };
+    }
+
+    /** @type {EvalSession} */
+    const session = { id: `s${Date.now().toString(36)}`, name: name.trim(), ...binding };
+    sessions.push(session);
+    // An unbound session is only reachable by switching to it, so switch the active file now
+    if (!session.folder && !session.namespace && editor) {
+        documentSessions.set(editor.document.uri.toString(), session.id);
+    }
+    save();
+    return session;
+}
+
+/**
+ * Register sessions, their commands and the status bar picker
+ * @param {vscode.ExtensionContext} context
+ * @param {SessionDeps} sessionDeps
+ */
+function registerSessions(context, sessionDeps) {
+    extensionContext = context;
+    deps = sessionDeps;
+    sessions = context.workspaceState.get(STATE_KEY, []);
+
+    statusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 998);
+    statusItem.command = 'hot.switchSession';
+    context.subscriptions.push(statusItem);
+    updateStatus();
+
+    context.subscriptions.push(vscode.window.onDidChangeActiveTextEditor(updateStatus));
+    context.subscriptions.push(vscode.window.onDidChangeActiveNotebookEditor(updateStatus));
+    // A new namespace declaration can move a document to another session
+    context.subscriptions.push(vscode.workspace.onDidSaveTextDocument(updateStatus));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.newSession', async () => {
+        const session = await createSession();
+        if (session) {
+            vscode.window.showInformationMessage(`Created Hot eval session "${session.name}" (${describeBinding(session)}).`);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.switchSession', async () => {
+        const editor = vscode.window.activeTextEditor;
+        const notebook = vscode.window.activeNotebookEditor?.notebook;
+        const uri = editor ? editor.document.uri.toString() : notebook?.uri.toString();
+        const picked = await pickSession(uri ? 'Evaluate this file in session…' : 'Hot eval sessions', { allowNew: true });
+        if (!picked) return;
+        const session = picked === 'new' ? await createSession() : picked;
+        if (!session || !uri) return;
+
+        if (session.id === DEFAULT_SESSION_ID) {
+            documentSessions.delete(uri);
+        } else {
+            documentSessions.set(uri, session.id);
+        }
+        updateStatus();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.resetSession', async () => {
+        const picked = await pickSession('Reset which Hot eval session?');
+        if (!picked || picked === 'new') return;
+        try {
+            await deps.reset(picked);
+            vscode.window.showInformationMessage(`Hot eval session "${picked.name}" reset.`);
+        } catch (e) {
+            vscode.window.showErrorMessage(`Failed to reset session "${picked.name}": ${e.message}`);
+        }
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('hot.deleteSession', async () => {
+        const picked = await pickSession('Delete which Hot eval session?', { includeDefault: false });
+        if (!picked || picked === 'new') return;
+        sessions = sessions.filter(s => s.id !== picked.id);
+        for (const [uri, id] of documentSessions) {
+            if (id === picked.id) documentSessions.delete(uri);
+        }
+        save();
+        try {
+            await deps.dispose(picked);
+        } catch (e) {
+            // The session is gone either way; the server drops it when it restarts
+        }
+        vscode.window.showInformationMessage(`Hot eval session "${picked.name}" deleted.`);
+    }));
+
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => {
+        documentSessions.delete(document.uri.toString());
+    }));
+}
+
+module.exports = {
+    registerSessions,
+    getSessionFor,
+    getActiveSession,
+    wireSessionId
+};
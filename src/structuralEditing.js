@@ -0,0 +1,416 @@
+const vscode = require('vscode');
+const { getDocumentParse, findFormAt, splitItems, parseFlowArms, isToken, isGroup } = require('./parser');
+
+/**
+ * One level of nesting around an offset: the node list it's in and the node containing the offset
+ * @typedef {Object} Level
+ * @property {Array<import('./parser').Token | import('./parser').Group>} nodes
+ * @property {import('./parser').Group | null} group - Group whose children are `nodes`; null for the form itself
+ * @property {import('./parser').Token | import('./parser').Group | undefined} node
+ */
+
+/**
+ * A span of source
+ * @typedef {{ start: number, end: number }} Span
+ */
+
+// ============================================================================
+// Structure
+// ============================================================================
+
+/**
+ * The nesting levels around an offset, outermost first
+ * A level descends into a group only when the offset is between its brackets.
+ * @param {import('./parser').Form} form
+ * @param {number} offset
+ * @returns {Level[]}
+ */
+function levelsAt(form, offset) {
+    const levels = [];
+    let nodes = form.nodes;
+    /** @type {import('./parser').Group | null} */
+    let group = null;
+    for (;;) {
+        // Between two adjacent nodes, e.g. `foo|(x)`, prefer the group
+        const containing = nodes.filter(n => n.start <= offset && offset <= n.end);
+        const node = containing.find(n => n.kind === 'group') || containing[0];
+        levels.push({ nodes, group, node });
+        if (!node || node.kind !== 'group' || offset <= node.start || (node.closeToken && offset >= node.end)) break;
+        nodes = node.children;
+        group = node;
+    }
+    return levels;
+}
+
+/**
+ * The item of a node list containing an offset: an argument, entry, statement or flow arm
+ * @param {Array<import('./parser').Token | import('./parser').Group>} nodes
+ * @param {number} offset
+ * @returns {{ start: number, end: number, nodes: Array<import('./parser').Token | import('./parser').Group> } | undefined}
+ */
+function itemAt(nodes, offset) {
+    return splitItems(nodes).find(item => item.start <= offset && offset <= item.end);
+}
+
+/**
+ * The call a group belongs to: `name(...)` with no space before the bracket, or `do { ... }`
+ * @param {Array<import('./parser').Token | import('./parser').Group>} nodes - List containing the group
+ * @param {import('./parser').Group} group
+ * @returns {Span}
+ */
+function callSpan(nodes, group) {
+    const previous = nodes[nodes.indexOf(group) - 1];
+    const isCallee = previous && previous.end === group.start
+        && (isToken(previous, 'ident') || isToken(previous, 'path') || isToken(previous, 'type') || isToken(previous, 'special'));
+    if (isCallee || isToken(previous, 'keyword', 'do')) return { start: previous.start, end: group.end };
+    return { start: group.start, end: group.end };
+}
+
+/**
+ * Span of a group's contents, without its brackets
+ * @param {import('./parser').Group} group
+ * @returns {Span | null} null for an empty group
+ */
+function innerSpan(group) {
+    if (!group.children.length) return null;
+    return { start: group.children[0].start, end: group.children[group.children.length - 1].end };
+}
+
+/**
+ * Whether an offset is inside a comment or string, where structural commands don't apply
+ * @param {import('./parser').ParseResult} parsed
+ * @param {Level[]} levels
+ * @param {number} offset
+ */
+function inCommentOrString(parsed, levels, offset) {
+    if (parsed.comments.some(c => c.start < offset && offset < c.end)) return true;
+    const node = levels.length ? levels[levels.length - 1].node : undefined;
+    return !!node && node.kind === 'token' && (node.type === 'string' || node.type === 'template')
+        && node.start < offset && offset < node.end;
+}
+
+/**
+ * Parse state at the cursor of an editor, or null with a warning when there's no structure to work on
+ * @param {vscode.TextEditor} editor
+ * @param {vscode.Position} [position]
+ */
+function structureAt(editor, position = editor.selection.active) {
+    const document = editor.document;
+    const parsed = getDocumentParse(document);
+    const offset = document.offsetAt(position);
+    const form = findFormAt(parsed, offset);
+    const levels = form ? levelsAt(form, offset) : [];
+    if (!form || inCommentOrString(parsed, levels, offset)) {
+        vscode.window.showWarningMessage('Place the cursor in Hot code, outside strings and comments.');
+        return null;
+    }
+    return { document, parsed, offset, form, levels };
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @param {Span} span
+ */
+function toRange(document, span) {
+    return new vscode.Range(document.positionAt(span.start), document.positionAt(span.end));
+}
+
+// ============================================================================
+// Selection ranges
+// ============================================================================
+
+/**
+ * Spans around an offset from innermost to outermost: token, argument, call, group contents, group,
+ * flow arm, function body and top-level form
+ * @param {import('./parser').ParseResult} parsed
+ * @param {number} offset
+ * @returns {Span[]}
+ */
+function selectionSpans(parsed, offset) {
+    const comment = parsed.comments.find(c => c.start <= offset && offset <= c.end);
+    const form = findFormAt(parsed, offset);
+    /** @type {Span[]} */
+    const spans = comment ? [{ start: comment.start, end: comment.end }] : [];
+    if (form) {
+        for (const { nodes, group, node } of levelsAt(form, offset)) {
+            if (group) {
+                const inner = innerSpan(group);
+                if (inner) spans.push(inner);
+                spans.push({ start: group.start, end: group.end });
+            }
+            const item = itemAt(nodes, offset);
+            if (item) spans.push({ start: item.start, end: item.end });
+            if (!node) continue;
+            if (node.kind === 'group') {
+                spans.push(callSpan(nodes, node));
+            } else {
+                spans.push({ start: node.start, end: node.end });
+                // String contents without the quotes
+                const quote = node.type === 'string' || node.type === 'template' ? (node.value.match(/^("""|```|"|`)/) || [''])[0].length : 0;
+                if (quote && node.end - node.start > 2 * quote) spans.push({ start: node.start + quote, end: node.end - quote });
+                const next = nodes[nodes.indexOf(node) + 1];
+                if (isGroup(next) && next.start === node.end) spans.push(callSpan(nodes, next));
+            }
+        }
+        if (form.body) spans.push({ start: form.body.start, end: form.body.end });
+        spans.push({ start: form.start, end: form.end });
+    }
+
+    // Smallest first; each span must contain the previous one
+    spans.sort((a, b) => (a.end - a.start) - (b.end - b.start) || b.start - a.start);
+    const chain = [];
+    for (const span of spans) {
+        if (span.start > offset || span.end < offset) continue;
+        const last = chain[chain.length - 1];
+        if (last && (span.start > last.start || span.end < last.end || (span.start === last.start && span.end === last.end))) continue;
+        chain.push(span);
+    }
+    return chain;
+}
+
+/**
+ * Expand Selection steps that follow Hot's structure instead of words and brackets
+ * @type {vscode.SelectionRangeProvider}
+ */
+const selectionRangeProvider = {
+    provideSelectionRanges(document, positions) {
+        const parsed = getDocumentParse(document);
+        return positions.map(position => {
+            const spans = selectionSpans(parsed, document.offsetAt(position));
+            let selectionRange;
+            for (let i = spans.length - 1; i >= 0; i--) {
+                selectionRange = new vscode.SelectionRange(toRange(document, spans[i]), selectionRange);
+            }
+            return selectionRange || new vscode.SelectionRange(new vscode.Range(position, position));
+        });
+    }
+};
+
+// ============================================================================
+// Editing commands
+// ============================================================================
+
+/**
+ * Swap two non-overlapping spans of a document, keeping the cursor on the moved text
+ * @param {vscode.TextEditor} editor
+ * @param {Span} moving - The span the cursor is in
+ * @param {Span} other
+ */
+async function swapSpans(editor, moving, other) {
+    const document = editor.document;
+    const movingText = document.getText(toRange(document, moving));
+    const otherText = document.getText(toRange(document, other));
+    const cursor = document.offsetAt(editor.selection.active) - moving.start;
+    const ok = await editor.edit(builder => {
+        builder.replace(toRange(document, moving), otherText);
+        builder.replace(toRange(document, other), movingText);
+    });
+    if (!ok) return;
+    // Moving down, the other text and the gap between the two now come first
+    const newStart = other.start < moving.start
+        ? other.start
+        : moving.start + otherText.length + (other.start - moving.end);
+    const position = editor.document.positionAt(newStart + cursor);
+    editor.selection = new vscode.Selection(position, position);
+    editor.revealRange(new vscode.Range(position, position));
+}
+
+/**
+ * Span of a top-level form with the comment lines directly above it
+ * @param {vscode.TextDocument} document
+ * @param {import('./parser').ParseResult} parsed
+ * @param {import('./parser').Form} form
+ * @returns {Span}
+ */
+function formBlock(document, parsed, form) {
+    let line = document.positionAt(form.start).line;
+    while (line > 0) {
+        const above = document.lineAt(line - 1);
+        const lineStart = document.offsetAt(above.range.start) + above.firstNonWhitespaceCharacterIndex;
+        if (above.isEmptyOrWhitespace || !parsed.comments.some(c => c.start === lineStart)) break;
+        line--;
+    }
+    return { start: Math.min(form.start, document.offsetAt(new vscode.Position(line, 0))), end: form.end };
+}
+
+/**
+ * Move the top-level form at the cursor past its neighbour, with its leading comments
+ * @param {vscode.TextEditor} editor
+ * @param {-1 | 1} direction
+ */
+async function moveForm(editor, direction) {
+    const state = structureAt(editor);
+    if (!state) return;
+    const { document, parsed, form } = state;
+    const index = parsed.forms.indexOf(form);
+    const neighbour = parsed.forms[index + direction];
+    if (!neighbour) return;
+    await swapSpans(editor, formBlock(document, parsed, form), formBlock(document, parsed, neighbour));
+}
+
+/**
+ * Move the cond/match arm at the cursor past its neighbour
+ * @param {vscode.TextEditor} editor
+ * @param {-1 | 1} direction
+ */
+async function moveArm(editor, direction) {
+    const state = structureAt(editor);
+    if (!state) return;
+    const { offset, levels } = state;
+    for (let i = levels.length - 1; i >= 0; i--) {
+        const group = levels[i].group;
+        if (!isGroup(group, '{')) continue;
+        const arms = parseFlowArms(group);
+        const index = arms.findIndex(arm => arm.start <= offset && offset <= arm.end);
+        if (index === -1) continue;
+        const neighbour = arms[index + direction];
+        if (neighbour) await swapSpans(editor, arms[index], neighbour);
+        return;
+    }
+    vscode.window.showWarningMessage('Place the cursor in a cond or match arm (guard => body).');
+}
+
+/**
+ * The expression a wrap command applies to: the selection, or the item at the cursor
+ * @param {vscode.TextEditor} editor
+ * @param {vscode.Selection} selection
+ * @returns {vscode.Range | null}
+ */
+function wrapTarget(editor, selection) {
+    if (!selection.isEmpty) return selection;
+    const document = editor.document;
+    const parsed = getDocumentParse(document);
+    const offset = document.offsetAt(selection.active);
+    const form = findFormAt(parsed, offset);
+    if (!form) return null;
+    const levels = levelsAt(form, offset);
+    const item = itemAt(levels[levels.length - 1].nodes, offset);
+    return item ? toRange(document, item) : null;
+}
+
+/**
+ * Indentation unit of an editor
+ * @param {vscode.TextEditor} editor
+ */
+function indentUnit(editor) {
+    return editor.options.insertSpaces === false ? '\t' : ' '.repeat(Number(editor.options.tabSize) || 2);
+}
+
+/**
+ * Wrap the selections (or the expressions at the cursors) in a `|>` pipeline
+ * @param {vscode.TextEditor} editor
+ */
+async function wrapInPipeline(editor) {
+    const ranges = editor.selections.map(s => wrapTarget(editor, s)).filter(Boolean);
+    if (!ranges.length) return;
+    const texts = ranges.map(range => editor.document.getText(range));
+    if (ranges.length === 1) {
+        const snippet = new vscode.SnippetString().appendText(`${texts[0]} |> `).appendPlaceholder('fn').appendText('(%)');
+        await editor.insertSnippet(snippet, ranges[0]);
+        return;
+    }
+    await editor.edit(builder => ranges.forEach((range, i) => builder.replace(range, `${texts[i]} |> `)));
+}
+
+/**
+ * Wrap the selections (or the expressions at the cursors) in a `do` block
+ * @param {vscode.TextEditor} editor
+ */
+async function wrapInDo(editor) {
+    const document = editor.document;
+    const ranges = editor.selections.map(s => wrapTarget(editor, s)).filter(Boolean);
+    if (!ranges.length) return;
+    const unit = indentUnit(editor);
+    await editor.edit(builder => {
+        for (const range of ranges) {
+            const line = document.lineAt(range.start.line);
+            const indent = line.text.slice(0, line.firstNonWhitespaceCharacterIndex);
+            const body = document.getText(range).split('\n').map((text, i) => (i === 0 ? indent + unit + text : text && unit + text)).join('\n');
+            builder.replace(range, `do {\n${body}\n${indent}}`);
+        }
+    });
+}
+
+/**
+ * Remove the brackets around the cursor, with the call or `do` they belong to, keeping the contents
+ * @param {vscode.TextEditor} editor
+ */
+async function spliceExpression(editor) {
+    const state = structureAt(editor);
+    if (!state) return;
+    const { document, levels } = state;
+    const level = levels[levels.length - 1];
+    if (!level.group) {
+        vscode.window.showWarningMessage('The cursor is not inside brackets.');
+        return;
+    }
+    const parent = levels[levels.length - 2];
+    const outer = callSpan(parent.nodes, level.group);
+    const inner = innerSpan(level.group);
+    await editor.edit(builder => builder.replace(toRange(document, outer), inner ? document.getText(toRange(document, inner)) : ''));
+}
+
+/**
+ * Replace the expression around the cursor's expression with it, e.g. `f(g(x))` to `g(x)`
+ * @param {vscode.TextEditor} editor
+ */
+async function raiseExpression(editor) {
+    const state = structureAt(editor);
+    if (!state) return;
+    const { document, offset, levels } = state;
+    const level = levels[levels.length - 1];
+    if (!level.group) {
+        vscode.window.showWarningMessage('The cursor is not inside brackets.');
+        return;
+    }
+    const selection = editor.selection;
+    const item = selection.isEmpty ? itemAt(level.nodes, offset) : {
+        start: document.offsetAt(selection.start),
+        end: document.offsetAt(selection.end)
+    };
+    if (!item) return;
+    const parent = levels[levels.length - 2];
+    const outer = callSpan(parent.nodes, level.group);
+    const text = document.getText(toRange(document, item));
+    const ok = await editor.edit(builder => builder.replace(toRange(document, outer), text));
+    if (ok) {
+        const start = document.positionAt(outer.start);
+        editor.selection = new vscode.Selection(start, document.positionAt(outer.start + text.length));
+    }
+}
+
+/**
+ * Register structural selection and the form-aware editing commands
+ * @param {vscode.ExtensionContext} context
+ */
+function registerStructuralEditing(context) {
+    context.subscriptions.push(vscode.languages.registerSelectionRangeProvider({ language: 'hot' }, selectionRangeProvider));
+
+    const commands = {
+        'hot.moveFormUp': (editor) => moveForm(editor, -1),
+        'hot.moveFormDown': (editor) => moveForm(editor, 1),
+        'hot.moveArmUp': (editor) => moveArm(editor, -1),
+        'hot.moveArmDown': (editor) => moveArm(editor, 1),
+        'hot.wrapInPipeline': wrapInPipeline,
+        'hot.wrapInDo': wrapInDo,
+        'hot.spliceExpression': spliceExpression,
+        'hot.raiseExpression': raiseExpression
+    };
+    for (const [command, run] of Object.entries(commands)) {
+        context.subscriptions.push(vscode.commands.registerCommand(command, async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.document.languageId !== 'hot') {
+                vscode.window.showWarningMessage('No Hot file is currently active.');
+                return;
+            }
+            await run(editor);
+        }));
+    }
+}
+
+module.exports = {
+    registerStructuralEditing,
+    levelsAt,
+    itemAt,
+    indentUnit
+};
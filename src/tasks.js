@@ -0,0 +1,95 @@
+const vscode = require('vscode');
+
+const TASK_TYPE = 'hot';
+const PROBLEM_MATCHER = '$hot';
+
+/**
+ * CLI commands offered as auto-detected tasks
+ * @type {Array<{ command: string, detail: string, group?: vscode.TaskGroup }>}
+ */
+const DETECTED_COMMANDS = [
+    { command: 'check', detail: 'Type-check the project', group: vscode.TaskGroup.Build },
+    { command: 'test', detail: 'Run the project\'s tests', group: vscode.TaskGroup.Test },
+    { command: 'run', detail: 'Run the project' },
+    { command: 'fmt', detail: 'Format every Hot file' }
+];
+
+/**
+ * A `hot` task as written in tasks.json
+ * @typedef {Object} HotTaskDefinition
+ * @property {'hot'} type
+ * @property {string} command - CLI subcommand, e.g. `check` or `test`
+ * @property {string[]} [args]
+ * @property {string} [cwd] - Defaults to the workspace folder
+ * @property {Record<string, string>} [env]
+ */
+
+/**
+ * Build the task for a definition
+ * @param {HotTaskDefinition} definition
+ * @param {vscode.WorkspaceFolder | vscode.TaskScope} scope
+ * @param {string} [name]
+ * @returns {vscode.Task}
+ */
+function createTask(definition, scope, name) {
+    const folderUri = typeof scope === 'object' ? scope.uri : undefined;
+    const commandPath = vscode.workspace.getConfiguration('hot', folderUri).get('lsp.commandPath', 'hot');
+    const args = [definition.command, ...(definition.args || [])];
+    const execution = new vscode.ProcessExecution(commandPath, args, {
+        cwd: definition.cwd || (folderUri ? folderUri.fsPath : undefined),
+        env: definition.env
+    });
+    return new vscode.Task(definition, scope, name || args.join(' '), TASK_TYPE, execution, [PROBLEM_MATCHER]);
+}
+
+/**
+ * Whether a folder has Hot files, so tasks aren't offered in unrelated folders
+ * @param {vscode.WorkspaceFolder} folder
+ */
+async function hasHotFiles(folder) {
+    const files = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, '**/*.hot'), '**/node_modules/**', 1);
+    return files.length > 0;
+}
+
+/**
+ * Provides `hot check`, `hot test`, `hot run` and `hot fmt` for each folder with Hot files,
+ * and fills in tasks of type `hot` from tasks.json
+ * @type {vscode.TaskProvider}
+ */
+const taskProvider = {
+    async provideTasks() {
+        const tasks = [];
+        for (const folder of vscode.workspace.workspaceFolders || []) {
+            if (vscode.workspace.getConfiguration('hot', folder.uri).get('tasks.autoDetect', 'on') === 'off') continue;
+            if (!await hasHotFiles(folder)) continue;
+            for (const detected of DETECTED_COMMANDS) {
+                const task = createTask({ type: TASK_TYPE, command: detected.command }, folder);
+                task.detail = detected.detail;
+                if (detected.group) task.group = detected.group;
+                tasks.push(task);
+            }
+        }
+        return tasks;
+    },
+
+    resolveTask(task) {
+        const definition = /** @type {HotTaskDefinition} */ (task.definition);
+        if (!definition.command) return undefined;
+        // Keep the problem matchers configured in tasks.json, defaulting to $hot
+        const resolved = createTask(definition, task.scope || vscode.TaskScope.Workspace, task.name);
+        resolved.problemMatchers = task.problemMatchers.length ? task.problemMatchers : [PROBLEM_MATCHER];
+        return resolved;
+    }
+};
+
+/**
+ * Register the `hot` task type
+ * @param {vscode.ExtensionContext} context
+ */
+function registerTasks(context) {
+    context.subscriptions.push(vscode.tasks.registerTaskProvider(TASK_TYPE, taskProvider));
+}
+
+module.exports = {
+    registerTasks
+};
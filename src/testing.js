@@ -0,0 +1,621 @@
+const vscode = require('vscode');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getDocumentParse, parseHot, isToken, isGroup } = require('./parser');
+
+const CONTROLLER_ID = 'hotTests';
+const RESCAN_DELAY_MS = 300;
+
+/**
+ * A test found by the analyzer or by scanning a file
+ * @typedef {Object} DiscoveredTest
+ * @property {string} name
+ * @property {string | null} namespace
+ * @property {vscode.Uri} uri
+ * @property {vscode.Range} range
+ */
+
+/**
+ * What a test item stands for
+ * @typedef {Object} TestData
+ * @property {'namespace' | 'file' | 'test'} kind
+ * @property {vscode.WorkspaceFolder} folder
+ * @property {string | null} namespace
+ * @property {vscode.Uri} [uri] - File of a file or test item
+ * @property {string} [name] - Name of a test
+ */
+
+/**
+ * One result reported by `hot test --json`, or parsed from its text output
+ * @typedef {Object} TestResult
+ * @property {string} name
+ * @property {string | null} namespace
+ * @property {string | null} file
+ * @property {'passed' | 'failed' | 'skipped' | 'errored'} status
+ * @property {number} [durationMs]
+ * @property {string} [message]
+ * @property {string} [expected]
+ * @property {string} [actual]
+ * @property {{ file: string, line: number, column?: number } | null} [location] - 1-based
+ */
+
+/**
+ * @typedef {Object} TestingDeps
+ * @property {(uri?: vscode.Uri) => import('vscode-languageclient/node').LanguageClient | null} getClient
+ * @property {vscode.Event<{ uri: vscode.Uri, type: 'created' | 'changed' | 'deleted' }>} onDidChangeHotFile
+ * @property {() => Promise<boolean>} supportsDebugging - Whether the CLI has a debug adapter (`hot dap`)
+ * @property {(message: string) => void} log
+ */
+
+/** @type {TestingDeps} */
+let deps = { getClient: () => null, onDidChangeHotFile: () => ({ dispose() {} }), supportsDebugging: async () => false, log: () => {} };
+
+/** @type {vscode.TestController | null} */
+let controller = null;
+
+/** @type {WeakMap<vscode.TestItem, TestData>} */
+const testData = new WeakMap();
+
+/** @type {Map<string, NodeJS.Timeout>} */
+const pendingRescans = new Map();
+
+// ============================================================================
+// Discovery
+// ============================================================================
+
+/**
+ * Whether a function form is a test: named `test-…`/`test_…` or marked `meta {test: true}` / `meta [test]`
+ * @param {import('./parser').Form} form
+ */
+function isTestForm(form) {
+    if (form.kind !== 'fn') return false;
+    if (/^test[-_]/.test(form.name)) return true;
+    if (!form.meta) return false;
+    const children = form.meta.children;
+    if (isGroup(form.meta, '[')) return children.some(n => isToken(n, 'ident', 'test'));
+    return children.some((n, i) => isToken(n, 'ident', 'test') && isToken(children[i + 1], 'op', ':') && isToken(children[i + 2], 'constant', 'true'));
+}
+
+/**
+ * Find tests in a file's text
+ * @param {vscode.Uri} uri
+ * @param {string} text
+ * @param {import('./parser').ParseResult} [parsed]
+ * @returns {DiscoveredTest[]}
+ */
+function scanText(uri, text, parsed = parseHot(text)) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    const positionAt = (offset) => {
+        let line = 0;
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+        return new vscode.Position(line, offset - lineStarts[line]);
+    };
+    const namespace = parsed.namespace ? parsed.namespace.name : null;
+    return parsed.forms.filter(isTestForm).map(form => ({
+        name: form.name,
+        namespace,
+        uri,
+        range: new vscode.Range(positionAt(form.start), positionAt(form.end))
+    }));
+}
+
+/**
+ * Convert tests from `hot/tests`
+ * @param {any} response
+ * @returns {DiscoveredTest[]}
+ */
+function fromServer(response) {
+    return ((response && response.tests) || []).map(test => ({
+        name: test.name,
+        namespace: test.namespace || null,
+        uri: vscode.Uri.parse(test.uri),
+        range: new vscode.Range(test.range.start.line, test.range.start.character, test.range.end.line, test.range.end.character)
+    }));
+}
+
+/**
+ * Find the tests of one file, asking the folder's analyzer first
+ * @param {vscode.Uri} uri
+ * @returns {Promise<DiscoveredTest[]>}
+ */
+async function discoverFile(uri) {
+    const client = deps.getClient(uri);
+    if (client) {
+        try {
+            return fromServer(await client.sendRequest('hot/tests', { uri: uri.toString() }));
+        } catch (e) {
+            // Older servers don't discover tests; scan locally
+        }
+    }
+    const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+    if (open) return scanText(uri, open.getText(), getDocumentParse(open));
+    try {
+        return scanText(uri, Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8'));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Find the tests of a workspace folder, asking its analyzer first
+ * @param {vscode.WorkspaceFolder} folder
+ * @returns {Promise<DiscoveredTest[]>}
+ */
+async function discoverFolder(folder) {
+    const client = deps.getClient(folder.uri);
+    if (client) {
+        try {
+            return fromServer(await client.sendRequest('hot/tests', { folderUri: folder.uri.toString() }));
+        } catch (e) {
+            deps.log(`[test] hot/tests failed, scanning files instead: ${e.message}`);
+        }
+    }
+    const files = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, '**/*.hot'), '**/node_modules/**');
+    const tests = [];
+    for (const uri of files) {
+        const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+        if (open) {
+            tests.push(...scanText(uri, open.getText(), getDocumentParse(open)));
+            continue;
+        }
+        try {
+            tests.push(...scanText(uri, Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8')));
+        } catch (e) {
+            // Deleted while scanning
+        }
+    }
+    return tests;
+}
+
+/**
+ * Get or create the namespace item files are grouped under
+ * @param {vscode.WorkspaceFolder} folder
+ * @param {string} namespace
+ * @returns {vscode.TestItem}
+ */
+function getNamespaceItem(folder, namespace) {
+    const id = `${folder.uri.toString()}|${namespace}`;
+    let item = controller.items.get(id);
+    if (!item) {
+        item = controller.createTestItem(id, namespace);
+        if ((vscode.workspace.workspaceFolders || []).length > 1) item.description = folder.name;
+        testData.set(item, { kind: 'namespace', folder, namespace });
+        controller.items.add(item);
+    }
+    return item;
+}
+
+/**
+ * Remove a file's item, and its namespace item once that is empty
+ * @param {vscode.Uri} uri
+ */
+function removeFile(uri) {
+    const id = uri.toString();
+    controller.items.delete(id);
+    controller.items.forEach(item => {
+        const data = testData.get(item);
+        if (data && data.kind === 'namespace' && item.children.get(id)) {
+            item.children.delete(id);
+            if (item.children.size === 0) controller.items.delete(item.id);
+        }
+    });
+}
+
+/**
+ * Replace the items of a file with its discovered tests
+ * Files are grouped under their namespace; files without one are shown at the top level.
+ * @param {vscode.Uri} uri
+ * @param {DiscoveredTest[]} tests
+ */
+function setFileTests(uri, tests) {
+    removeFile(uri);
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder || tests.length === 0) return;
+
+    const namespace = tests[0].namespace;
+    const fileItem = controller.createTestItem(uri.toString(), path.basename(uri.fsPath), uri);
+    fileItem.description = vscode.workspace.asRelativePath(uri, false);
+    testData.set(fileItem, { kind: 'file', folder, namespace, uri });
+    fileItem.children.replace(tests.map(test => {
+        const item = controller.createTestItem(`${uri.toString()}#${test.name}`, test.name, uri);
+        item.range = test.range;
+        testData.set(item, { kind: 'test', folder, namespace, uri, name: test.name });
+        return item;
+    }));
+
+    if (namespace) getNamespaceItem(folder, namespace).children.add(fileItem);
+    else controller.items.add(fileItem);
+}
+
+/**
+ * Find the item of a file, at the top level or under its namespace
+ * @param {vscode.Uri} uri
+ * @returns {vscode.TestItem | undefined}
+ */
+function findFileItem(uri) {
+    const id = uri.toString();
+    let found = controller.items.get(id);
+    controller.items.forEach(item => {
+        if (!found && testData.get(item)?.kind === 'namespace') found = item.children.get(id);
+    });
+    return found;
+}
+
+/**
+ * Show a file's rescanned tests, keeping its items (and their results) when only ranges moved
+ * @param {vscode.Uri} uri
+ * @param {DiscoveredTest[]} tests
+ */
+function updateFileTests(uri, tests) {
+    const fileItem = findFileItem(uri);
+    const names = [];
+    fileItem?.children.forEach(item => names.push(testData.get(item)?.name));
+    const unchanged = fileItem && tests.length > 0 &&
+        testData.get(fileItem).namespace === tests[0].namespace &&
+        names.length === tests.length && tests.every((test, i) => test.name === names[i]);
+    if (!unchanged) {
+        setFileTests(uri, tests);
+        return;
+    }
+    for (const test of tests) {
+        const item = fileItem.children.get(`${uri.toString()}#${test.name}`);
+        if (!item.range || !item.range.isEqual(test.range)) item.range = test.range;
+    }
+}
+
+/**
+ * Group discovered tests by file and show them
+ * @param {DiscoveredTest[]} tests
+ */
+function showTests(tests) {
+    /** @type {Map<string, DiscoveredTest[]>} */
+    const byFile = new Map();
+    for (const test of tests) {
+        const key = test.uri.toString();
+        if (!byFile.has(key)) byFile.set(key, []);
+        byFile.get(key).push(test);
+    }
+    for (const fileTests of byFile.values()) {
+        setFileTests(fileTests[0].uri, fileTests);
+    }
+}
+
+/**
+ * Discover the tests of every workspace folder, replacing what was shown
+ */
+async function discoverAll() {
+    const tests = [];
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+        tests.push(...await discoverFolder(folder));
+    }
+    controller.items.replace([]);
+    showTests(tests);
+}
+
+/**
+ * Re-discover the tests of one file
+ * @param {vscode.Uri} uri
+ */
+async function refreshFile(uri) {
+    setFileTests(uri, await discoverFile(uri));
+}
+
+// ============================================================================
+// Running
+// ============================================================================
+
+/**
+ * Parse a line of `hot test` output
+ * JSON lines are results from `--json`; `PASS name` / `FAIL name: message` lines come from older CLIs.
+ * @param {string} line
+ * @returns {TestResult | null}
+ */
+function parseResultLine(line) {
+    const text = line.trim();
+    if (text.startsWith('{')) {
+        try {
+            const result = JSON.parse(text);
+            if (!result.name || !result.status) return null;
+            return {
+                name: result.name,
+                namespace: result.namespace || null,
+                file: result.file || null,
+                status: ['passed', 'failed', 'skipped', 'errored'].includes(result.status) ? result.status : 'errored',
+                durationMs: result.durationMs,
+                message: result.message,
+                expected: result.expected,
+                actual: result.actual,
+                location: result.location || null
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const match = text.match(/^(PASS|FAIL|SKIP|ERROR|ok|FAILED|✓|✗)\s+(?:(::\S+?)\/)?([\w-]+)(?:\s*(?:\((\d+)ms\)))?(?:\s*[:-]\s*(.*))?$/);
+    if (!match) return null;
+    const status = { PASS: 'passed', ok: 'passed', '✓': 'passed', SKIP: 'skipped', ERROR: 'errored' }[match[1]] || 'failed';
+    return {
+        name: match[3],
+        namespace: match[2] || null,
+        file: null,
+        status,
+        durationMs: match[4] ? parseInt(match[4], 10) : undefined,
+        message: match[5]
+    };
+}
+
+/**
+ * CLI arguments that run a test item
+ * @param {vscode.TestItem} item
+ * @returns {string[]}
+ */
+function testArgs(item) {
+    const data = testData.get(item);
+    if (data.kind === 'namespace') return ['--namespace', data.namespace];
+    if (data.kind === 'file') return [data.uri.fsPath];
+    return [data.uri.fsPath, '--name', data.name];
+}
+
+/**
+ * Test items a run covers, by folder
+ * @param {vscode.TestRunRequest} request
+ * @returns {Map<vscode.WorkspaceFolder, vscode.TestItem[] | null>} null runs the whole folder
+ */
+function groupByFolder(request) {
+    const groups = new Map();
+    if (!request.include) {
+        for (const folder of vscode.workspace.workspaceFolders || []) groups.set(folder, null);
+        return groups;
+    }
+    for (const item of request.include) {
+        const folder = testData.get(item)?.folder;
+        if (!folder) continue;
+        if (!groups.has(folder)) groups.set(folder, []);
+        groups.get(folder).push(item);
+    }
+    return groups;
+}
+
+/**
+ * Test items under an item (or all items), excluding what the request excludes
+ * @param {vscode.TestItem | null} item
+ * @param {vscode.TestRunRequest} request
+ * @returns {vscode.TestItem[]}
+ */
+function collectTests(item, request) {
+    const excluded = (i) => (request.exclude || []).includes(i);
+    const tests = [];
+    const visit = (i) => {
+        if (excluded(i)) return;
+        if (testData.get(i)?.kind === 'test') tests.push(i);
+        i.children.forEach(visit);
+    };
+    if (item) visit(item);
+    else controller.items.forEach(visit);
+    return tests;
+}
+
+/**
+ * Find the item a result belongs to
+ * @param {vscode.TestItem[]} tests - Tests in the run
+ * @param {TestResult} result
+ */
+function findResultItem(tests, result) {
+    return tests.find(item => {
+        const data = testData.get(item);
+        if (data.name !== result.name) return false;
+        if (result.file) return path.resolve(data.folder.uri.fsPath, result.file) === data.uri.fsPath;
+        return !result.namespace || result.namespace === data.namespace;
+    });
+}
+
+/**
+ * Build the failure message of a result, shown inline at the failure
+ * @param {vscode.TestItem} item
+ * @param {TestResult} result
+ * @returns {vscode.TestMessage}
+ */
+function failureMessage(item, result) {
+    const text = result.message || (result.status === 'errored' ? 'Test errored' : 'Test failed');
+    const message = result.expected !== undefined && result.actual !== undefined
+        ? vscode.TestMessage.diff(text, String(result.expected), String(result.actual))
+        : new vscode.TestMessage(text);
+    const data = testData.get(item);
+    if (result.location && result.location.file) {
+        const uri = vscode.Uri.file(path.resolve(data.folder.uri.fsPath, result.location.file));
+        const position = new vscode.Position(Math.max(0, result.location.line - 1), Math.max(0, (result.location.column || 1) - 1));
+        message.location = new vscode.Location(uri, position);
+    } else if (item.uri && item.range) {
+        message.location = new vscode.Location(item.uri, item.range.start);
+    }
+    return message;
+}
+
+/**
+ * Run `hot test` for a folder, reporting results as they arrive
+ * @param {vscode.TestRun} run
+ * @param {vscode.WorkspaceFolder} folder
+ * @param {string[]} args - Which tests to run
+ * @param {vscode.TestItem[]} tests - Tests expected in the output
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<Set<vscode.TestItem>>} Tests that reported a result
+ */
+function runCli(run, folder, args, tests, token) {
+    const commandPath = vscode.workspace.getConfiguration('hot', folder.uri).get('lsp.commandPath', 'hot');
+    const reported = new Set();
+    return new Promise((resolve) => {
+        const child = spawn(commandPath, ['test', '--json', ...args], { cwd: folder.uri.fsPath });
+        run.appendOutput(`> ${commandPath} test --json ${args.join(' ')}\r\n`);
+        let buffer = '';
+        let stderr = '';
+
+        const onLine = (line) => {
+            const result = parseResultLine(line);
+            const item = result && findResultItem(tests, result);
+            if (!item) {
+                if (line.trim()) run.appendOutput(`${line}\r\n`);
+                return;
+            }
+            reported.add(item);
+            if (result.status === 'passed') run.passed(item, result.durationMs);
+            else if (result.status === 'skipped') run.skipped(item);
+            else if (result.status === 'errored') run.errored(item, failureMessage(item, result), result.durationMs);
+            else run.failed(item, failureMessage(item, result), result.durationMs);
+        };
+
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(onLine);
+        });
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk).slice(-4000);
+            run.appendOutput(chunk.replace(/\r?\n/g, '\r\n'));
+        });
+
+        const cancel = token.onCancellationRequested(() => child.kill());
+        // A CLI that fails to spawn emits both `error` and `close`
+        let settled = false;
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            cancel.dispose();
+            if (buffer) onLine(buffer);
+            // Tests the CLI never reported: errored if it failed to run, otherwise not run
+            for (const item of tests) {
+                if (reported.has(item) || token.isCancellationRequested) continue;
+                if (error) run.errored(item, new vscode.TestMessage(error));
+                else run.skipped(item);
+            }
+            resolve(reported);
+        };
+        child.on('error', (e) => finish(`Failed to run ${commandPath} test: ${e.message}`));
+        child.on('close', (code) => finish(code !== 0 && reported.size === 0 ? (stderr.trim() || `hot test exited with code ${code}`) : null));
+    });
+}
+
+/**
+ * Run tests through the CLI
+ * @param {vscode.TestRunRequest} request
+ * @param {vscode.CancellationToken} token
+ */
+async function runTests(request, token) {
+    const run = controller.createTestRun(request);
+    try {
+        for (const [folder, items] of groupByFolder(request)) {
+            if (token.isCancellationRequested) break;
+            if (items === null) {
+                const tests = collectTests(null, request).filter(t => testData.get(t).folder === folder);
+                tests.forEach(t => run.started(t));
+                await runCli(run, folder, [], tests, token);
+                continue;
+            }
+            // One CLI run per selected item; excluded tests inside it are left out of the results
+            for (const item of items) {
+                if (token.isCancellationRequested) break;
+                const tests = collectTests(item, request);
+                tests.forEach(t => run.started(t));
+                await runCli(run, folder, testArgs(item), tests, token);
+            }
+        }
+    } finally {
+        run.end();
+    }
+}
+
+/**
+ * Debug tests with the `hot` debugger, one item at a time
+ * @param {vscode.TestRunRequest} request
+ * @param {vscode.CancellationToken} token
+ */
+async function debugTests(request, token) {
+    for (const [folder, items] of groupByFolder(request)) {
+        if (token.isCancellationRequested) break;
+        for (const item of items || [null]) {
+            const args = item ? testArgs(item) : [];
+            const started = await vscode.debug.startDebugging(folder, {
+                type: 'hot',
+                request: 'launch',
+                name: `Debug ${item ? item.label : 'Hot Tests'}`,
+                mode: 'test',
+                args,
+                cwd: folder.uri.fsPath
+            });
+            if (!started) {
+                vscode.window.showErrorMessage('Failed to start debugging Hot tests.');
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Register the Hot test controller
+ * @param {vscode.ExtensionContext} context
+ * @param {TestingDeps} testingDeps
+ */
+function registerTesting(context, testingDeps) {
+    deps = testingDeps;
+    controller = vscode.tests.createTestController(CONTROLLER_ID, 'Hot Tests');
+    context.subscriptions.push(controller);
+
+    // Discover everything the first time the Testing view asks for items
+    controller.resolveHandler = async (item) => {
+        if (!item) await discoverAll();
+    };
+    controller.refreshHandler = () => discoverAll();
+
+    controller.createRunProfile('Run', vscode.TestRunProfileKind.Run, runTests, true);
+
+    // Without `hot dap` a debug session only runs the tests, so the Debug profile needs it
+    /** @type {vscode.TestRunProfile | null} */
+    let debugProfile = null;
+    const updateDebugProfile = async () => {
+        const supported = await deps.supportsDebugging();
+        if (supported && !debugProfile) {
+            debugProfile = controller.createRunProfile('Debug', vscode.TestRunProfileKind.Debug, debugTests, true);
+        } else if (!supported && debugProfile) {
+            debugProfile.dispose();
+            debugProfile = null;
+        }
+    };
+    updateDebugProfile();
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('hot.lsp.commandPath')) updateDebugProfile();
+    }));
+
+    context.subscriptions.push(deps.onDidChangeHotFile(({ uri, type }) => {
+        if (type === 'deleted') removeFile(uri);
+        else refreshFile(uri);
+    }));
+
+    // Unsaved edits move and rename tests too; rescan once typing pauses
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(e => {
+        const document = e.document;
+        if (document.languageId !== 'hot' || document.uri.scheme !== 'file' || !e.contentChanges.length) return;
+        const key = document.uri.toString();
+        clearTimeout(pendingRescans.get(key));
+        pendingRescans.set(key, setTimeout(() => {
+            pendingRescans.delete(key);
+            if (document.isClosed) return;
+            updateFileTests(document.uri, scanText(document.uri, document.getText(), getDocumentParse(document)));
+        }, RESCAN_DELAY_MS));
+    }));
+    context.subscriptions.push({
+        dispose() {
+            for (const timer of pendingRescans.values()) clearTimeout(timer);
+            pendingRescans.clear();
+        }
+    });
+}
+
+module.exports = {
+    registerTesting
+};
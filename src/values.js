@@ -0,0 +1,246 @@
+// Helpers for values printed by `hot/eval` and the Hot CLI.
+
+const { tokenize } = require('./parser');
+
+const OPEN_TO_CLOSE = { '{': '}', '[': ']', '(': ')' };
+
+/**
+ * Build a bracket tree from the tokens of a printed value
+ * @param {import('./parser').Token[]} tokens
+ * @returns {Array<any>} Tokens and `{ open, close, children }` groups
+ */
+function buildTree(tokens) {
+    const root = { children: [] };
+    const stack = [root];
+    for (const token of tokens) {
+        const top = stack[stack.length - 1];
+        if (token.type === 'punct' && OPEN_TO_CLOSE[token.value]) {
+            const group = { open: token, close: null, children: [], start: token.start, end: token.end };
+            top.children.push(group);
+            stack.push(group);
+        } else if (token.type === 'punct' && stack.length > 1 && token.value === OPEN_TO_CLOSE[top.open.value]) {
+            top.close = token;
+            top.end = token.end;
+            stack.pop();
+        } else {
+            top.children.push(token);
+        }
+        for (let i = 1; i < stack.length; i++) stack[i].end = token.end;
+    }
+    return root.children;
+}
+
+/**
+ * Pretty-print a Hot value, breaking maps, vectors and calls that don't fit on one line
+ * Text that doesn't tokenize cleanly is returned as-is.
+ * @param {string} text
+ * @param {number} [width=60]
+ * @returns {string}
+ */
+function prettyPrintValue(text, width = 60) {
+    if (!text || text.length <= width) return text;
+    const tokens = tokenize(text);
+    if (tokens.some(t => t.type === 'error' || t.type === 'comment')) return text;
+
+    const joinNodes = (nodes, indent) => {
+        let out = '';
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            if (i > 0 && node.start > nodes[i - 1].end) out += ' ';
+            out += node.type ? node.value : render(node, indent);
+        }
+        return out;
+    };
+
+    const render = (group, indent) => {
+        const flat = text.slice(group.start, group.end);
+        const closeText = group.close ? group.close.value : '';
+        if (indent.length + flat.length <= width || group.children.length === 0) return flat;
+
+        // Split children on commas at this level
+        const items = [[]];
+        for (const child of group.children) {
+            if (child.type === 'punct' && child.value === ',') items.push([]);
+            else items[items.length - 1].push(child);
+        }
+        const inner = indent + '  ';
+        const lines = items.filter(item => item.length).map(item => inner + joinNodes(item, inner));
+        return `${group.open.value}\n${lines.join(',\n')}\n${indent}${closeText}`;
+    };
+
+    return joinNodes(buildTree(tokens), '');
+}
+
+// ============================================================================
+// Structured Values
+// ============================================================================
+
+/**
+ * A Hot value broken down for inspection
+ * This is also the shape `hot/eval` returns in `value` when asked for `structured` results.
+ * @typedef {Object} ValueNode
+ * @property {string} type - Hot type name: `Map`, `Vec`, `Str`, `Int`, `Dec`, `Bool`, `Null` or a user type
+ * @property {'map' | 'vec' | 'scalar'} kind
+ * @property {string} [text] - Literal text of a scalar
+ * @property {number} [length] - Entry count of a collection, character count of a string
+ * @property {Array<{ key: string, value: ValueNode }>} [children] - Loaded children; vector keys are indexes
+ * @property {string} [ref] - Server handle for loading children with `hot/inspect`
+ */
+
+/**
+ * Split bracket-tree nodes on top-level commas
+ * @param {Array<any>} nodes
+ * @returns {Array<Array<any>>}
+ */
+function splitOnCommas(nodes) {
+    const items = [[]];
+    for (const node of nodes) {
+        if (node.type === 'punct' && node.value === ',') items.push([]);
+        else items[items.length - 1].push(node);
+    }
+    return items.filter(item => item.length);
+}
+
+/**
+ * Decode a Hot string literal, falling back to the raw text between the quotes
+ * @param {string} literal
+ * @returns {string}
+ */
+function decodeString(literal) {
+    try {
+        return JSON.parse(literal);
+    } catch (e) {
+        return literal.replace(/^("""|"|`+)/, '').replace(/("""|"|`+)$/, '');
+    }
+}
+
+/**
+ * Describe a scalar literal
+ * @param {string} literal
+ * @param {any} [token] - The literal's token, when it is a single token
+ * @returns {ValueNode}
+ */
+function scalarNode(literal, token) {
+    const type = token ? token.type : null;
+    if (type === 'string') {
+        return { type: 'Str', kind: 'scalar', text: literal, length: decodeString(literal).length };
+    }
+    if (type === 'constant') {
+        return { type: literal === 'null' ? 'Null' : 'Bool', kind: 'scalar', text: literal };
+    }
+    if (type === 'number' || /^-?\d[\d_]*(\.\d+)?([eE][+-]?\d+)?$/.test(literal)) {
+        return { type: /[.eE]/.test(literal) ? 'Dec' : 'Int', kind: 'scalar', text: literal };
+    }
+    return { type: 'Any', kind: 'scalar', text: literal };
+}
+
+/**
+ * Turn the bracket-tree nodes of one value into a ValueNode
+ * @param {string} text
+ * @param {Array<any>} nodes
+ * @returns {ValueNode}
+ */
+function nodesToValue(text, nodes) {
+    const first = nodes[0];
+    const last = nodes[nodes.length - 1];
+
+    if (nodes.length === 1 && !first.type && first.open.value === '{') {
+        const children = splitOnCommas(first.children).map(item => {
+            const colon = item.findIndex(n => n.type === 'op' && n.value === ':');
+            if (colon <= 0) return { key: '', value: nodesToValue(text, item) };
+            return {
+                key: text.slice(item[0].start, item[colon - 1].end),
+                value: colon + 1 < item.length ? nodesToValue(text, item.slice(colon + 1)) : scalarNode('')
+            };
+        });
+        return { type: 'Map', kind: 'map', length: children.length, children };
+    }
+
+    if (nodes.length === 1 && !first.type && first.open.value === '[') {
+        const children = splitOnCommas(first.children).map((item, i) => ({ key: String(i), value: nodesToValue(text, item) }));
+        return { type: 'Vec', kind: 'vec', length: children.length, children };
+    }
+
+    // Typed values print as `Type({...})` or `Type {...}`
+    if (nodes.length === 2 && ['type', 'path', 'ident'].includes(first.type) && !last.type) {
+        let inner = last;
+        if (inner.open.value === '(' && inner.children.length === 1 && !inner.children[0].type) {
+            inner = inner.children[0];
+        }
+        if (inner.open.value !== '(') {
+            return { ...nodesToValue(text, [inner]), type: first.value };
+        }
+    }
+
+    const literal = text.slice(first.start, last.end);
+    return scalarNode(literal, nodes.length === 1 && first.type ? first : null);
+}
+
+/**
+ * Parse a printed Hot value into a ValueNode
+ * @param {string} text
+ * @returns {ValueNode | null} null if the text isn't a value literal
+ */
+function parseValue(text) {
+    if (!text || !text.trim()) return null;
+    const tokens = tokenize(text);
+    if (tokens.some(t => t.type === 'error' || t.type === 'comment')) return null;
+    const tree = buildTree(tokens);
+    if (tree.some(node => !node.type && !node.close)) return null;
+    return nodesToValue(text, tree);
+}
+
+/**
+ * Render a fully loaded value as a Hot literal
+ * @param {ValueNode} node
+ * @returns {string}
+ */
+function toHotLiteral(node) {
+    let literal;
+    if (node.kind === 'map') {
+        literal = `{${(node.children || []).map(c => `${c.key}: ${toHotLiteral(c.value)}`).join(', ')}}`;
+    } else if (node.kind === 'vec') {
+        literal = `[${(node.children || []).map(c => toHotLiteral(c.value)).join(', ')}]`;
+    } else {
+        return node.text || '';
+    }
+    return node.type !== 'Map' && node.type !== 'Vec' ? `${node.type}(${literal})` : literal;
+}
+
+/**
+ * Convert a fully loaded value to plain JSON data
+ * Scalars JSON can't represent are kept as their literal text.
+ * @param {ValueNode} node
+ * @returns {any}
+ */
+function toJsonValue(node) {
+    if (node.kind === 'map') {
+        const result = {};
+        for (const child of node.children || []) {
+            const key = /^["`]/.test(child.key) ? decodeString(child.key) : child.key;
+            result[key] = toJsonValue(child.value);
+        }
+        return result;
+    }
+    if (node.kind === 'vec') {
+        return (node.children || []).map(c => toJsonValue(c.value));
+    }
+    switch (node.type) {
+        case 'Str': return decodeString(node.text || '');
+        case 'Null': return null;
+        case 'Bool': return node.text === 'true';
+        case 'Int':
+        case 'Dec': {
+            const number = Number((node.text || '').replace(/_/g, ''));
+            return Number.isFinite(number) ? number : node.text;
+        }
+        default: return node.text;
+    }
+}
+
+module.exports = {
+    prettyPrintValue,
+    parseValue,
+    toHotLiteral,
+    toJsonValue
+};
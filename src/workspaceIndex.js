@@ -0,0 +1,316 @@
+const vscode = require('vscode');
+const { getDocumentParse, parseHot, splitItems, walkTokens, isToken, isGroup } = require('./parser');
+
+/** Re-index an edited document after typing pauses */
+const REINDEX_DELAY_MS = 300;
+
+/** Form kinds recorded as definitions */
+const DEFINITION_KINDS = new Set(['fn', 'value', 'type', 'enum', 'coercion']);
+
+/**
+ * A top-level definition found in a file
+ * @typedef {Object} Definition
+ * @property {'fn' | 'value' | 'type' | 'enum' | 'coercion'} kind
+ * @property {string} name
+ * @property {string | null} flow - Flow keyword of `fn cond (...)` style functions
+ * @property {vscode.Range} range - Range of the name
+ * @property {vscode.Range} fullRange - Range of the whole form
+ * @property {string} signature - Source of the form up to its body
+ * @property {string | null} doc - `doc` entry of its `meta` annotation
+ */
+
+/**
+ * What the index knows about a Hot file
+ * @typedef {Object} FileEntry
+ * @property {vscode.Uri} uri
+ * @property {string | null} namespace - First namespace declaration
+ * @property {number} declarations - Number of `ns` declarations in the file
+ * @property {vscode.Range | null} namespaceRange
+ * @property {Map<string, string>} aliases - Namespace aliases declared as `::alias ::full::ns`
+ * @property {Definition[]} definitions
+ * @property {Set<string>} references - Names the file uses: identifiers, and paths with aliases expanded
+ */
+
+/**
+ * @typedef {Object} WorkspaceIndexDeps
+ * @property {vscode.Event<{ uri: vscode.Uri, type: 'created' | 'changed' | 'deleted' }>} onDidChangeHotFile
+ */
+
+/** @type {Map<string, FileEntry>} keyed by file URI */
+const files = new Map();
+/** @type {Promise<void> | null} set once the first full index starts */
+let indexing = null;
+
+const changeEmitter = new vscode.EventEmitter();
+/** @type {Map<string, NodeJS.Timeout>} */
+const pendingReindex = new Map();
+
+// ============================================================================
+// Form details
+// ============================================================================
+
+/**
+ * Contents of a string literal token
+ * @param {string} literal
+ */
+function unquote(literal) {
+    if (literal.startsWith('"""')) return literal.slice(3, literal.endsWith('"""') ? -3 : undefined);
+    return literal.slice(1, literal.length > 1 && literal.endsWith('"') ? -1 : undefined)
+        .replace(/\\n/g, '\n').replace(/\\t/g, '\t').replace(/\\(["\\])/g, '$1');
+}
+
+/**
+ * The `doc` entry of a form's `meta {...}` annotation
+ * @param {import('./parser').Form} form
+ * @param {string} text
+ * @returns {string | null}
+ */
+function metaDoc(form, text) {
+    if (!form.meta || !isGroup(form.meta, '{')) return null;
+    for (const item of splitItems(form.meta)) {
+        const [key, colon, value] = item.nodes;
+        if (isToken(key, 'ident', 'doc') && isToken(colon, 'op', ':') && value && value.kind === 'token'
+            && (value.type === 'string' || value.type === 'template')) {
+            return unquote(text.slice(value.start, value.end)).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Source of a form up to its body, e.g. `greet fn (name: Str): Str`, without its meta annotation
+ * @param {import('./parser').Form} form
+ * @param {string} text
+ */
+function formSignature(form, text) {
+    const end = form.kind === 'value' || !form.body ? form.end : form.body.start;
+    let signature = text.slice(form.start, end);
+    if (form.meta) {
+        const metaStart = form.meta.start - form.start;
+        const keywordStart = signature.lastIndexOf('meta', metaStart);
+        signature = signature.slice(0, keywordStart) + signature.slice(form.meta.end - form.start);
+    }
+    return signature.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Namespace aliases of a parse: top-level `::alias ::full::ns` forms
+ * @param {import('./parser').ParseResult} parsed
+ * @returns {Map<string, string>}
+ */
+function namespaceAliases(parsed) {
+    const aliases = new Map();
+    for (const form of parsed.forms) {
+        const [alias, target] = form.nodes;
+        if (form.kind === 'unknown' && form.nodes.length === 2 && isToken(alias, 'path') && isToken(target, 'path')
+            && !alias.value.includes('/') && !target.value.includes('/')) {
+            aliases.set(alias.value, target.value);
+        }
+    }
+    return aliases;
+}
+
+/**
+ * Names a parse uses: bare identifiers, and `::ns/name` paths with namespace aliases expanded
+ * @param {import('./parser').ParseResult} parsed
+ * @param {Map<string, string>} aliases
+ * @returns {Set<string>}
+ */
+function referencedNames(parsed, aliases) {
+    const names = new Set();
+    for (const form of parsed.forms) {
+        walkTokens(form.nodes, (token) => {
+            if (token.type === 'ident') {
+                names.add(token.value);
+            } else if (token.type === 'path') {
+                const head = token.value.match(/^::[^:/]+/)[0];
+                names.add(aliases.has(head) ? aliases.get(head) + token.value.slice(head.length) : token.value);
+            }
+        });
+    }
+    return names;
+}
+
+// ============================================================================
+// Index
+// ============================================================================
+
+/**
+ * Offset to position conversion for text that isn't open as a document
+ * Opening a document just to map offsets would start its folder's analyzer.
+ * @param {string} text
+ * @returns {(offset: number) => vscode.Position}
+ */
+function positionMapper(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return new vscode.Position(low, offset - lineStarts[low]);
+    };
+}
+
+/**
+ * Build the index entry of a file from its text
+ * @param {vscode.Uri} uri
+ * @param {string} text
+ * @param {import('./parser').ParseResult} [parsed]
+ * @returns {FileEntry}
+ */
+function indexText(uri, text, parsed = parseHot(text)) {
+    const positionAt = positionMapper(text);
+    const nameRange = (form) => new vscode.Range(positionAt(form.nameStart), positionAt(form.nameEnd));
+    const aliases = namespaceAliases(parsed);
+
+    return {
+        uri,
+        namespace: parsed.namespace ? parsed.namespace.name : null,
+        declarations: parsed.forms.filter(f => f.kind === 'ns').length,
+        namespaceRange: parsed.namespace ? nameRange(parsed.namespace) : null,
+        aliases,
+        definitions: parsed.forms
+            .filter(f => DEFINITION_KINDS.has(f.kind) && f.name)
+            .map(f => ({
+                kind: /** @type {Definition['kind']} */ (f.kind),
+                name: f.name,
+                flow: f.flow,
+                range: nameRange(f),
+                fullRange: new vscode.Range(positionAt(f.start), positionAt(f.end)),
+                signature: formSignature(f, text),
+                doc: metaDoc(f, text)
+            })),
+        references: referencedNames(parsed, aliases)
+    };
+}
+
+/**
+ * Index a file, preferring the open document's unsaved text
+ * @param {vscode.Uri} uri
+ */
+async function indexFile(uri) {
+    const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+    if (open) {
+        files.set(uri.toString(), indexText(uri, open.getText(), getDocumentParse(open)));
+        return;
+    }
+    try {
+        files.set(uri.toString(), indexText(uri, Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8')));
+    } catch (e) {
+        files.delete(uri.toString());
+    }
+}
+
+/**
+ * Index every Hot file in the workspace
+ */
+async function indexWorkspace() {
+    const uris = await vscode.workspace.findFiles('**/*.hot', '**/node_modules/**');
+    files.clear();
+    for (const uri of uris) {
+        await indexFile(uri);
+    }
+    changeEmitter.fire();
+}
+
+/**
+ * The index, built on first use
+ * @returns {Promise<Map<string, FileEntry>>}
+ */
+async function getIndex() {
+    if (!indexing) indexing = indexWorkspace();
+    await indexing;
+    return files;
+}
+
+/**
+ * The index as built so far, without waiting for it
+ * @returns {Map<string, FileEntry>}
+ */
+function getIndexedFiles() {
+    return files;
+}
+
+/**
+ * Rebuild the whole index
+ * @returns {Promise<Map<string, FileEntry>>}
+ */
+async function refreshIndex() {
+    indexing = indexWorkspace();
+    await indexing;
+    return files;
+}
+
+/**
+ * Re-index one file now, e.g. after creating it
+ * @param {vscode.Uri} uri
+ */
+async function updateIndexedFile(uri) {
+    await indexFile(uri);
+    changeEmitter.fire();
+}
+
+/**
+ * Re-index a file, batching rapid edits
+ * @param {vscode.Uri} uri
+ * @param {number} [delay=0]
+ */
+function scheduleReindex(uri, delay = 0) {
+    const key = uri.toString();
+    clearTimeout(pendingReindex.get(key));
+    pendingReindex.set(key, setTimeout(() => {
+        pendingReindex.delete(key);
+        updateIndexedFile(uri);
+    }, delay));
+}
+
+/**
+ * Keep the index in sync with `.hot` files and open documents once it has been built
+ * @param {vscode.ExtensionContext} context
+ * @param {WorkspaceIndexDeps} deps
+ */
+function registerWorkspaceIndex(context, deps) {
+    context.subscriptions.push(changeEmitter);
+    context.subscriptions.push({
+        dispose() {
+            for (const timer of pendingReindex.values()) clearTimeout(timer);
+            pendingReindex.clear();
+        }
+    });
+
+    context.subscriptions.push(deps.onDidChangeHotFile(({ uri, type }) => {
+        if (!indexing) return;
+        if (type === 'deleted') {
+            files.delete(uri.toString());
+            changeEmitter.fire();
+        } else {
+            scheduleReindex(uri);
+        }
+    }));
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(e => {
+        if (indexing && e.document.languageId === 'hot' && e.document.uri.scheme === 'file' && e.contentChanges.length) {
+            scheduleReindex(e.document.uri, REINDEX_DELAY_MS);
+        }
+    }));
+}
+
+module.exports = {
+    registerWorkspaceIndex,
+    getIndex,
+    getIndexedFiles,
+    refreshIndex,
+    updateIndexedFile,
+    onDidChangeIndex: changeEmitter.event,
+    indexText,
+    positionMapper,
+    metaDoc,
+    formSignature,
+    namespaceAliases
+};